@@ -12,11 +12,13 @@ const AppState = {
     startY: 0,
     currentPath: [],
     drawings: [],
+    blocks: [], // Block definitions: { id, name, shapes } with shapes drawn about 0,0
 
     // View state
     currentView: 'loading', // loading, getStarted, main
     scale: '1:100',
     zoom: 1,
+    pan: { x: 0, y: 0 }, // Screen-pixel offset of the canvas origin
     gridVisible: true,
 
     // Project data
@@ -26,6 +28,9 @@ const AppState = {
         location: '',
         plotSize: 0,
         buildingType: 'residential',
+        lengthUnit: 'm', // Typed and displayed lengths: 'm', 'mm' or 'ft-in'
+        areaUnit: 'sq.m', // Displayed areas, a key of Measurements.AREA_UNITS
+        state: '', // State whose land unit sizes apply; empty reads it from the location
         builtupArea: 0,
         carpetArea: 0,
         totalArea: 0,
@@ -150,10 +155,10 @@ class App {
     async initializeComponents() {
         const componentInitializers = [
             () => this.components.dataManager = new DataManager(),
-            () => this.components.canvasDrawing = new CanvasDrawing('drawingCanvas'),
-            () => this.components.toolbar = new Toolbar('toolbar'),
-            () => this.components.sidebar = new Sidebar('sidebar'),
-            () => this.components.scaleDisplay = new ScaleDisplay('scaleDisplay'),
+            () => this.components.canvasDrawing = new CanvasDrawing('canvasContainer'),
+            () => this.components.toolbar = new Toolbar(this.components.canvasDrawing),
+            () => this.components.sidebar = new Sidebar('sidebar', this.components.canvasDrawing),
+            () => this.components.scaleDisplay = new ScaleDisplay('scaleDisplay', this.components.canvasDrawing),
             () => this.components.areaCalculator = new AreaCalculator(),
             () => this.components.chatGPTPanel = new ChatGPTPanel('chatgptPanel'),
             () => this.components.exportOptions = new ExportOptions()
@@ -277,6 +282,9 @@ class App {
                 location: location,
                 plotSize: plotSize,
                 buildingType: buildingType,
+                lengthUnit: AppState.projectData.lengthUnit,
+                areaUnit: AppState.projectData.areaUnit,
+                state: AppState.projectData.state,
                 builtupArea: 0,
                 carpetArea: 0,
                 totalArea: 0,
@@ -332,6 +340,13 @@ class App {
     // Tool Management
     setTool(tool) {
         console.log(`[App] Setting tool: ${tool}`);
+
+        // The toolbar keeps its buttons and the canvas in sync
+        if (this.components.toolbar) {
+            this.components.toolbar.selectTool(tool);
+            return;
+        }
+
         AppState.currentTool = tool;
 
         // Update UI
@@ -371,10 +386,45 @@ class App {
 
     updateScale() {
         const scaleSelect = document.getElementById('scaleRatio');
-        if (scaleSelect) {
-            AppState.scale = scaleSelect.value;
-            console.log(`[App] Scale updated: ${AppState.scale}`);
-            EventBus.emit('scale:changed', AppState.scale);
+        if (scaleSelect && this.components.scaleDisplay) {
+            this.components.scaleDisplay.setScale(scaleSelect.value);
+        }
+    }
+
+    // History
+    undo() {
+        if (this.components.canvasDrawing) {
+            this.components.canvasDrawing.undo();
+        }
+    }
+
+    redo() {
+        if (this.components.canvasDrawing) {
+            this.components.canvasDrawing.redo();
+        }
+    }
+
+    // Shortcut actions on the selected shapes
+    editSelection(action) {
+        const canvasDrawing = this.components.canvasDrawing;
+        const shapes = canvasDrawing.selectionManager.getSelection();
+
+        switch (action) {
+            case 'copy':
+                canvasDrawing.copyShapes(shapes);
+                break;
+            case 'cut':
+                canvasDrawing.cutShapes(shapes);
+                break;
+            case 'duplicate':
+                canvasDrawing.duplicateShapes(shapes);
+                break;
+            case 'group':
+                canvasDrawing.groupShapes(shapes);
+                break;
+            case 'ungroup':
+                canvasDrawing.ungroupShapes(shapes);
+                break;
         }
     }
 
@@ -461,6 +511,9 @@ class App {
         // Only handle shortcuts in main app view
         if (AppState.currentView !== 'main') return;
 
+        // Leave keys alone while the user is typing in a field
+        if (event.target.closest && event.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
         // Handle keyboard shortcuts
         if (event.ctrlKey || event.metaKey) {
             switch (event.key.toLowerCase()) {
@@ -468,41 +521,80 @@ class App {
                     event.preventDefault();
                     this.saveProject();
                     break;
+                case 'a':
+                    event.preventDefault();
+                    if (this.components.canvasDrawing) {
+                        this.components.canvasDrawing.selectionManager.selectAll();
+                    }
+                    break;
+                case 'c':
+                case 'x':
+                case 'd':
+                case 'g':
+                    if (this.components.canvasDrawing && this.components.canvasDrawing.selectionManager.hasSelection()) {
+                        event.preventDefault();
+                        const actions = { c: 'copy', x: 'cut', d: 'duplicate', g: event.shiftKey ? 'ungroup' : 'group' };
+                        this.editSelection(actions[event.key.toLowerCase()]);
+                    }
+                    break;
+                case 'v':
+                    if (this.components.canvasDrawing) {
+                        event.preventDefault();
+                        // At the pointer when it is over the canvas, otherwise next to the originals
+                        const canvasDrawing = this.components.canvasDrawing;
+                        canvasDrawing.pasteShapes(canvasDrawing.hoverPoint);
+                    }
+                    break;
                 case 'z':
                     event.preventDefault();
-                    // Undo functionality (to be implemented)
-                    console.log('[App] Undo shortcut triggered');
+                    // Ctrl+Shift+Z is the other common redo binding
+                    if (event.shiftKey) {
+                        this.redo();
+                    } else {
+                        this.undo();
+                    }
                     break;
                 case 'y':
                     event.preventDefault();
-                    // Redo functionality (to be implemented)
-                    console.log('[App] Redo shortcut triggered');
+                    this.redo();
                     break;
             }
         } else {
-            // Tool shortcuts
+            // Tool shortcuts (architectural tools are bound by the Toolbar)
             switch (event.key.toLowerCase()) {
-                case 'v':
-                    this.setTool('select');
-                    break;
-                case 'r':
-                    this.setTool('rectangle');
-                    break;
                 case 'c':
                     this.setTool('circle');
                     break;
                 case 'l':
                     this.setTool('line');
                     break;
-                case 't':
-                    this.setTool('text');
-                    break;
                 case 'g':
                     this.toggleGrid();
                     break;
-                case 'escape':
-                    this.setTool('select');
+                case 'delete':
+                case 'backspace':
+                    if (this.components.canvasDrawing) {
+                        event.preventDefault();
+                        this.components.canvasDrawing.selectionManager.deleteSelected();
+                    }
                     break;
+                case 'f':
+                    // Flip the door being placed: F for the hinge, Shift+F for the swing
+                    if (this.components.canvasDrawing) {
+                        this.components.canvasDrawing.flipHoverOpening(event.shiftKey ? 'swing' : 'hinge');
+                    }
+                    break;
+                case 'escape': {
+                    // Esc closes an open context menu; otherwise the first Esc finishes
+                    // the shape being drawn and the next one returns to Select
+                    const contextMenu = this.components.canvasDrawing && this.components.canvasDrawing.contextMenu;
+                    if (contextMenu && contextMenu.close()) break;
+
+                    if (!this.components.canvasDrawing || !this.components.canvasDrawing.cancelDrawing()) {
+                        this.setTool('select');
+                    }
+                    break;
+                }
             }
         }
     }
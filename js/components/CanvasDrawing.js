@@ -15,16 +15,45 @@ class CanvasDrawing {
         this.startX = 0;
         this.startY = 0;
         this.currentPreview = null;
+        this.hoverOpening = null; // Door/window following the cursor along a wall
+        this.pressPoint = null; // Client position of the mousedown that started the shape
+        this.lastPointer = null; // Latest client position, to tell a click from a drag
+        this.hoverPoint = null; // Canvas position of the pointer while it is over the canvas; paste lands here
+        this.swingFlipped = false; // Open doors away from the cursor side instead of towards it
+
+        // Viewport panning
+        this.isPanning = false;
+        this.panStart = null;
+        this.spacePressed = false;
+
+        // Two-finger pinch/pan on touch screens
+        this.pinch = null;
+        this.touchGestureActive = false; // Ignore leftover fingers until all are lifted
 
         // Canvas state
         this.gridSize = 20;
         this.snapToGrid = true;
         this.showMeasurements = true;
+        this.openingSnapDistance = 20; // How far from a wall face a door/window still snaps to it
+
+        // Undo/redo of drawing and project changes
+        this.history = new HistoryManager();
+
+        // Selection, snapping and grid (created once the canvas exists)
+        this.selectionManager = null;
+        this.snapManager = null;
+        this.dynamicInput = null;
+        this.textEditor = null;
+        this.measureTool = null;
+        this.contextMenu = null;
+        this.layerManager = null;
+        this.grid = null;
 
-        // History for undo/redo
-        this.history = [];
-        this.historyIndex = -1;
-        this.maxHistorySize = 50;
+        // Last copied shapes, for when the system clipboard can't be read
+        this.clipboard = null;
+
+        // Block opened with editBlock(): { blockId, placement } until it is saved
+        this.blockEdit = null;
 
         this.init();
     }
@@ -38,6 +67,15 @@ class CanvasDrawing {
 
             // Create canvas and setup
             this.createCanvas();
+            this.grid = new Grid(this.canvas, { size: this.gridSize });
+            this.selectionManager = new SelectionManager(this);
+            this.snapManager = new SnapManager(this);
+            this.dynamicInput = new DynamicInput(this);
+            this.dynamicInput.onSubmit = this.applyDynamicInput.bind(this);
+            this.textEditor = new TextEditor(this);
+            this.measureTool = new MeasureTool(this);
+            this.contextMenu = new ContextMenu(this);
+            this.layerManager = new LayerManager();
             this.setupEventListeners();
             this.setupEventBusListeners();
 
@@ -139,21 +177,32 @@ class CanvasDrawing {
         this.canvas.addEventListener('mousemove', this.handleMouseMove.bind(this));
         this.canvas.addEventListener('mouseup', this.handleMouseUp.bind(this));
         this.canvas.addEventListener('mouseleave', this.handleMouseLeave.bind(this));
+        this.canvas.addEventListener('dblclick', this.handleDoubleClick.bind(this));
 
-        // Touch events for mobile
-        this.canvas.addEventListener('touchstart', this.handleTouchStart.bind(this));
-        this.canvas.addEventListener('touchmove', this.handleTouchMove.bind(this));
-        this.canvas.addEventListener('touchend', this.handleTouchEnd.bind(this));
+        // Touch events for mobile (non-passive so the page itself doesn't scroll or zoom)
+        this.canvas.addEventListener('touchstart', this.handleTouchStart.bind(this), { passive: false });
+        this.canvas.addEventListener('touchmove', this.handleTouchMove.bind(this), { passive: false });
+        this.canvas.addEventListener('touchend', this.handleTouchEnd.bind(this), { passive: false });
+        this.canvas.addEventListener('touchcancel', this.handleTouchEnd.bind(this), { passive: false });
+        this.enableTouchDrawing();
 
         // Wheel event for zooming
-        this.canvas.addEventListener('wheel', this.handleWheel.bind(this));
+        this.canvas.addEventListener('wheel', this.handleWheel.bind(this), { passive: false });
 
         // Window resize
         window.addEventListener('resize', this.resize.bind(this));
 
+        // Space held down turns any tool into a temporary pan
+        document.addEventListener('keydown', this.handleKeyDown.bind(this));
+        document.addEventListener('keyup', this.handleKeyUp.bind(this));
+
         // Context menu (right-click)
         this.canvas.addEventListener('contextmenu', this.handleContextMenu.bind(this));
 
+        // Symbols dropped from the library
+        this.canvas.addEventListener('dragover', this.handleDragOver.bind(this));
+        this.canvas.addEventListener('drop', this.handleDrop.bind(this));
+
         console.log('[CanvasDrawing] Event listeners set up');
     }
 
@@ -161,6 +210,7 @@ class CanvasDrawing {
         EventBus.on('tool:changed', this.handleToolChanged.bind(this));
         EventBus.on('grid:toggled', this.handleGridToggled.bind(this));
         EventBus.on('scale:changed', this.handleScaleChanged.bind(this));
+        EventBus.on('project:changed', this.handleProjectChanged.bind(this));
         EventBus.on('project:loaded', this.handleProjectLoaded.bind(this));
         EventBus.on('canvas:clear', this.clear.bind(this));
 
@@ -171,86 +221,231 @@ class CanvasDrawing {
     handleMouseDown(event) {
         event.preventDefault();
 
-        const rect = this.canvas.getBoundingClientRect();
-        const x = (event.clientX - rect.left) / AppState.zoom;
-        const y = (event.clientY - rect.top) / AppState.zoom;
-
-        this.startX = this.snapToGrid ? this.snapToGridCoord(x) : x;
-        this.startY = this.snapToGrid ? this.snapToGridCoord(y) : y;
-
-        if (AppState.currentTool !== 'select') {
-            this.isDrawing = true;
-            this.saveState(); // Save state for undo
-
-            // Start new drawing
-            this.currentPreview = {
-                tool: AppState.currentTool,
-                startX: this.startX,
-                startY: this.startY,
-                endX: this.startX,
-                endY: this.startY,
-                color: this.getStrokeColor(),
-                width: this.getStrokeWidth(),
-                fill: this.getFillColor(),
-                properties: this.getCurrentToolProperties()
-            };
+        // The right button opens the context menu instead
+        if (event.button === 2) return;
+
+        // Middle button, Space+drag or the pan tool move the view instead of drawing
+        if (event.button === 1 || this.spacePressed || AppState.currentTool === 'pan') {
+            this.startPan(event);
+            return;
+        }
+
+        if (AppState.currentTool === 'zoom') {
+            // Click zooms in at the pointer, Alt-click zooms out
+            const rect = this.canvas.getBoundingClientRect();
+            const factor = event.altKey ? 1 / 1.5 : 1.5;
+            this.zoomAt(AppState.zoom * factor, event.clientX - rect.left, event.clientY - rect.top);
+            return;
+        }
+
+        // A click outside the text box finishes editing and does nothing else
+        if (this.textEditor.isOpen()) {
+            this.textEditor.commit();
+            return;
+        }
+
+        const { x, y } = this.screenToCanvas(event.clientX, event.clientY);
+        const point = this.getDrawPoint(x, y, event);
+
+        if (this.isDrawing && this.currentPreview && this.isTwoPointTool(AppState.currentTool)) {
+            // Second click of a click-move-click shape
+            this.updateShapeForTool(this.currentPreview, point.x, point.y);
+            this.finishDrawing();
+            EventBus.emit('canvas:mousedown', { x: point.x, y: point.y, tool: AppState.currentTool });
+            return;
+        }
+
+        this.startX = point.x;
+        this.startY = point.y;
+        this.pressPoint = { x: event.clientX, y: event.clientY };
+        this.lastPointer = this.pressPoint;
+
+        if (AppState.currentTool === 'select') {
+            // Picking uses the exact pointer position; the manager snaps move distances itself
+            this.selectionManager.handleMouseDown(x, y, event);
+        } else if (AppState.currentTool === 'wall') {
+            this.handleWallClick(this.startX, this.startY);
+        } else if (this.isOpeningTool(AppState.currentTool)) {
+            this.placeOpening();
+        } else if (AppState.currentTool === 'text') {
+            this.startText(x, y, point);
+        } else if (AppState.currentTool === 'measure') {
+            this.measureTool.addPoint(point);
+        } else {
+            // Start new shape for the current tool (pan/zoom tools produce none)
+            this.currentPreview = this.createShapeForTool(AppState.currentTool, this.startX, this.startY);
+            this.isDrawing = this.currentPreview !== null;
         }
 
+        this.syncDynamicInput();
         EventBus.emit('canvas:mousedown', { x: this.startX, y: this.startY, tool: AppState.currentTool });
     }
 
     handleMouseMove(event) {
-        const rect = this.canvas.getBoundingClientRect();
-        const x = (event.clientX - rect.left) / AppState.zoom;
-        const y = (event.clientY - rect.top) / AppState.zoom;
+        if (this.isPanning) {
+            this.updatePan(event);
+            return;
+        }
+
+        const { x, y } = this.screenToCanvas(event.clientX, event.clientY);
+        this.lastPointer = { x: event.clientX, y: event.clientY };
+        this.hoverPoint = { x, y };
 
         // Update mouse position display
         document.getElementById('mousePosition').textContent = `${Math.round(x)}, ${Math.round(y)}`;
 
         if (this.isDrawing && this.currentPreview) {
-            this.currentPreview.endX = this.snapToGrid ? this.snapToGridCoord(x) : x;
-            this.currentPreview.endY = this.snapToGrid ? this.snapToGridCoord(y) : y;
+            const point = this.getDrawPoint(x, y, event);
+            this.updateShapeForTool(this.currentPreview, point.x, point.y);
 
             // Redraw with preview
             this.redraw();
             this.drawPreview(this.currentPreview);
+            this.syncDynamicInput();
+        } else if (this.isOpeningTool(AppState.currentTool)) {
+            this.updateOpeningHover(x, y);
+        } else if (AppState.currentTool === 'measure' && this.measureTool.isMeasuring()) {
+            this.measureTool.moveTo(this.getDrawPoint(x, y, event));
+        } else if (this.usesObjectSnaps(AppState.currentTool)) {
+            this.updateSnapHover(x, y);
+        } else if (AppState.currentTool === 'select') {
+            this.selectionManager.handleMouseMove(x, y, event);
         }
 
         EventBus.emit('canvas:mousemove', { x, y, isDrawing: this.isDrawing });
     }
 
     handleMouseUp(event) {
-        if (this.isDrawing && this.currentPreview) {
-            // Finalize the drawing
-            const drawing = { ...this.currentPreview };
+        if (this.isPanning) {
+            this.endPan();
+            return;
+        }
 
-            // Only add if the shape has meaningful dimensions
-            if (this.isValidDrawing(drawing)) {
-                AppState.drawings.push(drawing);
-                EventBus.emit('drawing:added', drawing);
-                console.log('[CanvasDrawing] Drawing added:', drawing);
+        if (AppState.currentTool === 'select') {
+            this.selectionManager.handleMouseUp();
+        }
+
+        if (this.isWallRunActive()) {
+            // A click-drag-release also lays a segment; the run continues from its end
+            if (this.isValidShape(this.currentPreview)) {
+                this.commitWallSegment();
             }
+            EventBus.emit('canvas:mouseup');
+            return;
+        }
 
-            this.currentPreview = null;
-            this.redraw();
+        if (this.isDrawing && this.currentPreview) {
+            // A click without a drag leaves the shape following the pointer until the next click
+            if (this.isTwoPointTool(AppState.currentTool) && !this.hasDragged()) {
+                if (AppState.currentTool === 'room') {
+                    const press = this.screenToCanvas(this.pressPoint.x, this.pressPoint.y);
+                    if (this.addDetectedRoom(press.x, press.y)) {
+                        this.cancelDrawing();
+                    }
+                }
+                EventBus.emit('canvas:mouseup');
+                return;
+            }
+
+            this.finishDrawing();
         }
 
         this.isDrawing = false;
         EventBus.emit('canvas:mouseup');
     }
 
+    hasDragged() {
+        if (!this.pressPoint || !this.lastPointer) return false;
+
+        return Math.hypot(this.lastPointer.x - this.pressPoint.x, this.lastPointer.y - this.pressPoint.y) > 4;
+    }
+
+    // Add the shape being drawn if it has meaningful dimensions
+    finishDrawing() {
+        const shape = this.currentPreview;
+
+        if (shape && this.isValidShape(shape)) {
+            if (shape instanceof MeasurementLine) {
+                this.attachDimension(shape);
+            }
+            this.addShapes([shape], 'Draw');
+            console.log('[CanvasDrawing] Shape added:', shape);
+        }
+
+        this.currentPreview = null;
+        this.isDrawing = false;
+        this.syncDynamicInput();
+        this.redraw();
+    }
+
     handleMouseLeave(event) {
-        if (this.isDrawing) {
-            // Cancel current drawing
-            this.currentPreview = null;
-            this.isDrawing = false;
+        this.hoverPoint = null;
+
+        if (this.isPanning) {
+            this.endPan();
+        }
+
+        // Finish a selection drag rather than leave it stuck to the pointer
+        if (this.selectionManager) {
+            this.selectionManager.handleMouseUp();
+        }
+
+        if (this.hoverOpening) {
+            this.hoverOpening = null;
+            this.redraw();
+        }
+
+        if (this.snapManager && this.snapManager.current && !this.isDrawing) {
+            this.snapManager.clear();
             this.redraw();
         }
+
+        // A wall run survives the pointer leaving the canvas
+        if (this.isDrawing && !this.isWallRunActive()) {
+            this.cancelDrawing();
+        }
+    }
+
+    handleDoubleClick(event) {
+        if (this.isWallRunActive()) {
+            event.preventDefault();
+            this.endWallRun();
+            return;
+        }
+
+        if (AppState.currentTool === 'measure' && this.measureTool.finish()) {
+            event.preventDefault();
+            return;
+        }
+
+        if (AppState.currentTool === 'select' || AppState.currentTool === 'text') {
+            const { x, y } = this.screenToCanvas(event.clientX, event.clientY);
+
+            if (AppState.currentTool === 'select' && this.selectionManager.handleDoubleClick(x, y)) {
+                event.preventDefault();
+                return;
+            }
+
+            const shape = this.selectionManager.getShapeAt(x, y);
+
+            if (shape instanceof TextLabel) {
+                event.preventDefault();
+                this.textEditor.open(shape);
+            }
+        }
     }
 
     // Touch Event Handlers (for mobile support)
     handleTouchStart(event) {
         event.preventDefault();
+
+        if (event.touches.length >= 2) {
+            this.startPinch(event.touches[0], event.touches[1]);
+            return;
+        }
+
+        if (this.touchGestureActive) return;
+
         const touch = event.touches[0];
         const mouseEvent = new MouseEvent('mousedown', {
             clientX: touch.clientX,
@@ -261,6 +456,14 @@ class CanvasDrawing {
 
     handleTouchMove(event) {
         event.preventDefault();
+
+        if (this.pinch && event.touches.length >= 2) {
+            this.updatePinch(event.touches[0], event.touches[1]);
+            return;
+        }
+
+        if (this.touchGestureActive) return;
+
         const touch = event.touches[0];
         const mouseEvent = new MouseEvent('mousemove', {
             clientX: touch.clientX,
@@ -271,41 +474,178 @@ class CanvasDrawing {
 
     handleTouchEnd(event) {
         event.preventDefault();
+
+        if (this.touchGestureActive) {
+            if (event.touches.length < 2) {
+                this.pinch = null;
+            }
+            if (event.touches.length === 0) {
+                this.touchGestureActive = false;
+            }
+            return;
+        }
+
         const mouseEvent = new MouseEvent('mouseup', {});
         this.handleMouseUp(mouseEvent);
     }
 
-    // Wheel Event Handler (zooming)
+    startPinch(first, second) {
+        // The first finger may already have started a stroke or a drag; a pinch replaces it
+        if (!this.touchGestureActive) {
+            this.cancelDrawing();
+            this.selectionManager.cancelDrag();
+        }
+
+        const rect = this.canvas.getBoundingClientRect();
+        const center = {
+            x: (first.clientX + second.clientX) / 2 - rect.left,
+            y: (first.clientY + second.clientY) / 2 - rect.top
+        };
+
+        this.touchGestureActive = true;
+        this.pinch = {
+            distance: Math.max(1, Math.hypot(second.clientX - first.clientX, second.clientY - first.clientY)),
+            zoom: AppState.zoom,
+            // Canvas point under the fingers, kept under their midpoint as they move
+            anchor: {
+                x: (center.x - AppState.pan.x) / AppState.zoom,
+                y: (center.y - AppState.pan.y) / AppState.zoom
+            }
+        };
+    }
+
+    updatePinch(first, second) {
+        const rect = this.canvas.getBoundingClientRect();
+        const center = {
+            x: (first.clientX + second.clientX) / 2 - rect.left,
+            y: (first.clientY + second.clientY) / 2 - rect.top
+        };
+        const distance = Math.hypot(second.clientX - first.clientX, second.clientY - first.clientY);
+        const zoom = Math.max(0.1, Math.min(5, this.pinch.zoom * distance / this.pinch.distance));
+
+        this.setViewport(
+            zoom,
+            center.x - this.pinch.anchor.x * zoom,
+            center.y - this.pinch.anchor.y * zoom
+        );
+    }
+
+    // Wheel Event Handler (zooming around the pointer)
     handleWheel(event) {
         event.preventDefault();
 
-        const delta = event.deltaY > 0 ? 0.9 : 1.1;
-        const newZoom = Math.max(0.1, Math.min(5, AppState.zoom * delta));
+        const rect = this.canvas.getBoundingClientRect();
+
+        // Trackpad pinches arrive as ctrl+wheel with small deltas, so scale smoothly;
+        // a mouse wheel moves in fixed steps
+        const factor = event.ctrlKey
+            ? Math.exp(-event.deltaY * 0.01)
+            : (event.deltaY > 0 ? 0.9 : 1.1);
 
-        if (newZoom !== AppState.zoom) {
-            AppState.zoom = newZoom;
-            this.updateZoomDisplay();
-            this.redraw();
-            EventBus.emit('canvas:zoomed', newZoom);
+        this.zoomAt(AppState.zoom * factor, event.clientX - rect.left, event.clientY - rect.top);
+    }
+
+    handleKeyDown(event) {
+        if (event.target.closest && event.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+        // Typing a number while drawing goes into the length box
+        if (this.dynamicInput && this.dynamicInput.isVisible() && /^[0-9.]$/.test(event.key) &&
+            !event.ctrlKey && !event.metaKey && !event.altKey) {
+            event.preventDefault();
+            this.dynamicInput.startTyping(event.key);
+            return;
+        }
+
+        if (event.code !== 'Space' || this.spacePressed) return;
+
+        event.preventDefault(); // Keep the page from scrolling
+        this.spacePressed = true;
+        if (this.canvas && !this.isPanning) {
+            this.canvas.style.cursor = 'grab';
+        }
+    }
+
+    handleKeyUp(event) {
+        if (event.code !== 'Space') return;
+
+        this.spacePressed = false;
+        if (this.canvas && !this.isPanning) {
+            this.updateCursor(AppState.currentTool);
         }
     }
 
     handleContextMenu(event) {
         event.preventDefault();
-        // Could implement context menu here
-        console.log('[CanvasDrawing] Context menu at:', event.clientX, event.clientY);
+
+        if (this.textEditor.isOpen()) {
+            this.textEditor.commit();
+        }
+
+        // A right-click while drawing finishes the wall run or measurement, or drops the shape, as Esc does
+        if (this.isWallRunActive()) {
+            this.endWallRun();
+            return;
+        }
+        if (this.measureTool.finish()) return;
+        // A finished measurement stays up for the menu to keep or clear
+        if (!this.measureTool.hasMeasurement() && this.cancelDrawing()) return;
+
+        this.contextMenu.open(event);
+    }
+
+    // Symbols dragged in from the library land where they are dropped
+    handleDragOver(event) {
+        if (!event.dataTransfer.types.includes(CanvasDrawing.SYMBOL_DRAG_FORMAT)) return;
+
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'copy';
+    }
+
+    handleDrop(event) {
+        const symbolId = event.dataTransfer.getData(CanvasDrawing.SYMBOL_DRAG_FORMAT);
+        if (!symbolId) return;
+
+        event.preventDefault();
+        const point = this.screenToCanvas(event.clientX, event.clientY);
+        if (this.snapToGrid) {
+            point.x = this.snapToGridCoord(point.x);
+            point.y = this.snapToGridCoord(point.y);
+        }
+        this.placeSymbol(symbolId, point);
     }
 
     // EventBus Handlers
     handleToolChanged(tool) {
         const toolNames = {
             select: 'Select',
+            wall: 'Wall',
+            door: 'Door',
+            window: 'Window',
+            room: 'Room',
+            measure: 'Measure',
+            pan: 'Pan',
+            zoom: 'Zoom',
             rectangle: 'Rectangle',
             circle: 'Circle',
             line: 'Line',
-            text: 'Text'
+            text: 'Text',
+            column: 'Column',
+            beam: 'Beam',
+            dimension: 'Dimension'
         };
 
+        // Switching tools abandons any shape still being drawn
+        this.cancelDrawing();
+        this.hoverOpening = null;
+        if (this.snapManager) {
+            this.snapManager.clear();
+        }
+
+        if (tool !== 'select' && this.selectionManager) {
+            this.selectionManager.clear();
+            this.redraw();
+        }
+
         document.getElementById('currentTool').textContent = toolNames[tool] || tool;
         this.updateCursor(tool);
         console.log('[CanvasDrawing] Tool changed to:', tool);
@@ -317,13 +657,21 @@ class CanvasDrawing {
         console.log('[CanvasDrawing] Grid toggled:', visible);
     }
 
-    handleScaleChanged(scale) {
-        console.log('[CanvasDrawing] Scale changed:', scale);
+    handleScaleChanged() {
+        console.log('[CanvasDrawing] Scale changed:', AppState.scale);
+        this.redraw();
+    }
+
+    // Dimensions and areas follow the project's units
+    handleProjectChanged() {
         this.redraw();
     }
 
     handleProjectLoaded(projectData) {
         console.log('[CanvasDrawing] Project loaded');
+
+        // Changes made to the previous project can't be undone into this one
+        this.history.clear();
         this.redraw();
     }
 
@@ -334,171 +682,152 @@ class CanvasDrawing {
         // Clear canvas
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
 
-        // Apply zoom and transformations
-        this.ctx.save();
-        this.ctx.scale(AppState.zoom, AppState.zoom);
-
-        // Draw grid if visible
+        // Grid is drawn in screen space so its lines stay crisp at any zoom
         if (AppState.gridVisible) {
             this.drawGrid();
         }
 
-        // Draw all saved drawings
-        AppState.drawings.forEach(drawing => {
-            this.drawShape(drawing);
-        });
+        // Apply zoom and transformations
+        this.ctx.save();
+        this.applyViewportTransform(this.ctx);
 
-        this.ctx.restore();
-    }
+        // Rooms are floor areas and go under the walls; walls are drawn as one
+        // network so their corners join, then everything else on top
+        this.syncOpenings();
+        this.syncRooms();
+        this.syncDimensions();
 
-    drawGrid() {
-        const width = this.canvas.width / AppState.zoom;
-        const height = this.canvas.height / AppState.zoom;
+        // A label being edited is shown by the text box instead
+        const shapes = AppState.drawings.filter(shape => shape.visible && !(this.textEditor && this.textEditor.isEditing(shape)));
+        const walls = shapes.filter(shape => shape instanceof Wall);
+        const openings = shapes.filter(shape => shape instanceof Opening && shape.wallId);
 
-        this.ctx.strokeStyle = '#e2e8f0';
-        this.ctx.lineWidth = 1;
-        this.ctx.setLineDash([1, 1]);
+        if (this.hoverOpening && this.hoverOpening.wallId) {
+            openings.push(this.hoverOpening);
+        }
+
+        shapes.filter(shape => shape instanceof Room).forEach(shape => this.drawShape(shape));
+        Wall.drawWalls(this.ctx, walls, { openings });
+        shapes.filter(shape => !(shape instanceof Room) && !(shape instanceof Wall)).forEach(shape => this.drawShape(shape));
+
+        if (this.showMeasurements) {
+            walls.forEach(wall => this.drawShapeMeasurements(wall));
+        }
 
-        // Vertical lines
-        for (let x = 0; x < width; x += this.gridSize) {
-            this.ctx.beginPath();
-            this.ctx.moveTo(x, 0);
-            this.ctx.lineTo(x, height);
-            this.ctx.stroke();
+        if (this.hoverOpening) {
+            this.ctx.globalAlpha = 0.7;
+            this.hoverOpening.draw(this.ctx);
+            this.ctx.globalAlpha = 1;
         }
 
-        // Horizontal lines
-        for (let y = 0; y < height; y += this.gridSize) {
-            this.ctx.beginPath();
-            this.ctx.moveTo(0, y);
-            this.ctx.lineTo(width, y);
-            this.ctx.stroke();
+        if (this.measureTool) {
+            this.measureTool.draw(this.ctx);
         }
 
-        this.ctx.setLineDash([]);
+        if (this.selectionManager) {
+            this.selectionManager.draw(this.ctx);
+        }
+
+        this.ctx.restore();
     }
 
-    drawPreview(drawing) {
-        if (!drawing) return;
+    // Drawn over the preview, which is painted after redraw()
+    drawSnapIndicator() {
+        if (!this.snapManager || !this.snapManager.current) return;
 
         this.ctx.save();
-        this.ctx.scale(AppState.zoom, AppState.zoom);
-
-        // Set preview style (slightly transparent)
-        this.ctx.globalAlpha = 0.7;
-        this.drawShape(drawing);
-
+        this.applyViewportTransform(this.ctx);
+        this.snapManager.draw(this.ctx);
         this.ctx.restore();
     }
 
-    drawShape(drawing) {
-        if (!drawing) return;
-
-        this.ctx.strokeStyle = drawing.color || '#000000';
-        this.ctx.lineWidth = drawing.width || 2;
-        this.ctx.fillStyle = drawing.fill || 'transparent';
+    drawGrid() {
+        if (!this.grid) return;
 
-        switch (drawing.tool) {
-            case 'rectangle':
-                this.drawRectangle(drawing);
-                break;
-            case 'circle':
-                this.drawCircle(drawing);
-                break;
-            case 'line':
-                this.drawLine(drawing);
-                break;
-            case 'text':
-                this.drawText(drawing);
-                break;
-            default:
-                console.warn('[CanvasDrawing] Unknown drawing tool:', drawing.tool);
-        }
+        this.syncGridViewport();
+        this.grid.draw();
     }
 
-    drawRectangle(drawing) {
-        const width = drawing.endX - drawing.startX;
-        const height = drawing.endY - drawing.startY;
+    drawPreview(shape) {
+        if (!shape) return;
 
-        this.ctx.beginPath();
-        this.ctx.rect(drawing.startX, drawing.startY, width, height);
+        this.ctx.save();
+        this.applyViewportTransform(this.ctx);
 
-        if (drawing.fill && drawing.fill !== 'transparent') {
-            this.ctx.fill();
-        }
-        this.ctx.stroke();
+        // Set preview style (slightly transparent)
+        this.ctx.globalAlpha = 0.7;
 
-        // Draw measurements if enabled
-        if (this.showMeasurements && Math.abs(width) > 20 && Math.abs(height) > 20) {
-            this.drawMeasurements(drawing.startX, drawing.startY, width, height);
+        if (shape instanceof Wall) {
+            // Join the preview segment to the walls already on the canvas
+            const walls = AppState.drawings.filter(drawing => drawing instanceof Wall);
+            Wall.drawWalls(this.ctx, [shape], { context: [...walls, shape] });
+            this.drawShapeMeasurements(shape);
+        } else {
+            this.drawShape(shape);
         }
-    }
 
-    drawCircle(drawing) {
-        const radius = Math.sqrt(
-            Math.pow(drawing.endX - drawing.startX, 2) +
-            Math.pow(drawing.endY - drawing.startY, 2)
-        );
+        this.ctx.restore();
+        this.drawSnapIndicator();
+    }
 
-        this.ctx.beginPath();
-        this.ctx.arc(drawing.startX, drawing.startY, radius, 0, 2 * Math.PI);
+    drawShape(shape) {
+        if (!shape || !shape.visible) return;
 
-        if (drawing.fill && drawing.fill !== 'transparent') {
-            this.ctx.fill();
-        }
-        this.ctx.stroke();
+        shape.draw(this.ctx);
 
-        // Draw radius measurement if enabled
-        if (this.showMeasurements && radius > 10) {
-            this.drawRadiusMeasurement(drawing.startX, drawing.startY, drawing.endX, drawing.endY, radius);
+        // Draw measurements if enabled
+        if (this.showMeasurements) {
+            this.drawShapeMeasurements(shape);
         }
     }
 
-    drawLine(drawing) {
-        this.ctx.beginPath();
-        this.ctx.moveTo(drawing.startX, drawing.startY);
-        this.ctx.lineTo(drawing.endX, drawing.endY);
-        this.ctx.stroke();
+    drawShapeMeasurements(shape) {
+        if (shape instanceof Room) {
+            this.drawRoomArea(shape);
 
-        // Draw length measurement if enabled
-        if (this.showMeasurements) {
-            const length = Math.sqrt(
-                Math.pow(drawing.endX - drawing.startX, 2) +
-                Math.pow(drawing.endY - drawing.startY, 2)
-            );
+            // An outline isn't a rectangle; its walls carry their own lengths
+            if (shape.points) return;
+        }
+
+        if (shape instanceof Rectangle || shape instanceof Room) {
+            if (shape.width > 20 && shape.height > 20) {
+                this.drawMeasurements(shape.x - shape.width / 2, shape.y - shape.height / 2, shape.width, shape.height);
+            }
+        } else if (shape instanceof Circle) {
+            if (shape.radius > 10) {
+                this.drawRadiusMeasurement(shape.x, shape.y, shape.x + shape.radius, shape.y, shape.radius);
+            }
+        } else if (shape instanceof Line || shape instanceof Wall) {
+            const length = Math.sqrt((shape.x2 - shape.x) ** 2 + (shape.y2 - shape.y) ** 2);
             if (length > 20) {
-                this.drawLineMeasurement(drawing.startX, drawing.startY, drawing.endX, drawing.endY, length);
+                this.drawLineMeasurement(shape.x, shape.y, shape.x2, shape.y2, length);
             }
         }
     }
 
-    drawText(drawing) {
-        const text = drawing.text || 'Text';
-        const fontSize = drawing.fontSize || 16;
+    // Floor area under the room name, taken from the room's actual outline
+    drawRoomArea(room) {
+        const area = Measurements.pixelAreaToSquareMm(room.getArea());
+        if (area <= 0) return;
 
-        this.ctx.font = `${fontSize}px Inter, Arial, sans-serif`;
-        this.ctx.fillStyle = drawing.color || '#000000';
-        this.ctx.textAlign = 'left';
-        this.ctx.textBaseline = 'top';
-
-        // Draw text background if specified
-        if (drawing.background) {
-            const metrics = this.ctx.measureText(text);
-            this.ctx.fillStyle = drawing.background;
-            this.ctx.fillRect(drawing.startX - 4, drawing.startY - 2, metrics.width + 8, fontSize + 4);
-        }
+        const position = room.localToWorld(0, 18 / room.scale);
 
-        this.ctx.fillStyle = drawing.color || '#000000';
-        this.ctx.fillText(text, drawing.startX, drawing.startY);
+        this.ctx.save();
+        this.ctx.fillStyle = '#2563eb';
+        this.ctx.font = '12px Inter, Arial, sans-serif';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText(Measurements.formatArea(area), position.x, position.y);
+        this.ctx.restore();
     }
 
     drawMeasurements(x, y, width, height) {
         const absWidth = Math.abs(width);
         const absHeight = Math.abs(height);
 
-        // Convert pixels to real-world measurements based on scale
-        const realWidth = this.pixelsToRealWorld(absWidth);
-        const realHeight = this.pixelsToRealWorld(absHeight);
+        // Shown in the project's length unit
+        const realWidth = Measurements.formatPixels(absWidth);
+        const realHeight = Measurements.formatPixels(absHeight);
 
         this.ctx.save();
         this.ctx.fillStyle = '#2563eb';
@@ -524,7 +853,7 @@ class CanvasDrawing {
     }
 
     drawRadiusMeasurement(centerX, centerY, endX, endY, radius) {
-        const realRadius = this.pixelsToRealWorld(radius);
+        const realRadius = Measurements.formatPixels(radius);
 
         this.ctx.save();
         this.ctx.fillStyle = '#2563eb';
@@ -551,7 +880,7 @@ class CanvasDrawing {
     }
 
     drawLineMeasurement(startX, startY, endX, endY, length) {
-        const realLength = this.pixelsToRealWorld(length);
+        const realLength = Measurements.formatPixels(length);
 
         this.ctx.save();
         this.ctx.fillStyle = '#2563eb';
@@ -567,99 +896,665 @@ class CanvasDrawing {
         this.ctx.restore();
     }
 
-    // Utility Methods
-    snapToGridCoord(coord) {
-        return Math.round(coord / this.gridSize) * this.gridSize;
+    // Wall Drawing (click-click polyline runs)
+    isWallRunActive() {
+        return this.isDrawing && this.currentPreview instanceof Wall;
     }
 
-    pixelsToRealWorld(pixels) {
-        // Convert pixels to real-world measurements based on current scale
-        const scaleMap = {
-            '1:50': { factor: 0.5, unit: 'm' },
-            '1:100': { factor: 1, unit: 'm' },
-            '1:200': { factor: 2, unit: 'm' }
-        };
+    handleWallClick(x, y) {
+        if (this.isWallRunActive()) {
+            this.currentPreview.x2 = x;
+            this.currentPreview.y2 = y;
 
-        const scale = scaleMap[AppState.scale] || scaleMap['1:100'];
-        const realValue = (pixels / this.gridSize) * scale.factor;
+            if (this.isValidShape(this.currentPreview)) {
+                this.commitWallSegment();
+            }
+            return;
+        }
 
-        return `${realValue.toFixed(1)}${scale.unit}`;
+        this.currentPreview = this.createShapeForTool('wall', x, y);
+        this.isDrawing = true;
     }
 
-    isValidDrawing(drawing) {
-        switch (drawing.tool) {
-            case 'rectangle':
-                const width = Math.abs(drawing.endX - drawing.startX);
-                const height = Math.abs(drawing.endY - drawing.startY);
-                return width > 5 && height > 5;
-
-            case 'circle':
-                const radius = Math.sqrt(
-                    Math.pow(drawing.endX - drawing.startX, 2) +
-                    Math.pow(drawing.endY - drawing.startY, 2)
-                );
-                return radius > 5;
+    commitWallSegment() {
+        const wall = this.currentPreview;
 
-            case 'line':
-                const length = Math.sqrt(
-                    Math.pow(drawing.endX - drawing.startX, 2) +
-                    Math.pow(drawing.endY - drawing.startY, 2)
-                );
-                return length > 5;
+        this.addShapes([wall], 'Draw wall');
+        console.log('[CanvasDrawing] Wall added:', wall);
 
-            case 'text':
-                return true; // Text is always valid
+        // Next segment starts where this one ended, with the same thickness
+        this.currentPreview = new Wall(wall.x2, wall.y2, wall.x2, wall.y2, { thickness: wall.thickness });
+        this.startX = wall.x2;
+        this.startY = wall.y2;
+        this.syncDynamicInput();
+        this.redraw();
+    }
 
-            default:
-                return false;
-        }
+    endWallRun() {
+        this.currentPreview = null;
+        this.isDrawing = false;
+        this.syncDynamicInput();
+        this.redraw();
+        console.log('[CanvasDrawing] Wall run ended');
     }
 
-    getStrokeColor() {
-        const colorInput = document.getElementById('strokeColor');
-        return colorInput ? colorInput.value : '#2563eb';
+    /**
+     * Abandon the shape being drawn or the measurement, if any.
+     * Returns true when there was something to cancel.
+     */
+    cancelDrawing() {
+        if (this.measureTool && this.measureTool.clear()) return true;
+        if (!this.isDrawing) return false;
+
+        this.currentPreview = null;
+        this.isDrawing = false;
+        this.syncDynamicInput();
+        this.redraw();
+        return true;
     }
 
-    getStrokeWidth() {
-        const widthInput = document.getElementById('strokeWidth');
-        return widthInput ? parseInt(widthInput.value) : 2;
+    // Typed Lengths and Angles
+    isTwoPointTool(tool) {
+        return ['room', 'rectangle', 'circle', 'line', 'beam', 'dimension'].includes(tool);
     }
 
-    getFillColor() {
-        const fillInput = document.getElementById('fillColor');
-        return fillInput ? fillInput.value : 'transparent';
+    getDynamicInputLabels(shape) {
+        if (shape instanceof Wall || shape instanceof Line || shape instanceof MeasurementLine) {
+            return ['Length', 'Angle'];
+        }
+        if (shape instanceof Room || shape instanceof Rectangle) {
+            return ['Width', 'Height'];
+        }
+        if (shape instanceof Circle) {
+            return ['Radius', null];
+        }
+        return null;
     }
 
-    getCurrentToolProperties() {
-        // Return tool-specific properties
-        const properties = {};
+    // Show the box while a shape is being drawn, with its current size as placeholders
+    syncDynamicInput() {
+        if (!this.dynamicInput) return;
 
-        switch (AppState.currentTool) {
-            case 'text':
-                properties.text = prompt('Enter text:') || 'Text';
-                properties.fontSize = 16;
-                properties.fontFamily = 'Inter';
-                break;
+        const shape = this.isDrawing ? this.currentPreview : null;
+        const labels = shape ? this.getDynamicInputLabels(shape) : null;
 
-            case 'rectangle':
-            case 'circle':
-                properties.filled = document.getElementById('fillShape')?.checked || false;
-                break;
+        if (!labels) {
+            this.dynamicInput.hide();
+            return;
         }
 
-        return properties;
-    }
+        this.dynamicInput.show(...labels);
 
-    updateCursor(tool) {
-        const cursors = {
-            'select': 'default',
-            'rectangle': 'crosshair',
-            'circle': 'crosshair',
-            'line': 'crosshair',
-            'text': 'text'
-        };
+        const format = pixels => Measurements.formatPixels(pixels);
 
-        this.canvas.style.cursor = cursors[tool] || 'crosshair';
+        if (shape instanceof Room || shape instanceof Rectangle) {
+            this.dynamicInput.setPlaceholders(format(shape.width), format(shape.height));
+        } else if (shape instanceof Circle) {
+            this.dynamicInput.setPlaceholders(format(shape.radius));
+        } else {
+            const dx = shape.x2 - shape.x;
+            const dy = shape.y2 - shape.y;
+            const angle = (Math.atan2(-dy, dx) * 180 / Math.PI + 360) % 360;
+            this.dynamicInput.setPlaceholders(format(Math.hypot(dx, dy)), `${Math.round(angle)}°`);
+        }
+
+        if (this.lastPointer) {
+            const rect = this.canvas.getBoundingClientRect();
+            this.dynamicInput.moveTo(this.lastPointer.x - rect.left, this.lastPointer.y - rect.top);
+        }
+    }
+
+    // Typed length in canvas pixels, or null (flagging the field) if it doesn't parse
+    parseTypedLength(text, fieldIndex) {
+        const mm = Measurements.parseLength(text);
+
+        if (mm === null || mm <= 0) {
+            this.dynamicInput.markInvalid(fieldIndex);
+            return null;
+        }
+        return Measurements.mmToPixels(mm);
+    }
+
+    /**
+     * Fix the shape being drawn to the typed values; empty fields keep what the pointer gives.
+     * Angles are counter-clockwise from the positive x axis, as on paper.
+     */
+    applyDynamicInput({ first, second }) {
+        const shape = this.currentPreview;
+        if (!this.isDrawing || !shape) return;
+
+        if (shape instanceof Room || shape instanceof Rectangle) {
+            const width = first.trim() ? this.parseTypedLength(first, 0) : shape.width;
+            const height = second.trim() ? this.parseTypedLength(second, 1) : shape.height;
+            if (width === null || height === null) return;
+
+            // Grow towards the side the pointer is on
+            const sx = shape.x < this.startX ? -1 : 1;
+            const sy = shape.y < this.startY ? -1 : 1;
+            shape.width = width;
+            shape.height = height;
+            shape.x = this.startX + sx * width / 2;
+            shape.y = this.startY + sy * height / 2;
+        } else if (shape instanceof Circle) {
+            const radius = first.trim() ? this.parseTypedLength(first, 0) : shape.radius;
+            if (radius === null) return;
+
+            shape.radius = radius;
+        } else {
+            const dx = shape.x2 - shape.x;
+            const dy = shape.y2 - shape.y;
+            const currentLength = Math.hypot(dx, dy);
+
+            const length = first.trim() ? this.parseTypedLength(first, 0) : currentLength;
+            if (length === null) return;
+
+            let angle = currentLength > 0 ? Math.atan2(-dy, dx) * 180 / Math.PI : 0;
+            if (second.trim()) {
+                angle = Measurements.parseAngle(second);
+                if (angle === null) {
+                    this.dynamicInput.markInvalid(1);
+                    return;
+                }
+            }
+
+            const radians = angle * Math.PI / 180;
+            shape.x2 = shape.x + length * Math.cos(radians);
+            shape.y2 = shape.y - length * Math.sin(radians);
+        }
+
+        if (!this.isValidShape(shape)) {
+            this.dynamicInput.markInvalid(0);
+            return;
+        }
+
+        this.dynamicInput.clear();
+
+        if (shape instanceof Wall) {
+            // The run carries on from the typed end point, ready for the next length
+            this.commitWallSegment();
+            this.dynamicInput.focus();
+        } else {
+            this.finishDrawing();
+        }
+    }
+
+    // Text
+    startText(x, y, point) {
+        // Clicking an existing label edits it rather than stacking a new one on top
+        const shape = this.selectionManager.getShapeAt(x, y);
+        if (shape instanceof TextLabel) {
+            this.textEditor.open(shape);
+            return;
+        }
+
+        this.textEditor.open(this.createShapeForTool('text', point.x, point.y), true);
+    }
+
+    // Doors and Windows
+    isOpeningTool(tool) {
+        return tool === 'door' || tool === 'window';
+    }
+
+    updateOpeningHover(x, y) {
+        const tool = AppState.currentTool;
+        const OpeningClass = tool === 'door' ? Door : Window;
+
+        if (!(this.hoverOpening instanceof OpeningClass)) {
+            this.hoverOpening = this.createShapeForTool(tool, x, y);
+        }
+
+        const walls = AppState.drawings.filter(shape => shape instanceof Wall);
+        const hit = Opening.findNearestWall(walls, x, y, this.openingSnapDistance);
+
+        if (hit) {
+            const offset = this.snapToGrid ? this.snapToGridCoord(hit.offset) : hit.offset;
+            this.hoverOpening.attachToWall(hit.wall, offset);
+
+            // Doors open towards the side of the wall the cursor is on
+            if (this.hoverOpening instanceof Door) {
+                this.hoverOpening.swingSide = this.swingFlipped ? -hit.side : hit.side;
+            }
+        } else {
+            this.hoverOpening.detachFromWall();
+            this.hoverOpening.x = x;
+            this.hoverOpening.y = y;
+            this.hoverOpening.rotation = 0;
+        }
+
+        this.redraw();
+    }
+
+    placeOpening() {
+        const opening = this.hoverOpening;
+
+        if (!opening || !opening.wallId) {
+            if (window.showNotification) {
+                window.showNotification('Doors and windows must be placed on a wall', 'warning');
+            }
+            return;
+        }
+
+        this.addShapes([opening], opening instanceof Door ? 'Add door' : 'Add window');
+        console.log('[CanvasDrawing] Opening added:', opening);
+
+        // Keep hovering a fresh copy with the same orientation
+        this.hoverOpening = createShapeFromJSON({ ...opening.toJSON(), id: null });
+        this.redraw();
+    }
+
+    /**
+     * Flip the hinge ('hinge') or swing side ('swing') of the door being placed.
+     */
+    flipHoverOpening(mode) {
+        if (!(this.hoverOpening instanceof Door)) return;
+
+        if (mode === 'swing') {
+            this.swingFlipped = !this.swingFlipped;
+            this.hoverOpening.flipSwing();
+        } else {
+            this.hoverOpening.flipHinge();
+        }
+        this.redraw();
+    }
+
+    // Keep hosted openings on their walls after the walls move or change
+    syncOpenings() {
+        const wallsById = new Map();
+        AppState.drawings.forEach(shape => {
+            if (shape instanceof Wall) wallsById.set(shape.id, shape);
+        });
+
+        AppState.drawings.forEach(shape => {
+            if (shape instanceof Opening && shape.wallId && wallsById.has(shape.wallId)) {
+                shape.updateFromWall(wallsById.get(shape.wallId));
+            }
+        });
+    }
+
+    // Detected rooms keep to the walls around them as the walls are edited
+    syncRooms() {
+        const rooms = AppState.drawings.filter(shape => shape instanceof Room && shape.followsWalls);
+        if (rooms.length === 0) return;
+
+        const walls = AppState.drawings.filter(shape => shape instanceof Wall && shape.visible);
+
+        // Traced from its own walls, so a big move can't hand a room its neighbour's outline;
+        // rooms from before wall ids were kept start from their centre
+        const matches = rooms.map(room => {
+            const centre = { x: room.x, y: room.y };
+            const face = room.wallIds.length > 0
+                ? RoomDetection.findFaceOfWalls(walls, room.wallIds, centre)
+                : RoomDetection.findFace(walls, centre);
+            return { room, face, overlap: face ? RoomDetection.getWallOverlap(face, room.wallIds) : 0 };
+        });
+
+        matches.forEach(({ room, face, overlap }) => {
+            // A room whose walls no longer close keeps its last outline, as does one
+            // whose region another room was found in more surely
+            if (!face || matches.some(other => other.face === face && other.overlap > overlap)) return;
+
+            room.setOutline(RoomDetection.offsetFace(face));
+            room.wallIds = RoomDetection.getFaceWallIds(face);
+        });
+    }
+
+    // A room tool click inside a closed loop of walls fills it with a room
+    addDetectedRoom(x, y) {
+        const walls = AppState.drawings.filter(shape => shape instanceof Wall && shape.visible);
+        const face = RoomDetection.findFace(walls, { x, y });
+        if (!face) return false;
+
+        const room = this.createDetectedRoom(face);
+        this.addShapes([room], 'Add room');
+        console.log('[CanvasDrawing] Room detected:', room);
+        return true;
+    }
+
+    createDetectedRoom(face) {
+        const room = new Room(0, 0, 0, 0, { name: 'Room', followsWalls: true, wallIds: RoomDetection.getFaceWallIds(face) });
+        room.setOutline(RoomDetection.offsetFace(face));
+        return room;
+    }
+
+    // Closed loops formed by the given walls that don't have a room yet
+    findUnfilledRooms(selectedWalls) {
+        const walls = AppState.drawings.filter(shape => shape instanceof Wall && shape.visible);
+
+        return RoomDetection.findFacesBoundedBy(walls, selectedWalls)
+            .map(face => this.createDetectedRoom(face))
+            .filter(room => !AppState.drawings.some(shape => shape instanceof Room && shape.contains(room.x, room.y)));
+    }
+
+    convertWallsToRooms(selectedWalls) {
+        const rooms = this.findUnfilledRooms(selectedWalls);
+        if (rooms.length === 0) return [];
+
+        this.addShapes(rooms, 'Convert to room');
+        this.redraw();
+        return rooms;
+    }
+
+    // Snapping
+    usesObjectSnaps(tool) {
+        return ['wall', 'room', 'measure', 'dimension', 'rectangle', 'circle', 'line', 'stairs', 'column', 'beam'].includes(tool);
+    }
+
+    /**
+     * Snap a pointer position for the current tool: object snaps for drawing tools,
+     * falling back to the grid. While drawing, the segment start feeds perpendicular snaps.
+     */
+    snapPoint(x, y) {
+        if (!this.usesObjectSnaps(AppState.currentTool)) {
+            return {
+                x: this.snapToGrid ? this.snapToGridCoord(x) : x,
+                y: this.snapToGrid ? this.snapToGridCoord(y) : y
+            };
+        }
+
+        return this.snapManager.snap(x, y, {
+            from: this.hasStartPoint() ? { x: this.startX, y: this.startY } : null,
+            exclude: this.currentPreview ? [this.currentPreview] : []
+        });
+    }
+
+    // A shape or measurement is running on from (startX, startY)
+    hasStartPoint() {
+        return this.isDrawing || (this.measureTool !== null && this.measureTool.isMeasuring());
+    }
+
+    /**
+     * Snapped pointer position for drawing; with Shift, lines and walls
+     * are held to multiples of 45° from their start point.
+     */
+    getDrawPoint(x, y, event) {
+        const point = this.snapPoint(x, y);
+        const tool = AppState.currentTool;
+
+        if (!event.shiftKey || !this.hasStartPoint() || !['wall', 'line', 'beam', 'measure', 'dimension'].includes(tool)) {
+            return point;
+        }
+
+        const dx = point.x - this.startX;
+        const dy = point.y - this.startY;
+        const step = Math.PI / 4;
+        const angle = Math.round(Math.atan2(dy, dx) / step) * step;
+        const length = dx * Math.cos(angle) + dy * Math.sin(angle);
+        const constrained = {
+            x: this.startX + length * Math.cos(angle),
+            y: this.startY + length * Math.sin(angle)
+        };
+
+        // The snap marker only stays if the snapped point is still where the line ends
+        if (Geometry.distance(constrained, point) > 0.5) {
+            this.snapManager.clear();
+        }
+        return constrained;
+    }
+
+    // Show which snap the next click would take before anything is drawn
+    updateSnapHover(x, y) {
+        const previous = this.snapManager.current;
+        this.snapPoint(x, y);
+        const current = this.snapManager.current;
+
+        const unchanged = previous === current || (previous && current &&
+            previous.type === current.type && previous.x === current.x && previous.y === current.y);
+
+        if (!unchanged) {
+            this.redraw();
+            this.drawSnapIndicator();
+        }
+    }
+
+    // Utility Methods
+    snapToGridCoord(coord) {
+        return Math.round(coord / this.gridSize) * this.gridSize;
+    }
+
+    isValidShape(shape) {
+        if (shape instanceof Wall || shape instanceof Line || shape instanceof MeasurementLine) {
+            const length = Math.sqrt((shape.x2 - shape.x) ** 2 + (shape.y2 - shape.y) ** 2);
+            return length > 5;
+        }
+
+        if (shape instanceof Room || shape instanceof Rectangle) {
+            return shape.width > 5 && shape.height > 5;
+        }
+
+        if (shape instanceof Circle) {
+            return shape.radius > 5;
+        }
+
+        // Doors, windows and text labels are placed with a single click
+        return shape instanceof Shape;
+    }
+
+    // Shape Creation
+    createShapeForTool(tool, x, y) {
+        const properties = this.getCurrentToolProperties();
+        const options = {
+            strokeStyle: this.getStrokeColor(),
+            lineWidth: this.getStrokeWidth()
+        };
+        const fill = properties.filled ? this.getFillColor() : undefined;
+
+        switch (tool) {
+            case 'wall':
+                return new Wall(x, y, x, y, { thickness: Measurements.mmToPixels(properties.thickness) });
+            case 'door':
+                return new Door(x, y);
+            case 'window':
+                return new Window(x, y);
+            case 'room':
+                return new Room(x, y, 0, 0, { name: properties.name });
+            case 'text':
+                return new TextLabel(x, y, '', {
+                    fontSize: properties.fontSize,
+                    fontFamily: properties.fontFamily,
+                    fillStyle: properties.fillStyle
+                });
+            case 'dimension':
+                return new MeasurementLine(x, y, x, y, {
+                    dimensionStyle: properties.dimensionStyle,
+                    offset: Measurements.mmToPixels(properties.offset),
+                    precision: properties.precision,
+                    textPlacement: properties.textPlacement
+                });
+            case 'stairs':
+                return new Staircase(x, y, {
+                    stairType: properties.stairType,
+                    width: Measurements.mmToPixels(properties.width),
+                    tread: Measurements.mmToPixels(properties.tread),
+                    floorHeight: properties.floorHeight,
+                    riser: properties.riser
+                });
+            case 'column':
+                return new Column(x, y, {
+                    columnShape: properties.columnShape,
+                    width: Measurements.mmToPixels(properties.width),
+                    depth: Measurements.mmToPixels(properties.depth),
+                    layer: this.getStructureLayer()
+                });
+            case 'beam':
+                return new Beam(x, y, x, y, {
+                    width: Measurements.mmToPixels(properties.width),
+                    depth: properties.depth,
+                    layer: this.getStructureLayer()
+                });
+            case 'rectangle':
+                return new Rectangle(x, y, 0, 0, { ...options, fillStyle: fill });
+            case 'circle':
+                return new Circle(x, y, 0, { ...options, fillStyle: fill });
+            case 'line':
+                return new Line(x, y, x, y, options);
+            default:
+                return null;
+        }
+    }
+
+    updateShapeForTool(shape, x, y) {
+        if (shape instanceof Wall || shape instanceof Line || shape instanceof MeasurementLine) {
+            shape.x2 = x;
+            shape.y2 = y;
+        } else if (shape instanceof Room || shape instanceof Rectangle) {
+            // Room and Rectangle are centred on x/y, so span the drag from the start point
+            shape.x = (this.startX + x) / 2;
+            shape.y = (this.startY + y) / 2;
+            shape.width = Math.abs(x - this.startX);
+            shape.height = Math.abs(y - this.startY);
+        } else if (shape instanceof Circle) {
+            shape.radius = Math.sqrt((x - this.startX) ** 2 + (y - this.startY) ** 2);
+        } else if (shape instanceof Staircase) {
+            // Dragging points the stairs up towards the pointer, in 15° steps
+            if (Math.hypot(x - this.startX, y - this.startY) > 5) {
+                const angle = Math.atan2(y - this.startY, x - this.startX) * 180 / Math.PI;
+                shape.rotation = Math.round(angle / 15) * 15;
+            }
+        }
+    }
+
+    getStrokeColor() {
+        const colorInput = document.getElementById('strokeColor');
+        return colorInput ? colorInput.value : '#2563eb';
+    }
+
+    getStrokeWidth() {
+        const widthInput = document.getElementById('strokeWidth');
+        return widthInput ? parseInt(widthInput.value) : 2;
+    }
+
+    getFillColor() {
+        const fillInput = document.getElementById('fillColor');
+        return fillInput ? fillInput.value : 'transparent';
+    }
+
+    // Font settings from the properties panel
+    getTextProperties() {
+        const fontSizeInput = document.getElementById('text-font-size');
+        const fontFamilyInput = document.getElementById('text-font-family');
+        const colorInput = document.getElementById('text-color');
+
+        return {
+            fontSize: fontSizeInput ? Math.max(4, parseInt(fontSizeInput.value) || 16) : 16,
+            fontFamily: fontFamilyInput ? fontFamilyInput.value : 'Arial',
+            fillStyle: colorInput ? colorInput.value : '#000000'
+        };
+    }
+
+    // Length typed in a properties panel input, in millimetres
+    readLengthInput(id, fallback) {
+        const input = document.getElementById(id);
+        const mm = input ? Measurements.parseLength(input.value) : null;
+        return mm !== null && mm > 0 ? mm : fallback;
+    }
+
+    // Staircase settings from the properties panel; typed lengths in millimetres
+    getStairProperties() {
+        const typeInput = document.getElementById('stair-type');
+
+        return {
+            stairType: (typeInput && typeInput.value) || 'straight',
+            floorHeight: this.readLengthInput('stair-height', 3000),
+            riser: this.readLengthInput('stair-riser', 175),
+            tread: this.readLengthInput('stair-tread', 250),
+            width: this.readLengthInput('stair-width', 1000)
+        };
+    }
+
+    // Column and beam sizes from the properties panel, in millimetres
+    getColumnProperties() {
+        const shapeInput = document.getElementById('column-shape');
+
+        return {
+            columnShape: (shapeInput && shapeInput.value) || 'rectangular',
+            width: this.readLengthInput('column-width', 230),
+            depth: this.readLengthInput('column-depth', 450)
+        };
+    }
+
+    getBeamProperties() {
+        return {
+            width: this.readLengthInput('beam-width', 230),
+            depth: this.readLengthInput('beam-depth', 450)
+        };
+    }
+
+    // Settings for new dimensions; the offset may be negative to put the line on the other side
+    getDimensionProperties() {
+        const styleInput = document.getElementById('dimension-style');
+        const offsetInput = document.getElementById('dimension-offset');
+        const precisionInput = document.getElementById('dimension-precision');
+        const textInput = document.getElementById('dimension-text');
+        const offset = offsetInput ? Measurements.parseSignedLength(offsetInput.value) : null;
+
+        return {
+            dimensionStyle: (styleInput && styleInput.value) || 'aligned',
+            offset: offset !== null ? offset : 600,
+            precision: (precisionInput && precisionInput.value) || 'auto',
+            textPlacement: (textInput && textInput.value) || 'above'
+        };
+    }
+
+    getCurrentToolProperties() {
+        // Return tool-specific properties
+        const properties = {};
+
+        switch (AppState.currentTool) {
+            case 'text':
+                Object.assign(properties, this.getTextProperties());
+                break;
+
+            case 'wall':
+                properties.thickness = this.readLengthInput('wall-thickness', 230);
+                break;
+
+            case 'room':
+                properties.name = 'Room';
+                break;
+
+            case 'stairs':
+                Object.assign(properties, this.getStairProperties());
+                break;
+
+            case 'column':
+                Object.assign(properties, this.getColumnProperties());
+                break;
+
+            case 'beam':
+                Object.assign(properties, this.getBeamProperties());
+                break;
+
+            case 'dimension':
+                Object.assign(properties, this.getDimensionProperties());
+                break;
+
+            case 'rectangle':
+            case 'circle':
+                properties.filled = document.getElementById('fillShape')?.checked || false;
+                break;
+        }
+
+        return properties;
+    }
+
+    updateCursor(tool) {
+        const cursors = {
+            'select': 'default',
+            'wall': 'crosshair',
+            'door': 'pointer',
+            'window': 'pointer',
+            'room': 'crosshair',
+            'measure': 'crosshair',
+            'dimension': 'crosshair',
+            'pan': 'grab',
+            'zoom': 'zoom-in',
+            'rectangle': 'crosshair',
+            'circle': 'crosshair',
+            'line': 'crosshair',
+            'text': 'text'
+        };
+
+        this.canvas.style.cursor = cursors[tool] || 'crosshair';
     }
 
     updateZoomDisplay() {
@@ -669,146 +1564,1313 @@ class CanvasDrawing {
         }
     }
 
-    // Public Methods
-    resize() {
-        if (!this.canvas) return;
+    // Public Methods
+    resize() {
+        if (!this.canvas) return;
+
+        const container = this.canvas.parentElement;
+        const rect = container.getBoundingClientRect();
+
+        // Set canvas size to match container
+        this.canvas.width = rect.width;
+        this.canvas.height = rect.height;
+
+        // Redraw after resize
+        this.redraw();
+
+        console.log('[CanvasDrawing] Resized to:', rect.width, 'x', rect.height);
+        EventBus.emit('canvas:resized', { width: rect.width, height: rect.height });
+    }
+
+    setCurrentTool(tool) {
+        AppState.currentTool = tool;
+        EventBus.emit('tool:changed', tool);
+    }
+
+    setSnapToGrid(enabled) {
+        this.snapToGrid = enabled;
+    }
+
+    setGridSize(size) {
+        this.gridSize = size;
+        this.syncGridViewport();
+        this.redraw();
+        EventBus.emit('grid:resized', size);
+    }
+
+    clear() {
+        this.removeShapes(AppState.drawings, 'Clear');
+        this.redraw();
+        EventBus.emit('canvas:cleared');
+        console.log('[CanvasDrawing] Canvas cleared');
+    }
+
+    toggleGrid(visible) {
+        AppState.gridVisible = visible;
+        this.redraw();
+        console.log('[CanvasDrawing] Grid toggled:', visible);
+    }
+
+    // Viewport (screen = canvas * zoom + pan)
+    screenToCanvas(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (clientX - rect.left - AppState.pan.x) / AppState.zoom,
+            y: (clientY - rect.top - AppState.pan.y) / AppState.zoom
+        };
+    }
+
+    canvasToScreen(x, y) {
+        return {
+            x: x * AppState.zoom + AppState.pan.x,
+            y: y * AppState.zoom + AppState.pan.y
+        };
+    }
+
+    applyViewportTransform(ctx) {
+        ctx.translate(AppState.pan.x, AppState.pan.y);
+        ctx.scale(AppState.zoom, AppState.zoom);
+    }
+
+    // The grid lives in screen pixels: its spacing follows zoom and its origin follows pan
+    syncGridViewport() {
+        if (!this.grid) return;
+
+        this.grid.setSize(this.gridSize * AppState.zoom);
+        this.grid.setOffset(AppState.pan.x, AppState.pan.y);
+    }
+
+    setViewport(zoom, panX, panY) {
+        const zoomChanged = zoom !== AppState.zoom;
+
+        AppState.zoom = zoom;
+        AppState.pan = { x: panX, y: panY };
+
+        this.syncGridViewport();
+        this.updateZoomDisplay();
+        this.redraw();
+
+        if (zoomChanged) {
+            EventBus.emit('canvas:zoomed', zoom);
+        }
+        EventBus.emit('canvas:panned', { ...AppState.pan });
+    }
+
+    // Zoom keeping the canvas point under (screenX, screenY) fixed on screen
+    zoomAt(zoom, screenX, screenY) {
+        const newZoom = Math.max(0.1, Math.min(5, zoom));
+        if (newZoom === AppState.zoom) return;
+
+        const x = (screenX - AppState.pan.x) / AppState.zoom;
+        const y = (screenY - AppState.pan.y) / AppState.zoom;
+
+        this.setViewport(newZoom, screenX - x * newZoom, screenY - y * newZoom);
+    }
+
+    panBy(dx, dy) {
+        this.setViewport(AppState.zoom, AppState.pan.x + dx, AppState.pan.y + dy);
+    }
+
+    startPan(event) {
+        this.isPanning = true;
+        this.panStart = { clientX: event.clientX, clientY: event.clientY, pan: { ...AppState.pan } };
+        this.canvas.style.cursor = 'grabbing';
+    }
+
+    updatePan(event) {
+        const dx = event.clientX - this.panStart.clientX;
+        const dy = event.clientY - this.panStart.clientY;
+
+        this.setViewport(AppState.zoom, this.panStart.pan.x + dx, this.panStart.pan.y + dy);
+    }
+
+    endPan() {
+        this.isPanning = false;
+        this.panStart = null;
+        if (this.spacePressed) {
+            this.canvas.style.cursor = 'grab';
+        } else {
+            this.updateCursor(AppState.currentTool);
+        }
+    }
+
+    // Zoom Controls (anchored at the centre of the view)
+    zoomIn() {
+        this.zoomAt(AppState.zoom * 1.2, this.canvas.width / 2, this.canvas.height / 2);
+    }
+
+    zoomOut() {
+        this.zoomAt(AppState.zoom / 1.2, this.canvas.width / 2, this.canvas.height / 2);
+    }
+
+    resetZoom() {
+        this.zoomAt(1, this.canvas.width / 2, this.canvas.height / 2);
+    }
+
+    fitToScreen() {
+        if (AppState.drawings.length === 0) return;
+
+        // Calculate bounding box of all drawings
+        let minX = Infinity, minY = Infinity;
+        let maxX = -Infinity, maxY = -Infinity;
+
+        AppState.drawings.forEach(shape => {
+            const bounds = shape.getWorldBounds();
+            minX = Math.min(minX, bounds.left);
+            minY = Math.min(minY, bounds.top);
+            maxX = Math.max(maxX, bounds.right);
+            maxY = Math.max(maxY, bounds.bottom);
+        });
+
+        // A single straight wall has no height; don't divide by zero
+        const drawingWidth = Math.max(maxX - minX, 1);
+        const drawingHeight = Math.max(maxY - minY, 1);
+        const canvasWidth = this.canvas.width;
+        const canvasHeight = this.canvas.height;
+
+        const scaleX = (canvasWidth * 0.8) / drawingWidth;
+        const scaleY = (canvasHeight * 0.8) / drawingHeight;
+        const zoom = Math.max(0.1, Math.min(scaleX, scaleY, 5));
+
+        // Centre the drawing in the view
+        const centerX = (minX + maxX) / 2;
+        const centerY = (minY + maxY) / 2;
+
+        this.setViewport(zoom, canvasWidth / 2 - centerX * zoom, canvasHeight / 2 - centerY * zoom);
+    }
+
+    // Document Changes (every edit goes through the history so it can be undone)
+    addShapes(shapes, label = 'Add') {
+        if (shapes.length === 0) return;
+
+        this.history.execute(new AddShapesCommand(shapes, label));
+        shapes.forEach(shape => EventBus.emit('drawing:added', shape));
+    }
+
+    removeShapes(shapes, label = 'Delete') {
+        if (shapes.length === 0) return;
+
+        const removed = [...shapes];
+        this.history.execute(new RemoveShapesCommand(removed, label));
+        removed.forEach(shape => EventBus.emit('drawing:removed', shape));
+    }
+
+    /**
+     * Record changes already made to shapes, given their toJSON() records from before.
+     * Used for drags, where the shapes change live on every mouse move.
+     */
+    recordShapeChanges(shapes, before, label = 'Edit') {
+        const after = shapes.map(shape => shape.toJSON());
+        this.history.record(new ModifyShapesCommand(shapes, before, after, label));
+        shapes.forEach(shape => EventBus.emit('drawing:modified', shape));
+    }
+
+    // Change shapes through `mutate(shape)` as one undoable step
+    modifyShapes(shapes, mutate, label = 'Edit') {
+        if (shapes.length === 0) return;
+
+        const before = shapes.map(shape => shape.toJSON());
+        shapes.forEach(mutate);
+        this.recordShapeChanges(shapes, before, label);
+        this.redraw();
+    }
+
+    updateShapeProperties(shapes, properties, label = 'Edit properties') {
+        this.modifyShapes(shapes, shape => Object.assign(shape, properties), label);
+    }
+
+    moveShapesToLayer(shapes, layerId) {
+        this.modifyShapes(shapes, shape => { shape.layer = layerId; }, 'Move to layer');
+    }
+
+    setShapesLocked(shapes, locked) {
+        this.modifyShapes(shapes, shape => { shape.locked = locked; }, locked ? 'Lock' : 'Unlock');
+    }
+
+    // Locked shapes are left out of edits
+    getUnlockedShapes(shapes) {
+        return shapes.filter(shape => !shape.locked);
+    }
+
+    // Unlocked shapes that can be moved on their own; hosted doors and windows follow their walls
+    getMovableShapes(shapes) {
+        return this.getUnlockedShapes(shapes).filter(shape => !(shape instanceof Opening && shape.wallId));
+    }
+
+    getShapesBounds(shapes) {
+        return shapes.reduce((total, shape) => {
+            const shapeBounds = shape.getWorldBounds();
+            return {
+                left: Math.min(total.left, shapeBounds.left),
+                top: Math.min(total.top, shapeBounds.top),
+                right: Math.max(total.right, shapeBounds.right),
+                bottom: Math.max(total.bottom, shapeBounds.bottom)
+            };
+        }, { left: Infinity, top: Infinity, right: -Infinity, bottom: -Infinity });
+    }
+
+    getShapesCenter(shapes) {
+        const bounds = this.getShapesBounds(shapes);
+        return { x: (bounds.left + bounds.right) / 2, y: (bounds.top + bounds.bottom) / 2 };
+    }
+
+    // Arrange
+    /**
+     * Change the drawing order: 'forward'/'backward' move past one neighbour,
+     * 'front'/'back' move to the end of the list.
+     */
+    reorderShapes(shapes, placement) {
+        const moving = new Set(shapes);
+        let order = [...AppState.drawings];
+
+        if (placement === 'front') {
+            order = [...order.filter(shape => !moving.has(shape)), ...order.filter(shape => moving.has(shape))];
+        } else if (placement === 'back') {
+            order = [...order.filter(shape => moving.has(shape)), ...order.filter(shape => !moving.has(shape))];
+        } else if (placement === 'forward') {
+            // Topmost first, so neighbouring selected shapes keep their order
+            for (let i = order.length - 2; i >= 0; i--) {
+                if (moving.has(order[i]) && !moving.has(order[i + 1])) {
+                    [order[i], order[i + 1]] = [order[i + 1], order[i]];
+                }
+            }
+        } else if (placement === 'backward') {
+            for (let i = 1; i < order.length; i++) {
+                if (moving.has(order[i]) && !moving.has(order[i - 1])) {
+                    [order[i], order[i - 1]] = [order[i - 1], order[i]];
+                }
+            }
+        }
+
+        if (order.every((shape, index) => shape === AppState.drawings[index])) return;
+
+        const labels = { front: 'Bring to front', back: 'Send to back', forward: 'Bring forward', backward: 'Send backward' };
+        this.history.execute(new ReorderShapesCommand(order, labels[placement]));
+        this.redraw();
+    }
+
+    // Flip about the centre of the shapes' combined bounds
+    mirrorShapes(shapes, axis) {
+        const editable = this.getUnlockedShapes(shapes);
+        if (editable.length === 0) return;
+
+        const origin = this.getShapesCenter(editable);
+        const ids = new Set(editable.map(shape => shape.id));
+
+        this.modifyShapes(editable, shape => {
+            if (!(shape instanceof Opening) || !shape.wallId) {
+                shape.mirror(axis, origin);
+            } else if (ids.has(shape.wallId)) {
+                // Carried by its mirrored wall; only the swing changes side
+                shape.flipLocal('y');
+            } else {
+                // Its wall stays put, so flip it in place along the matching axis
+                const wall = AppState.drawings.find(drawing => drawing.id === shape.wallId);
+                const direction = wall ? wall.getDirection() : { x: 1, y: 0 };
+                const alongX = Math.abs(direction.x) >= Math.abs(direction.y);
+                shape.flipLocal((axis === 'horizontal') === alongX ? 'x' : 'y');
+            }
+        }, axis === 'horizontal' ? 'Flip horizontal' : 'Flip vertical');
+    }
+
+    // Positive degrees turn clockwise on screen
+    rotateShapes(shapes, degrees) {
+        const editable = this.getMovableShapes(shapes);
+        if (editable.length === 0) return;
+
+        const center = this.getShapesCenter(editable);
+        this.modifyShapes(editable, shape => shape.rotateAround(center.x, center.y, degrees), 'Rotate');
+    }
+
+    // Align and Distribute
+    // Shapes split into the items a user sees: each group together, other shapes alone
+    getItems(shapes) {
+        const items = new Map();
+        shapes.forEach(shape => {
+            const key = shape.groupIds[0] || shape.id;
+            if (!items.has(key)) items.set(key, []);
+            items.get(key).push(shape);
+        });
+
+        return [...items.values()].map(members => ({ shapes: members, bounds: this.getShapesBounds(members) }));
+    }
+
+    // Move each item by the offset returned for it, as one undoable step
+    moveItems(items, getOffset, label) {
+        const offsets = new Map();
+        items.forEach(item => {
+            const offset = getOffset(item);
+            item.shapes.forEach(shape => offsets.set(shape, offset));
+        });
 
-        const container = this.canvas.parentElement;
-        const rect = container.getBoundingClientRect();
+        this.modifyShapes([...offsets.keys()], shape => {
+            const { x, y } = offsets.get(shape);
+            shape.move(x, y);
+        }, label);
+    }
 
-        // Set canvas size to match container
-        this.canvas.width = rect.width;
-        this.canvas.height = rect.height;
+    /**
+     * Line items up with an edge of their combined bounds: 'left', 'center' or
+     * 'right' horizontally, 'top', 'middle' or 'bottom' vertically.
+     */
+    alignShapes(shapes, edge) {
+        const items = this.getItems(this.getMovableShapes(shapes));
+        if (items.length < 2) return;
+
+        const target = this.getShapesBounds(items.flatMap(item => item.shapes));
+        const labels = {
+            left: 'Align left', center: 'Align centre', right: 'Align right',
+            top: 'Align top', middle: 'Align middle', bottom: 'Align bottom'
+        };
 
-        // Redraw after resize
+        this.moveItems(items, ({ bounds }) => {
+            switch (edge) {
+                case 'left':
+                    return { x: target.left - bounds.left, y: 0 };
+                case 'center':
+                    return { x: (target.left + target.right - bounds.left - bounds.right) / 2, y: 0 };
+                case 'right':
+                    return { x: target.right - bounds.right, y: 0 };
+                case 'top':
+                    return { x: 0, y: target.top - bounds.top };
+                case 'middle':
+                    return { x: 0, y: (target.top + target.bottom - bounds.top - bounds.bottom) / 2 };
+                default:
+                    return { x: 0, y: target.bottom - bounds.bottom };
+            }
+        }, labels[edge]);
+    }
+
+    /**
+     * Space items so the gaps between them are equal along 'horizontal' or
+     * 'vertical'. The outermost two stay where they are.
+     */
+    distributeShapes(shapes, axis) {
+        const [start, end] = axis === 'horizontal' ? ['left', 'right'] : ['top', 'bottom'];
+        const items = this.getItems(this.getMovableShapes(shapes))
+            .sort((a, b) => (a.bounds[start] + a.bounds[end]) - (b.bounds[start] + b.bounds[end]));
+        if (items.length < 3) return;
+
+        const first = items[0].bounds[start];
+        const last = Math.max(...items.map(item => item.bounds[end]));
+        const occupied = items.reduce((total, item) => total + item.bounds[end] - item.bounds[start], 0);
+        const gap = (last - first - occupied) / (items.length - 1);
+
+        // Each item starts one gap after the end of the one before it
+        let position = first;
+        this.moveItems(items, ({ bounds }) => {
+            const delta = position - bounds[start];
+            position += bounds[end] - bounds[start] + gap;
+            return axis === 'horizontal' ? { x: delta, y: 0 } : { x: 0, y: delta };
+        }, axis === 'horizontal' ? 'Distribute horizontally' : 'Distribute vertically');
+    }
+
+    /**
+     * Repeat shapes in a grid of `columns` × `rows`, `spacing` pixels apart
+     * centre to centre. The originals are the first cell; walls bring their
+     * doors and windows.
+     */
+    arrayShapes(shapes, { columns, rows, spacing }) {
+        const editable = this.getMovableShapes(shapes);
+        if (editable.length === 0 || columns * rows < 2) return [];
+
+        const records = this.getCopyRecords(editable);
+        const copies = [];
+
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                if (row === 0 && column === 0) continue;
+                copies.push(...this.createCopies(records, { x: column * spacing.x, y: row * spacing.y }));
+            }
+        }
+
+        this.addShapes(copies, 'Array');
+        this.selectionManager.select([...editable, ...copies]);
         this.redraw();
+        return copies;
+    }
 
-        console.log('[CanvasDrawing] Resized to:', rect.width, 'x', rect.height);
-        EventBus.emit('canvas:resized', { width: rect.width, height: rect.height });
+    // Copy and Paste
+    // Records of the shapes plus the doors and windows hosted in their walls
+    getCopyRecords(shapes) {
+        const ids = new Set(shapes.map(shape => shape.id));
+        const hosted = AppState.drawings.filter(shape =>
+            shape instanceof Opening && ids.has(shape.wallId) && !ids.has(shape.id)
+        );
+
+        return [...shapes, ...hosted].map(shape => shape.toJSON());
     }
 
-    clear() {
-        AppState.drawings = [];
+    // New shapes from toJSON() records, moved by offset
+    createCopies(records, offset) {
+        const newIds = new Map();
+        const newGroupIds = new Map();
+        const copies = [];
+
+        records.forEach(record => {
+            const copy = createShapeFromJSON({ ...record, id: null });
+            if (!copy) return;
+
+            // Copied groups become new groups rather than joining the originals
+            copy.groupIds = copy.groupIds.map(groupId => {
+                if (!newGroupIds.has(groupId)) newGroupIds.set(groupId, this.createId('group'));
+                return newGroupIds.get(groupId);
+            });
+
+            newIds.set(record.id, copy.id);
+            copies.push(copy);
+        });
+
+        const hasWalls = copies.some(copy => copy instanceof Wall);
+
+        copies.forEach(copy => {
+            if (copy instanceof Opening && copy.wallId) {
+                // Openings move into a copied wall, or come loose from one that wasn't copied
+                copy.wallId = newIds.get(copy.wallId) || null;
+            }
+            if (copy instanceof MeasurementLine) {
+                // Dimensions stay on shapes copied with them and come loose from the rest
+                copy.remapAnchors(newIds);
+            }
+            if (copy instanceof Room) {
+                // A detected room follows the copies of its walls; without them it
+                // would jump back onto the originals
+                copy.wallIds = copy.wallIds.map(id => newIds.get(id)).filter(id => id);
+                if (!hasWalls) copy.followsWalls = false;
+            }
+            if (!(copy instanceof Opening && copy.wallId)) {
+                copy.move(offset.x, offset.y);
+            }
+        });
+
+        return copies;
+    }
+
+    // Copy, then remove; hosted doors and windows go with their walls
+    cutShapes(shapes) {
+        const editable = this.getUnlockedShapes(shapes);
+        if (editable.length === 0) return;
+
+        this.copyShapes(editable);
+        this.removeShapes(this.getShapesWithOpenings(editable), 'Cut');
         this.redraw();
-        this.saveState(); // Save clear state for undo
-        EventBus.emit('canvas:cleared');
-        console.log('[CanvasDrawing] Canvas cleared');
     }
 
-    toggleGrid(visible) {
-        AppState.gridVisible = visible;
+    // The shapes plus the doors and windows hosted in their walls, in drawing order
+    getShapesWithOpenings(shapes) {
+        const ids = new Set(shapes.map(shape => shape.id));
+        return AppState.drawings.filter(shape =>
+            ids.has(shape.id) || (shape instanceof Opening && ids.has(shape.wallId))
+        );
+    }
+
+    duplicateShapes(shapes) {
+        const editable = this.getUnlockedShapes(shapes);
+        if (editable.length === 0) return [];
+
+        const copies = this.createCopies(this.getCopyRecords(editable), { x: this.gridSize, y: this.gridSize });
+        this.addShapes(copies, 'Duplicate');
+        this.selectionManager.select(copies);
         this.redraw();
-        console.log('[CanvasDrawing] Grid toggled:', visible);
+        return copies;
     }
 
-    // Zoom Controls
-    zoomIn() {
-        const newZoom = Math.min(5, AppState.zoom * 1.2);
-        if (newZoom !== AppState.zoom) {
-            AppState.zoom = newZoom;
-            this.updateZoomDisplay();
-            this.redraw();
-            EventBus.emit('canvas:zoomed', newZoom);
+    /**
+     * Shapes go on the system clipboard as JSON, so they can be pasted into
+     * another tab; block instances take their definitions along.
+     */
+    copyShapes(shapes) {
+        if (shapes.length === 0) return;
+
+        const records = this.getCopyRecords(shapes);
+        const text = JSON.stringify({
+            format: CanvasDrawing.CLIPBOARD_FORMAT,
+            shapes: records,
+            blocks: this.getClipboardBlocks(records)
+        });
+        this.clipboard = text;
+
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(text).catch(error => {
+                console.warn('[CanvasDrawing] Could not write to the clipboard:', error);
+            });
         }
     }
 
-    zoomOut() {
-        const newZoom = Math.max(0.1, AppState.zoom / 1.2);
-        if (newZoom !== AppState.zoom) {
-            AppState.zoom = newZoom;
-            this.updateZoomDisplay();
-            this.redraw();
-            EventBus.emit('canvas:zoomed', newZoom);
+    /**
+     * Paste copied shapes centred on `point`, or one grid step from where
+     * they were copied when no point is given.
+     */
+    async pasteShapes(point = null) {
+        let text = null;
+        if (navigator.clipboard && navigator.clipboard.readText) {
+            try {
+                text = await navigator.clipboard.readText();
+            } catch (error) {
+                // Reading needs permission; fall back to the last copy made here
+            }
         }
+
+        const clipboard = this.parseClipboard(text) || this.parseClipboard(this.clipboard);
+        if (!clipboard || clipboard.shapes.length === 0) return [];
+
+        const { blockIds, added } = this.mergeClipboardBlocks(clipboard.blocks);
+        const records = this.remapBlockIds(clipboard.shapes, blockIds);
+
+        const copies = this.history.transact('Paste', () => {
+            // Definitions first, so the instances can be measured and drawn
+            if (added.length > 0) {
+                this.history.execute(new SetPropertiesCommand(AppState, { blocks: [...AppState.blocks, ...added] }, {
+                    event: 'blocks:changed'
+                }));
+            }
+
+            let offset = { x: this.gridSize, y: this.gridSize };
+            if (point) {
+                const center = this.getShapesCenter(this.restoreShapes(records));
+                offset = { x: point.x - center.x, y: point.y - center.y };
+            }
+
+            const pasted = this.createCopies(records, offset);
+            this.addShapes(pasted);
+            return pasted;
+        });
+
+        this.selectionManager.select(copies);
+        this.redraw();
+        return copies;
     }
 
-    resetZoom() {
-        if (AppState.zoom !== 1) {
-            AppState.zoom = 1;
-            this.updateZoomDisplay();
-            this.redraw();
-            EventBus.emit('canvas:zoomed', 1);
+    parseClipboard(text) {
+        if (!text) return null;
+
+        try {
+            const data = JSON.parse(text);
+            if (!data || data.format !== CanvasDrawing.CLIPBOARD_FORMAT || !Array.isArray(data.shapes)) return null;
+
+            // Copies made before definitions were included carry none
+            return { shapes: data.shapes, blocks: Array.isArray(data.blocks) ? data.blocks : [] };
+        } catch (error) {
+            return null;
         }
     }
 
-    fitToScreen() {
-        if (AppState.drawings.length === 0) return;
+    // Definitions of the blocks placed by the records, including blocks placed inside them
+    getClipboardBlocks(records) {
+        const blocks = new Map();
+        const collect = shapeRecords => shapeRecords.forEach(record => {
+            if (record.type !== 'BlockInstance' || blocks.has(record.blockId)) return;
 
-        // Calculate bounding box of all drawings
-        let minX = Infinity, minY = Infinity;
-        let maxX = -Infinity, maxY = -Infinity;
+            const block = this.getBlock(record.blockId);
+            if (!block) return;
 
-        AppState.drawings.forEach(drawing => {
-            minX = Math.min(minX, drawing.startX, drawing.endX);
-            minY = Math.min(minY, drawing.startY, drawing.endY);
-            maxX = Math.max(maxX, drawing.startX, drawing.endX);
-            maxY = Math.max(maxY, drawing.startY, drawing.endY);
+            const shapes = block.shapes.map(shape => shape.toJSON());
+            blocks.set(block.id, { id: block.id, name: block.name, shapes });
+            collect(shapes);
         });
 
-        const drawingWidth = maxX - minX;
-        const drawingHeight = maxY - minY;
+        collect(records);
+        return [...blocks.values()];
+    }
 
-        if (drawingWidth > 0 && drawingHeight > 0) {
-            const canvasWidth = this.canvas.width;
-            const canvasHeight = this.canvas.height;
+    /**
+     * Match copied block definitions with this project's. One already here is
+     * used as it is, a missing one is added, and one whose id is taken by a
+     * different block is added under a new id. Returns the id each copied
+     * block goes by here and the definitions to add.
+     */
+    mergeClipboardBlocks(blocks) {
+        const blockIds = new Map();
+
+        blocks.forEach(block => {
+            const existing = this.getBlock(block.id);
+            const isSame = existing && existing.name === block.name &&
+                JSON.stringify(existing.shapes.map(shape => shape.toJSON())) === JSON.stringify(block.shapes);
+
+            blockIds.set(block.id, !existing || isSame ? block.id : this.createId('block'));
+        });
 
-            const scaleX = (canvasWidth * 0.8) / drawingWidth;
-            const scaleY = (canvasHeight * 0.8) / drawingHeight;
+        const added = blocks
+            .filter(block => !this.getBlock(blockIds.get(block.id)))
+            .map(block => ({
+                id: blockIds.get(block.id),
+                name: block.name,
+                shapes: this.restoreShapes(this.remapBlockIds(block.shapes, blockIds))
+            }));
 
-            AppState.zoom = Math.min(scaleX, scaleY, 5);
-            this.updateZoomDisplay();
-            this.redraw();
-            EventBus.emit('canvas:zoomed', AppState.zoom);
+        return { blockIds, added };
+    }
+
+    // Records with their block instances pointed at the blocks' ids here
+    remapBlockIds(records, blockIds) {
+        return records.map(record => record.type === 'BlockInstance' && blockIds.has(record.blockId)
+            ? { ...record, blockId: blockIds.get(record.blockId) }
+            : record);
+    }
+
+    // Unique id for groups and blocks, shaped like shape ids
+    createId(prefix) {
+        return `${prefix}_${Date.now()}_${Shape.nextId++}`;
+    }
+
+    // Groups
+    // Wrap the shapes in a new outermost group; groups they were in nest inside it
+    groupShapes(shapes) {
+        if (shapes.length < 2) return;
+
+        const groupId = this.createId('group');
+        this.modifyShapes(shapes, shape => { shape.groupIds = [groupId, ...shape.groupIds]; }, 'Group');
+    }
+
+    // Take off the outermost group, leaving the groups nested inside it
+    ungroupShapes(shapes) {
+        const grouped = shapes.filter(shape => shape.groupIds.length > 0);
+        this.modifyShapes(grouped, shape => { shape.groupIds = shape.groupIds.slice(1); }, 'Ungroup');
+    }
+
+    // Blocks
+    getBlock(blockId) {
+        return AppState.blocks.find(block => block.id === blockId) || null;
+    }
+
+    /**
+     * Turn shapes into a new block definition, stored about their centre, and
+     * put an instance of it in their place.
+     */
+    createBlock(shapes, name) {
+        const editable = this.getMovableShapes(shapes);
+        if (editable.length === 0) return null;
+
+        const center = this.getShapesCenter(editable);
+        const block = {
+            id: this.createId('block'),
+            name,
+            shapes: this.toBlockFrame(editable, { x: center.x, y: center.y, rotation: 0, flipped: false })
+        };
+        const instance = new BlockInstance(center.x, center.y, block.id, { layer: editable[0].layer });
+
+        this.history.begin('Create block');
+        this.history.execute(new SetPropertiesCommand(AppState, { blocks: [...AppState.blocks, block] }, {
+            event: 'blocks:changed'
+        }));
+        this.removeShapes(this.getShapesWithOpenings(editable));
+        this.addShapes([instance]);
+        this.history.commit();
+
+        this.selectionManager.select([instance]);
+        this.redraw();
+        return instance;
+    }
+
+    insertBlock(blockId, point) {
+        const instance = new BlockInstance(point.x, point.y, blockId);
+        this.addShapes([instance], 'Insert block');
+        this.selectionManager.select([instance]);
+        this.redraw();
+        return instance;
+    }
+
+    // Replace instances with ordinary copies of their definitions' shapes
+    explodeBlocks(instances) {
+        const shapes = instances.flatMap(instance => this.getPlacedBlockShapes(instance));
+        if (shapes.length === 0) return;
+
+        this.history.begin('Explode block');
+        this.removeShapes(instances);
+        this.addShapes(shapes);
+        this.history.commit();
+
+        this.selectionManager.select(shapes);
+        this.redraw();
+    }
+
+    /**
+     * Open an instance for editing: it is exploded in place, and saveBlockEdit()
+     * later writes the selected shapes back into the definition, which changes
+     * every instance of the block.
+     */
+    editBlock(instance) {
+        const block = instance.getDefinition();
+        if (!block) return;
+
+        this.explodeBlocks([instance]);
+        this.blockEdit = { blockId: block.id, placement: instance.toJSON() };
+        console.log('[CanvasDrawing] Editing block:', block.name);
+    }
+
+    getEditedBlock() {
+        return this.blockEdit ? this.getBlock(this.blockEdit.blockId) : null;
+    }
+
+    saveBlockEdit(shapes) {
+        const block = this.getEditedBlock();
+        const editable = this.getMovableShapes(shapes);
+        if (!block || editable.length === 0) return;
+
+        // A block can't contain itself
+        if (this.usesBlock(editable, block.id)) {
+            console.warn('[CanvasDrawing] A block cannot contain an instance of itself:', block.name);
+            return;
         }
+
+        const placement = this.blockEdit.placement;
+        const instance = createShapeFromJSON({ ...placement, id: null });
+
+        this.history.begin('Save block');
+        this.history.execute(new SetPropertiesCommand(block, { shapes: this.toBlockFrame(editable, placement) }));
+        this.removeShapes(this.getShapesWithOpenings(editable));
+        this.addShapes([instance]);
+        this.history.commit();
+
+        this.blockEdit = null;
+        this.selectionManager.select([instance]);
+        this.redraw();
     }
 
-    // History Management (Undo/Redo)
-    saveState() {
-        // Remove any future history if we're not at the end
-        if (this.historyIndex < this.history.length - 1) {
-            this.history = this.history.slice(0, this.historyIndex + 1);
+    // Whether shapes hold an instance of the block, directly or inside other blocks
+    usesBlock(shapes, blockId) {
+        return shapes.some(shape => {
+            if (!(shape instanceof BlockInstance)) return false;
+
+            const definition = shape.getDefinition();
+            return shape.blockId === blockId || (definition && this.usesBlock(definition.shapes, blockId));
+        });
+    }
+
+    // Copies of an instance's shapes, placed where the instance shows them
+    getPlacedBlockShapes(instance) {
+        const copies = this.createCopies(instance.getShapes().map(shape => shape.toJSON()), { x: 0, y: 0 });
+
+        copies.forEach(copy => {
+            // Hosted doors and windows are carried by their walls
+            if (copy instanceof Opening && copy.wallId) return;
+
+            copy.rotateAround(0, 0, instance.rotation);
+            copy.move(instance.x, instance.y);
+        });
+
+        this.placeHostedOpenings(copies);
+        return copies;
+    }
+
+    // Copies of shapes in the frame of a block placed at `placement`; the inverse of getPlacedBlockShapes
+    toBlockFrame(shapes, placement) {
+        const origin = { x: 0, y: 0 };
+        const copies = this.createCopies(this.getCopyRecords(shapes), { x: -placement.x, y: -placement.y });
+
+        copies.forEach(copy => {
+            if (copy instanceof Opening && copy.wallId) {
+                if (placement.flipped) copy.flipLocal('y');
+                return;
+            }
+
+            copy.rotateAround(0, 0, -placement.rotation);
+            if (placement.flipped) copy.mirror('horizontal', origin);
+        });
+
+        this.placeHostedOpenings(copies);
+        return copies;
+    }
+
+    // Shapes outside the drawing aren't synced, so their doors and windows are put in their walls here
+    placeHostedOpenings(shapes) {
+        shapes.forEach(shape => {
+            if (!(shape instanceof Opening) || !shape.wallId) return;
+
+            const wall = shapes.find(other => other.id === shape.wallId);
+            if (wall) shape.updateFromWall(wall);
+        });
+    }
+
+    // Symbols
+    // Place a library symbol at its real-world size, centred on `point` or on the view
+    placeSymbol(symbolId, point = null) {
+        if (!FurnitureSymbol.CATALOGUE[symbolId]) return null;
+
+        const position = point || {
+            x: (this.canvas.width / 2 - AppState.pan.x) / AppState.zoom,
+            y: (this.canvas.height / 2 - AppState.pan.y) / AppState.zoom
+        };
+        const symbol = new FurnitureSymbol(position.x, position.y, symbolId);
+
+        this.addShapes([symbol], `Add ${FurnitureSymbol.CATALOGUE[symbolId].name.toLowerCase()}`);
+        this.selectionManager.select([symbol]);
+        this.redraw();
+        return symbol;
+    }
+
+    // Id of the layer with this name, made when first needed
+    getNamedLayer(name) {
+        if (!this.layerManager) return 0;
+
+        const layer = this.layerManager.getAllLayers().find(candidate => candidate.name === name) ||
+            this.layerManager.createLayer(name);
+        return layer.id;
+    }
+
+    // Structure
+    // Layer that columns, beams and column grids go on
+    getStructureLayer() {
+        return this.getNamedLayer(CanvasDrawing.STRUCTURE_LAYER);
+    }
+
+    /**
+     * Add a column grid centred on `point`, with bays of the given pixel
+     * spacings, and a column at every crossing when `column` gives a size
+     * ({ columnShape, width, depth } in millimetres).
+     */
+    createColumnGrid(point, { xSpacings, ySpacings, column = null }) {
+        const layer = this.getStructureLayer();
+        const grid = new ColumnGrid(point.x, point.y, { xSpacings, ySpacings, layer });
+        const columns = column ? grid.getIntersections().map(crossing => new Column(crossing.x, crossing.y, {
+            columnShape: column.columnShape,
+            width: Measurements.mmToPixels(column.width),
+            depth: Measurements.mmToPixels(column.depth),
+            layer
+        })) : [];
+
+        this.addShapes([grid, ...columns], 'Add column grid');
+        this.selectionManager.select([grid, ...columns]);
+        this.redraw();
+        return grid;
+    }
+
+    /**
+     * One row per column size, marked C1, C2, ... in the order the sizes first
+     * appear: { mark, columnShape, width, depth (mm), count, locations }.
+     * Locations are the column grid crossings the columns stand on.
+     */
+    getColumnSchedule() {
+        const crossings = AppState.drawings.filter(shape => shape instanceof ColumnGrid).flatMap(grid => grid.getIntersections());
+        const rows = new Map();
+
+        AppState.drawings.filter(shape => shape instanceof Column).forEach(column => {
+            const size = column.getSize();
+            const width = Math.round(size.width);
+            const depth = Math.round(size.depth);
+            const key = `${column.columnShape}:${width}x${depth}`;
+
+            if (!rows.has(key)) {
+                rows.set(key, { mark: `C${rows.size + 1}`, columnShape: column.columnShape, width, depth, count: 0, locations: [] });
+            }
+            const row = rows.get(key);
+            row.count++;
+
+            const tolerance = Math.max(column.width, column.depth) * column.scale / 2;
+            const crossing = crossings.find(candidate => Geometry.distance(candidate, column) <= tolerance);
+            if (crossing) {
+                row.locations.push(crossing.label);
+            }
+        });
+
+        return Array.from(rows.values());
+    }
+
+    // The schedule as a text table placed at `point`, to print with the plan
+    insertColumnSchedule(point) {
+        const rows = this.getColumnSchedule();
+        if (rows.length === 0) return null;
+
+        const lines = rows.map(row => {
+            const size = row.columnShape === 'circular' ? `Ø${row.width}` : `${row.width} x ${row.depth}`;
+            const locations = row.locations.length > 0 ? `  ${row.locations.join(', ')}` : '';
+            return `${row.mark.padEnd(6)}${size.padEnd(12)}${row.count} nos${locations}`;
+        });
+        const total = rows.reduce((sum, row) => sum + row.count, 0);
+
+        // Monospaced, so the columns of the table line up
+        const label = new TextLabel(point.x, point.y, [
+            'COLUMN SCHEDULE (mm)',
+            `${'MARK'.padEnd(6)}${'SIZE'.padEnd(12)}QTY`,
+            ...lines,
+            `${'TOTAL'.padEnd(18)}${total} nos`
+        ].join('\n'), { fontSize: 8, fontFamily: 'Courier New', layer: this.getStructureLayer() });
+
+        this.addShapes([label], 'Add column schedule');
+        this.selectionManager.select([label]);
+        this.redraw();
+        return label;
+    }
+
+    // Dimensions
+    // Attached dimensions keep to the shapes they measure as those change
+    syncDimensions() {
+        const dimensions = AppState.drawings.filter(shape => shape instanceof MeasurementLine && shape.isAttached());
+        if (dimensions.length === 0) return;
+
+        const shapesById = new Map(AppState.drawings.map(shape => [shape.id, shape]));
+        dimensions.forEach(dimension => dimension.syncAnchors(shapesById));
+    }
+
+    /**
+     * The reference point of a shape at `point`, as { shape, key }, or null.
+     * Where walls meet other shapes the wall wins.
+     */
+    findReferencePoint(point, tolerance = 0.5) {
+        const shapes = AppState.drawings.filter(shape =>
+            shape.visible && !(shape instanceof MeasurementLine) && !(shape instanceof TextLabel)
+        );
+        const ordered = [...shapes.filter(shape => shape instanceof Wall), ...shapes.filter(shape => !(shape instanceof Wall))];
+        let nearest = null;
+
+        ordered.forEach(shape => {
+            Object.entries(shape.getReferencePoints()).forEach(([key, reference]) => {
+                const distance = Geometry.distance(point, reference);
+                if (distance <= tolerance && (!nearest || distance < nearest.distance)) {
+                    nearest = { shape, key, distance };
+                }
+            });
+        });
+
+        return nearest;
+    }
+
+    // Attach each measured point that lies on a wall end, room corner or the like
+    attachDimension(dimension) {
+        const count = dimension.dimensionStyle === 'angular' ? 3 : 2;
+
+        dimension.getPoints().slice(0, count).forEach((point, index) => {
+            const reference = this.findReferencePoint(point);
+            if (reference) {
+                dimension.attach(index, reference.shape, reference.key);
+            }
+        });
+        return dimension;
+    }
+
+    addDimensions(dimensions, label) {
+        if (dimensions.length === 0) return [];
+
+        this.addShapes(dimensions, label);
+        this.selectionManager.select(dimensions);
+        this.redraw();
+        return dimensions;
+    }
+
+    // Along each wall, clear of its right-hand face
+    dimensionWalls(walls) {
+        const dimensions = walls.filter(wall => wall.getLength() > 0).map(wall => {
+            const dimension = new MeasurementLine(wall.x, wall.y, wall.x2, wall.y2, {
+                offset: wall.thickness / 2 + CanvasDrawing.DIMENSION_SPACING,
+                layer: wall.layer
+            });
+            dimension.attach(0, wall, 'start');
+            dimension.attach(1, wall, 'end');
+            return dimension;
+        });
+
+        return this.addDimensions(dimensions, 'Dimension walls');
+    }
+
+    // Every edge of the room, measured just inside it
+    dimensionRoomEdges(room) {
+        const points = room.getWorldPoints();
+
+        const dimensions = points.map((start, index) => {
+            const next = (index + 1) % points.length;
+            const end = points[next];
+            const middle = Geometry.midpoint(start, end);
+            const right = Geometry.perpendicular(Geometry.normalize(Geometry.subtract(end, start)));
+            const inside = Geometry.pointInPolygon(Geometry.add(middle, right), points) ? 1 : -1;
+
+            const dimension = new MeasurementLine(start.x, start.y, end.x, end.y, {
+                offset: inside * CanvasDrawing.DIMENSION_SPACING,
+                layer: room.layer
+            });
+            dimension.attach(0, room, `vertex:${index}`);
+            dimension.attach(1, room, `vertex:${next}`);
+            return dimension;
+        }).filter(dimension => dimension.getValue() > 0);
+
+        return this.addDimensions(dimensions, 'Dimension room');
+    }
+
+    /**
+     * The angle between two walls or lines, at the corner they share or where
+     * they would cross. Returns null for parallel shapes.
+     */
+    dimensionAngle(first, second) {
+        const ends = shape => [
+            { key: 'start', point: { x: shape.x, y: shape.y } },
+            { key: 'end', point: { x: shape.x2, y: shape.y2 } }
+        ];
+
+        let vertex = null;
+        ends(first).forEach(a => ends(second).forEach(b => {
+            if (!vertex && Geometry.pointsEqual(a.point, b.point)) vertex = a;
+        }));
+
+        if (!vertex) {
+            const crossing = Geometry.lineIntersection(
+                { x: first.x, y: first.y }, { x: first.x2 - first.x, y: first.y2 - first.y },
+                { x: second.x, y: second.y }, { x: second.x2 - second.x, y: second.y2 - second.y }
+            );
+            if (!crossing) return null;
+            vertex = { key: null, point: crossing };
+        }
+
+        // Each arm runs to the end of its shape furthest from the corner
+        const arm = shape => ends(shape).reduce((far, end) =>
+            Geometry.distance(end.point, vertex.point) > Geometry.distance(far.point, vertex.point) ? end : far
+        );
+        const firstArm = arm(first);
+        const secondArm = arm(second);
+
+        const dimension = new MeasurementLine(vertex.point.x, vertex.point.y, firstArm.point.x, firstArm.point.y, {
+            x3: secondArm.point.x,
+            y3: secondArm.point.y,
+            dimensionStyle: 'angular',
+            layer: first.layer
+        });
+        if (vertex.key) dimension.attach(0, first, vertex.key);
+        dimension.attach(1, first, firstArm.key);
+        dimension.attach(2, second, secondArm.key);
+
+        return this.addDimensions([dimension], 'Dimension angle')[0];
+    }
+
+    // From the centre out to the rim, up and to the right
+    dimensionRadius(circle) {
+        const centre = circle.getReferencePoint('center');
+        const rim = circle.getReferencePoint(`rim:${CanvasDrawing.RADIUS_ANGLE}`);
+
+        const dimension = new MeasurementLine(centre.x, centre.y, rim.x, rim.y, {
+            dimensionStyle: 'radial',
+            layer: circle.layer
+        });
+        dimension.attach(0, circle, 'center');
+        dimension.attach(1, circle, `rim:${CanvasDrawing.RADIUS_ANGLE}`);
+
+        return this.addDimensions([dimension], 'Dimension radius')[0];
+    }
+
+    /**
+     * Dimension the whole plan: chains along each side of the building
+     * (openings, wall by wall and overall) and the clear width and depth of
+     * every room. Dimensions from an earlier run are replaced in the same
+     * undo step, so this can be run again after edits.
+     */
+    autoDimension() {
+        const walls = AppState.drawings.filter(shape => shape instanceof Wall && shape.visible && shape.getLength() > 0);
+        if (walls.length === 0) {
+            console.warn('[CanvasDrawing] Nothing to dimension: the plan has no walls');
+            return [];
         }
 
-        // Add current state
-        const state = JSON.parse(JSON.stringify(AppState.drawings));
-        this.history.push(state);
-        this.historyIndex++;
+        const rooms = AppState.drawings.filter(shape => shape instanceof Room && shape.visible);
+        const previous = AppState.drawings.filter(shape => shape instanceof MeasurementLine && shape.autoGenerated);
+        const layer = this.getNamedLayer(CanvasDrawing.DIMENSION_LAYER);
+
+        const dimensions = [
+            ...CanvasDrawing.SIDES.flatMap(side => this.createDimensionChains(walls, side)),
+            ...rooms.flatMap(room => this.createRoomDimensions(room))
+        ];
+        dimensions.forEach(dimension => {
+            dimension.autoGenerated = true;
+            dimension.layer = layer;
+        });
+
+        this.history.begin(previous.length > 0 ? 'Regenerate dimensions' : 'Auto-dimension');
+        this.removeShapes(previous);
+        this.addShapes(dimensions);
+        this.history.commit();
+
+        this.redraw();
+        console.log('[CanvasDrawing] Auto-dimensioned plan:', dimensions.length, 'dimensions');
+        return dimensions;
+    }
 
-        // Limit history size
-        if (this.history.length > this.maxHistorySize) {
-            this.history.shift();
-            this.historyIndex--;
+    /**
+     * Chains of dimensions outside one side of the building, innermost
+     * first: the openings in the outer walls, every wall end, and the
+     * overall length. A chain that would repeat the next one is left out.
+     */
+    createDimensionChains(walls, side) {
+        const along = { x: Math.abs(side.outward.y), y: Math.abs(side.outward.x) };
+        const position = point => Geometry.dot(point, along);
+        const depth = point => Geometry.dot(point, side.outward);
+        const ends = wall => ['start', 'end'].map(key => ({ shape: wall, key, point: wall.getReferencePoint(key) }));
+
+        // Outer walls on this side run along it with no other such wall further out beside them
+        const parallel = walls.filter(wall => Math.abs(Geometry.cross(wall.getDirection(), along)) < CanvasDrawing.PARALLEL_TOLERANCE);
+        const span = wall => ends(wall).map(end => position(end.point)).sort((a, b) => a - b);
+        const overlaps = (a, b) => Math.min(a[1], b[1]) - Math.max(a[0], b[0]) > 0.5;
+        const outer = parallel.filter(wall => !parallel.some(other =>
+            depth(other.getReferencePoint('start')) > depth(wall.getReferencePoint('start')) + 0.5 && overlaps(span(other), span(wall))
+        ));
+
+        const outerIds = new Set(outer.map(wall => wall.id));
+        const openings = AppState.drawings.filter(shape => shape instanceof Opening && shape.visible && outerIds.has(shape.wallId));
+        const jambs = openings.flatMap(opening => ['jamb:0', 'jamb:1'].map(key => ({ shape: opening, key, point: opening.getReferencePoint(key) })));
+
+        const wallStops = this.getChainStops(walls.flatMap(ends), position, depth);
+        const chains = [wallStops];
+        if (openings.length > 0) {
+            chains.unshift(this.getChainStops([...outer.flatMap(ends), ...jambs], position, depth));
         }
+        if (wallStops.length > 2) {
+            chains.push([wallStops[0], wallStops[wallStops.length - 1]]);
+        }
+
+        // Chains start a little way out from the outside face of the walls
+        const face = Math.max(...walls.flatMap(wall => {
+            const bounds = wall.getWorldBounds();
+            return [{ x: bounds.left, y: bounds.top }, { x: bounds.right, y: bounds.bottom }].map(depth);
+        }));
+
+        return chains.flatMap((stops, index) => {
+            const line = Geometry.scale(side.outward, face + CanvasDrawing.CHAIN_OFFSET + index * CanvasDrawing.CHAIN_SPACING);
+            // Where labels have run along the chain so far, on each row they can take
+            const rows = { [side.placement]: -Infinity, inline: -Infinity };
+
+            return stops.slice(1).map((stop, stopIndex) => {
+                const from = stops[stopIndex];
+                const dimension = new MeasurementLine(from.point.x, from.point.y, stop.point.x, stop.point.y, {
+                    dimensionStyle: along.x ? 'horizontal' : 'vertical'
+                });
+                dimension.offset = Geometry.dot(Geometry.subtract(line, from.point), dimension.getLinearAxes().normal);
+                dimension.attach(0, from.shape, from.key);
+                dimension.attach(1, stop.shape, stop.key);
+
+                // Labels too long for their neighbours drop onto the line itself
+                const middle = (position(from.point) + position(stop.point)) / 2;
+                const half = this.measureDimensionLabel(dimension) / 2 + CanvasDrawing.LABEL_GAP;
+                const row = [side.placement, 'inline'].find(candidate => rows[candidate] <= middle - half) || side.placement;
+                rows[row] = middle + half;
+                dimension.textPlacement = row;
+
+                return dimension;
+            });
+        });
+    }
+
+    // Reference points in order along a side, one per position, keeping the one nearest the side
+    getChainStops(references, position, depth) {
+        const stops = [];
+
+        [...references].sort((a, b) => position(a.point) - position(b.point)).forEach(reference => {
+            const last = stops[stops.length - 1];
+            if (!last || position(reference.point) - position(last.point) > 0.5) {
+                stops.push(reference);
+            } else if (depth(reference.point) > depth(last.point)) {
+                stops[stops.length - 1] = reference;
+            }
+        });
+
+        return stops;
+    }
 
-        EventBus.emit('canvas:state-saved', { canUndo: this.canUndo(), canRedo: this.canRedo() });
+    // Clear width and depth, a quarter of the way in from the room's top and left
+    createRoomDimensions(room) {
+        const corners = room.getWorldPoints().map((point, index) => ({ point, key: `vertex:${index}` }));
+        if (corners.length < 3) return [];
+
+        const extreme = score => corners.reduce((best, corner) => score(corner.point) < score(best.point) ? corner : best);
+        const left = extreme(point => point.x);
+        const right = extreme(point => -point.x);
+        const top = extreme(point => point.y);
+        const bottom = extreme(point => -point.y);
+
+        const width = right.point.x - left.point.x;
+        const height = bottom.point.y - top.point.y;
+        if (Math.min(width, height) < CanvasDrawing.MIN_ROOM_DIMENSION) return [];
+
+        const line = { x: left.point.x + width / 4, y: top.point.y + height / 4 };
+        return [[left, right, 'horizontal'], [top, bottom, 'vertical']].map(([from, to, dimensionStyle]) => {
+            const dimension = new MeasurementLine(from.point.x, from.point.y, to.point.x, to.point.y, { dimensionStyle });
+            dimension.offset = Geometry.dot(Geometry.subtract(line, from.point), dimension.getLinearAxes().normal);
+            dimension.attach(0, room, from.key);
+            dimension.attach(1, room, to.key);
+            return dimension;
+        });
+    }
+
+    // Width of a dimension's label as drawn, in canvas pixels
+    measureDimensionLabel(dimension) {
+        this.ctx.save();
+        this.ctx.font = '12px Arial';
+        const width = this.ctx.measureText(dimension.getLabel()).width;
+        this.ctx.restore();
+        return width;
     }
 
+    // History Management (Undo/Redo)
     undo() {
-        if (this.canUndo()) {
-            this.historyIndex--;
-            AppState.drawings = JSON.parse(JSON.stringify(this.history[this.historyIndex]));
+        const command = this.history.undo();
+        if (command) {
             this.redraw();
             EventBus.emit('canvas:undone', { canUndo: this.canUndo(), canRedo: this.canRedo() });
-            console.log('[CanvasDrawing] Undo performed');
+            console.log('[CanvasDrawing] Undo performed:', command.label);
         }
     }
 
     redo() {
-        if (this.canRedo()) {
-            this.historyIndex++;
-            AppState.drawings = JSON.parse(JSON.stringify(this.history[this.historyIndex]));
+        const command = this.history.redo();
+        if (command) {
             this.redraw();
             EventBus.emit('canvas:redone', { canUndo: this.canUndo(), canRedo: this.canRedo() });
-            console.log('[CanvasDrawing] Redo performed');
+            console.log('[CanvasDrawing] Redo performed:', command.label);
         }
     }
 
     canUndo() {
-        return this.historyIndex > 0;
+        return this.history.canUndo();
     }
 
     canRedo() {
-        return this.historyIndex < this.history.length - 1;
+        return this.history.canRedo();
+    }
+
+    restoreShapes(records) {
+        return records.map(record => createShapeFromJSON(record)).filter(shape => shape);
+    }
+
+    // Project Data
+    // Project details edited after creation, as one undoable step
+    updateProjectData(changes, label = 'Edit project details') {
+        this.history.execute(new SetPropertiesCommand(AppState.projectData, changes, {
+            label,
+            event: 'project:changed'
+        }));
+    }
+
+    exportData() {
+        return {
+            version: 2,
+            projectData: AppState.projectData,
+            scale: AppState.scale,
+            layers: this.layerManager ? this.layerManager.exportLayers() : null,
+            blocks: AppState.blocks.map(block => ({
+                id: block.id,
+                name: block.name,
+                shapes: block.shapes.map(shape => shape.toJSON())
+            })),
+            drawings: AppState.drawings.map(shape => shape.toJSON())
+        };
+    }
+
+    importData(data) {
+        // Accept both a full project file and a bare list of shapes/records
+        const records = Array.isArray(data) ? data : (data.drawings || []);
+
+        if (data.projectData) {
+            AppState.projectData = { ...AppState.projectData, ...data.projectData };
+        }
+        if (data.scale) {
+            AppState.scale = data.scale;
+        }
+        if (data.layers && this.layerManager) {
+            this.layerManager.importLayers(data.layers);
+        }
+
+        // Definitions first, so instances can find them
+        AppState.blocks = (data.blocks || []).map(block => ({ ...block, shapes: this.restoreShapes(block.shapes) }));
+        AppState.drawings = this.restoreShapes(records);
+        this.blockEdit = null;
+        this.redraw();
+
+        console.log('[CanvasDrawing] Imported shapes:', AppState.drawings.length);
+        EventBus.emit('project:loaded', AppState.projectData);
     }
 
     // Export Methods
@@ -826,6 +2888,15 @@ class CanvasDrawing {
         // Draw the original canvas on top
         tempCtx.drawImage(this.canvas, 0, 0);
 
+        // Printed plans need their scale, both named and as a bar measuring the exported view
+        const bar = Measurements.getScaleBar(AppState.zoom, ScaleDisplay.BAR_WIDTH);
+        const barY = tempCanvas.height - 40;
+        ScaleDisplay.drawBar(tempCtx, 20, barY, bar);
+        tempCtx.fillStyle = '#111827';
+        tempCtx.font = '12px Arial';
+        tempCtx.textBaseline = 'bottom';
+        tempCtx.fillText(`Scale ${AppState.scale}`, 20, barY - 6);
+
         return tempCanvas.toDataURL(type, quality);
     }
 
@@ -869,8 +2940,9 @@ class CanvasDrawing {
     getDrawingStats() {
         return {
             totalDrawings: AppState.drawings.length,
-            drawingsByType: AppState.drawings.reduce((acc, drawing) => {
-                acc[drawing.tool] = (acc[drawing.tool] || 0) + 1;
+            drawingsByType: AppState.drawings.reduce((acc, shape) => {
+                const type = shape.constructor.name;
+                acc[type] = (acc[type] || 0) + 1;
                 return acc;
             }, {}),
             canvasSize: {
@@ -878,8 +2950,9 @@ class CanvasDrawing {
                 height: this.canvas.height
             },
             zoom: AppState.zoom,
+            pan: { ...AppState.pan },
             gridVisible: AppState.gridVisible,
-            historySize: this.history.length,
+            historySize: this.history.undoStack.length,
             canUndo: this.canUndo(),
             canRedo: this.canRedo()
         };
@@ -903,15 +2976,54 @@ class CanvasDrawing {
         }
 
         // Clear history
-        this.history = [];
-        this.historyIndex = -1;
+        this.history.clear();
 
         console.log('[CanvasDrawing] Component destroyed');
         EventBus.emit('component:destroyed', { component: 'CanvasDrawing' });
     }
 }
 
+// Marks clipboard text as shapes copied from this app
+CanvasDrawing.CLIPBOARD_FORMAT = 'blueprint-maker/shapes';
+
+// Layer name for columns, beams and column grids
+CanvasDrawing.STRUCTURE_LAYER = 'Structure';
+
+// Drag data type carrying a symbol id from the library to the canvas
+CanvasDrawing.SYMBOL_DRAG_FORMAT = 'blueprint-maker/symbol';
+
+// Gap between the measured shape and a dimension placed for it, in pixels
+CanvasDrawing.DIMENSION_SPACING = 15;
+
+// Where radius dimensions meet the rim, in degrees clockwise from the right
+CanvasDrawing.RADIUS_ANGLE = -45;
+
+// Layer name for dimensions made by auto-dimensioning
+CanvasDrawing.DIMENSION_LAYER = 'Dimensions';
+
+// Sides of the building that get dimension chains, with the label placement that faces away from it
+CanvasDrawing.SIDES = [
+    { outward: { x: 0, y: -1 }, placement: 'above' },
+    { outward: { x: 0, y: 1 }, placement: 'below' },
+    { outward: { x: -1, y: 0 }, placement: 'above' },
+    { outward: { x: 1, y: 0 }, placement: 'below' }
+];
+
+// Dimension chains: gap from the walls' outside face, and between chains, in pixels.
+// The spacing leaves room for a row of labels above and a row on each line.
+CanvasDrawing.CHAIN_OFFSET = 30;
+CanvasDrawing.CHAIN_SPACING = 24;
+
+// Clearance either side of a chain label, in pixels
+CanvasDrawing.LABEL_GAP = 3;
+
+// Largest sine of the angle between a wall and a side for the wall to run along it
+CanvasDrawing.PARALLEL_TOLERANCE = 0.01;
+
+// Rooms narrower than this get no internal dimensions, in pixels
+CanvasDrawing.MIN_ROOM_DIMENSION = 30;
+
 // Export for use in other modules
 if (typeof window !== 'undefined') {
     window.CanvasDrawing = CanvasDrawing;
-}
\ No newline at end of file
+}
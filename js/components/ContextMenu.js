@@ -0,0 +1,730 @@
+// ContextMenu.js - Right-click menu for the canvas, built from what is under the pointer
+class ContextMenu {
+    constructor(canvasDrawing) {
+        this.canvasDrawing = canvasDrawing;
+        this.element = null;
+
+        // Canvas point that was right-clicked; paste lands here
+        this.point = null;
+
+        this.create();
+        this.init();
+    }
+
+    create() {
+        const container = this.canvasDrawing.canvas.parentElement;
+
+        this.element = document.createElement('div');
+        this.element.className = 'context-menu hidden';
+
+        // Clicks inside the menu must not reach the document listener that closes it
+        this.element.addEventListener('mousedown', event => event.stopPropagation());
+        this.element.addEventListener('contextmenu', event => event.preventDefault());
+
+        container.appendChild(this.element);
+    }
+
+    init() {
+        document.addEventListener('mousedown', () => this.close());
+
+        ['tool:changed', 'canvas:zoomed', 'canvas:panned', 'project:loaded', 'blocks:changed'].forEach(event => {
+            EventBus.on(event, () => this.close());
+        });
+    }
+
+    isOpen() {
+        return !this.element.classList.contains('hidden');
+    }
+
+    open(event) {
+        const { x, y } = this.canvasDrawing.screenToCanvas(event.clientX, event.clientY);
+        const selectionManager = this.canvasDrawing.selectionManager;
+        const shape = selectionManager.getShapeAt(x, y);
+
+        this.point = { x, y };
+
+        // Right-clicking an unselected shape acts on that shape (and its group) alone
+        if (shape && !selectionManager.isSelected(shape)) {
+            selectionManager.select(selectionManager.getGroupMembers(shape));
+            this.canvasDrawing.redraw();
+        }
+
+        const items = shape ? this.getShapeItems(selectionManager.getSelection()) : this.getCanvasItems();
+        this.renderItems(items);
+        this.show(event.clientX, event.clientY);
+    }
+
+    // Returns whether a menu was open
+    close() {
+        if (!this.isOpen()) return false;
+
+        this.element.classList.add('hidden');
+        this.element.innerHTML = '';
+        return true;
+    }
+
+    // Menu Contents
+    getShapeItems(shapes) {
+        const canvasDrawing = this.canvasDrawing;
+        const editable = canvasDrawing.getUnlockedShapes(shapes);
+        const allLocked = editable.length === 0;
+        const doors = editable.filter(shape => shape instanceof Door);
+        const walls = shapes.filter(shape => shape instanceof Wall);
+        const movable = canvasDrawing.getMovableShapes(shapes);
+        const instances = shapes.filter(shape => shape instanceof BlockInstance);
+        const editedBlock = canvasDrawing.getEditedBlock();
+
+        // Groups count as one item each
+        const itemCount = canvasDrawing.getItems(shapes).length;
+        const movableCount = canvasDrawing.getItems(movable).length;
+
+        // Doors flip about their own hinge and swing rather than in world directions
+        const flipItems = doors.length > 0 && doors.length === editable.length
+            ? [
+                { label: 'Flip hinge', action: () => canvasDrawing.modifyShapes(doors, door => door.flipHinge(), 'Flip hinge') },
+                { label: 'Flip swing', action: () => canvasDrawing.modifyShapes(doors, door => door.flipSwing(), 'Flip swing') }
+            ]
+            : [
+                { label: 'Flip horizontal', action: () => canvasDrawing.mirrorShapes(shapes, 'horizontal'), disabled: allLocked },
+                { label: 'Flip vertical', action: () => canvasDrawing.mirrorShapes(shapes, 'vertical'), disabled: allLocked }
+            ];
+
+        const items = [];
+
+        if (editedBlock) {
+            items.push({ label: `Save to block “${editedBlock.name}”`, action: () => canvasDrawing.saveBlockEdit(shapes) }, 'separator');
+        }
+
+        items.push(
+            { label: 'Edit properties…', action: () => this.openProperties(editable), disabled: allLocked },
+            'separator',
+            { label: 'Cut', shortcut: 'Ctrl+X', action: () => canvasDrawing.cutShapes(shapes), disabled: allLocked },
+            { label: 'Copy', shortcut: 'Ctrl+C', action: () => canvasDrawing.copyShapes(shapes) },
+            { label: 'Duplicate', shortcut: 'Ctrl+D', action: () => canvasDrawing.duplicateShapes(shapes) },
+            { label: 'Delete', shortcut: 'Del', action: () => canvasDrawing.selectionManager.deleteSelected(), disabled: allLocked },
+            'separator',
+            { label: 'Bring forward', action: () => canvasDrawing.reorderShapes(shapes, 'forward') },
+            { label: 'Send backward', action: () => canvasDrawing.reorderShapes(shapes, 'backward') },
+            { label: 'Bring to front', action: () => canvasDrawing.reorderShapes(shapes, 'front') },
+            { label: 'Send to back', action: () => canvasDrawing.reorderShapes(shapes, 'back') },
+            { label: 'Move to layer', items: this.getLayerItems(shapes) },
+            { label: allLocked ? 'Unlock' : 'Lock', action: () => canvasDrawing.setShapesLocked(shapes, !allLocked) },
+            'separator',
+            ...flipItems,
+            { label: 'Rotate 90° clockwise', action: () => canvasDrawing.rotateShapes(shapes, 90), disabled: allLocked },
+            { label: 'Rotate 180°', action: () => canvasDrawing.rotateShapes(shapes, 180), disabled: allLocked },
+            { label: 'Rotate 90° anticlockwise', action: () => canvasDrawing.rotateShapes(shapes, -90), disabled: allLocked },
+            'separator',
+            { label: 'Array…', action: () => this.openArray(movable), disabled: movable.length === 0 }
+        );
+
+        if (movableCount >= 2) {
+            const align = edge => () => canvasDrawing.alignShapes(movable, edge);
+            const alignItems = [
+                { label: 'Left', action: align('left') },
+                { label: 'Centre', action: align('center') },
+                { label: 'Right', action: align('right') },
+                'separator',
+                { label: 'Top', action: align('top') },
+                { label: 'Middle', action: align('middle') },
+                { label: 'Bottom', action: align('bottom') }
+            ];
+            items.push({ label: 'Align', items: alignItems });
+        }
+        if (movableCount >= 3) {
+            items.push({
+                label: 'Distribute',
+                items: [
+                    { label: 'Horizontally', action: () => canvasDrawing.distributeShapes(movable, 'horizontal') },
+                    { label: 'Vertically', action: () => canvasDrawing.distributeShapes(movable, 'vertical') }
+                ]
+            });
+        }
+
+        items.push(
+            'separator',
+            { label: 'Group', shortcut: 'Ctrl+G', action: () => canvasDrawing.groupShapes(shapes), disabled: itemCount < 2 },
+            { label: 'Ungroup', shortcut: 'Ctrl+Shift+G', action: () => canvasDrawing.ungroupShapes(shapes), disabled: !shapes.some(shape => shape.groupIds.length > 0) },
+            { label: 'Create block…', action: () => this.openCreateBlock(movable), disabled: movable.length === 0 }
+        );
+
+        if (instances.length > 0 && instances.length === shapes.length) {
+            if (instances.length === 1) {
+                items.push({ label: 'Edit block', action: () => canvasDrawing.editBlock(instances[0]), disabled: allLocked });
+            }
+            items.push({ label: 'Explode block', action: () => canvasDrawing.explodeBlocks(editable), disabled: allLocked });
+        }
+
+        if (walls.length > 0) {
+            items.push('separator', {
+                label: 'Convert to room',
+                action: () => canvasDrawing.convertWallsToRooms(walls),
+                disabled: canvasDrawing.findUnfilledRooms(walls).length === 0
+            });
+        }
+
+        if (shapes.length === 1 && shapes[0] instanceof Staircase) {
+            items.push('separator', { label: 'Step data', items: this.getStepDataItems(shapes[0]) });
+        }
+
+        const dimensionItems = this.getDimensionItems(shapes);
+        if (dimensionItems.length > 0) {
+            items.push('separator', { label: 'Dimension', items: dimensionItems });
+        }
+
+        return items;
+    }
+
+    // Dimensions attached to the selected walls, room, pair of lines or circle
+    getDimensionItems(shapes) {
+        const canvasDrawing = this.canvasDrawing;
+        const walls = shapes.filter(shape => shape instanceof Wall);
+        const straight = shapes.filter(shape => shape instanceof Wall || shape instanceof Line);
+        const items = [];
+
+        if (walls.length > 0) {
+            items.push({ label: walls.length === 1 ? 'Wall length' : 'Wall lengths', action: () => canvasDrawing.dimensionWalls(walls) });
+        }
+        if (shapes.length === 1 && shapes[0] instanceof Room) {
+            items.push({ label: 'Room edges', action: () => canvasDrawing.dimensionRoomEdges(shapes[0]) });
+        }
+        if (shapes.length === 2 && straight.length === 2) {
+            const [first, second] = straight;
+            const parallel = Math.abs(Geometry.cross(
+                { x: first.x2 - first.x, y: first.y2 - first.y },
+                { x: second.x2 - second.x, y: second.y2 - second.y }
+            )) < Geometry.EPSILON;
+            items.push({ label: 'Angle between', action: () => canvasDrawing.dimensionAngle(first, second), disabled: parallel });
+        }
+        if (shapes.length === 1 && shapes[0] instanceof Circle) {
+            items.push({ label: 'Radius', action: () => canvasDrawing.dimensionRadius(shapes[0]) });
+        }
+
+        return items;
+    }
+
+    // The staircase's figures and how they compare with the code limits, for reading only
+    getStepDataItems(staircase) {
+        const data = staircase.getStepData();
+        const format = mm => Measurements.formatLength(mm, 'mm');
+        const issues = staircase.getComplianceIssues();
+
+        return [
+            { label: `${data.risers} risers of ${format(data.riserHeight)}`, disabled: true },
+            { label: `${data.treads} treads of ${format(data.tread)}`, disabled: true },
+            { label: `Width ${Measurements.formatLength(data.width)}`, disabled: true },
+            { label: `Plan area ${Measurements.formatArea(data.area)}`, disabled: true },
+            'separator',
+            ...(issues.length > 0
+                ? issues.map(issue => ({ label: `⚠ ${issue}`, disabled: true }))
+                : [{ label: '✓ Within NBC limits for homes', disabled: true }])
+        ];
+    }
+
+    getLayerItems(shapes) {
+        const canvasDrawing = this.canvasDrawing;
+        const layerManager = canvasDrawing.layerManager;
+
+        const items = layerManager.getAllLayers().map(layer => ({
+            label: layer.name,
+            action: () => canvasDrawing.moveShapesToLayer(shapes, layer.id),
+            disabled: layer.locked
+        }));
+
+        items.push('separator', {
+            label: 'New layer',
+            action: () => {
+                const layer = layerManager.createLayer(`Layer ${layerManager.layers.size + 1}`);
+                canvasDrawing.moveShapesToLayer(shapes, layer.id);
+            }
+        });
+
+        return items;
+    }
+
+    getCanvasItems() {
+        const canvasDrawing = this.canvasDrawing;
+        const point = this.point;
+
+        const items = [
+            { label: 'Paste', shortcut: 'Ctrl+V', action: () => canvasDrawing.pasteShapes(point) },
+            { label: 'Select all', shortcut: 'Ctrl+A', action: () => canvasDrawing.selectionManager.selectAll() }
+        ];
+
+        // A measurement only becomes part of the drawing when kept
+        const measureTool = canvasDrawing.measureTool;
+        if (measureTool.hasMeasurement()) {
+            items.push(
+                { label: 'Keep as dimension', action: () => measureTool.keepAsDimensions() },
+                { label: 'Clear measurement', action: () => measureTool.clear() }
+            );
+        }
+
+        if (AppState.blocks.length > 0) {
+            items.push({
+                label: 'Insert block',
+                items: AppState.blocks.map(block => ({ label: block.name, action: () => canvasDrawing.insertBlock(block.id, point) }))
+            });
+        }
+
+        items.push({ label: 'Column grid…', action: () => this.openColumnGrid(point) });
+        if (AppState.drawings.some(shape => shape instanceof Column)) {
+            items.push({ label: 'Insert column schedule', action: () => canvasDrawing.insertColumnSchedule(point) });
+        }
+
+        const regenerate = AppState.drawings.some(shape => shape instanceof MeasurementLine && shape.autoGenerated);
+        items.push({
+            label: regenerate ? 'Regenerate dimensions' : 'Auto-dimension',
+            action: () => canvasDrawing.autoDimension(),
+            disabled: !AppState.drawings.some(shape => shape instanceof Wall)
+        });
+
+        // The whole plan, e.g. the same house for an east- and a west-facing plot
+        if (AppState.drawings.length > 0) {
+            items.push(
+                'separator',
+                {
+                    label: 'Flip plan',
+                    items: [
+                        { label: 'Horizontally', action: () => canvasDrawing.mirrorShapes(AppState.drawings, 'horizontal') },
+                        { label: 'Vertically', action: () => canvasDrawing.mirrorShapes(AppState.drawings, 'vertical') }
+                    ]
+                },
+                {
+                    label: 'Rotate plan',
+                    items: [
+                        { label: '90° clockwise', action: () => canvasDrawing.rotateShapes(AppState.drawings, 90) },
+                        { label: '180°', action: () => canvasDrawing.rotateShapes(AppState.drawings, 180) },
+                        { label: '90° anticlockwise', action: () => canvasDrawing.rotateShapes(AppState.drawings, -90) }
+                    ]
+                }
+            );
+        }
+
+        items.push(
+            'separator',
+            { label: 'Fit to screen', action: () => canvasDrawing.fitToScreen(), disabled: AppState.drawings.length === 0 }
+        );
+        return items;
+    }
+
+    // Rendering
+    renderItems(items, target = this.element) {
+        target.innerHTML = '';
+
+        items.forEach(item => {
+            if (item === 'separator') {
+                const separator = document.createElement('div');
+                separator.className = 'context-menu-separator';
+                target.appendChild(separator);
+                return;
+            }
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'context-menu-item';
+            button.disabled = !!item.disabled;
+
+            // Layer names are user text, so labels are never parsed as HTML
+            const label = document.createElement('span');
+            label.textContent = item.label;
+            button.appendChild(label);
+
+            const hint = item.items ? '▸' : item.shortcut;
+            if (hint) {
+                const shortcut = document.createElement('span');
+                shortcut.className = 'context-menu-shortcut';
+                shortcut.textContent = hint;
+                button.appendChild(shortcut);
+            }
+
+            if (item.items) {
+                // Submenus open on hover, to the right of their item
+                const wrapper = document.createElement('div');
+                wrapper.className = 'context-menu-submenu';
+
+                const submenu = document.createElement('div');
+                submenu.className = 'context-menu context-menu-nested';
+                this.renderItems(item.items, submenu);
+
+                wrapper.appendChild(button);
+                wrapper.appendChild(submenu);
+                target.appendChild(wrapper);
+                return;
+            }
+
+            button.addEventListener('click', () => {
+                this.close();
+                item.action();
+            });
+            target.appendChild(button);
+        });
+    }
+
+    // Place at the pointer, kept inside the canvas area
+    show(clientX, clientY) {
+        const container = this.element.parentElement.getBoundingClientRect();
+
+        this.element.classList.remove('hidden');
+
+        const left = Math.min(clientX - container.left, container.width - this.element.offsetWidth - 4);
+        const top = Math.min(clientY - container.top, container.height - this.element.offsetHeight - 4);
+        this.element.style.left = `${Math.max(0, left)}px`;
+        this.element.style.top = `${Math.max(0, top)}px`;
+    }
+
+    // Forms
+    /**
+     * Replace the menu with a small form. Each field is { label, type, value },
+     * plus `options` ([{ value, label }]) for a drop-down; `onSubmit(inputs)`
+     * gets the fields paired with their inputs.
+     */
+    openForm(fields, onSubmit) {
+        const form = document.createElement('form');
+        form.className = 'context-menu-form';
+
+        const inputs = fields.map(field => {
+            const row = document.createElement('label');
+            row.className = 'context-menu-field';
+            row.innerHTML = `<span>${field.label}</span>`;
+
+            let input;
+            if (field.options) {
+                input = document.createElement('select');
+                field.options.forEach(option => {
+                    const element = document.createElement('option');
+                    element.value = option.value;
+                    element.textContent = option.label;
+                    input.appendChild(element);
+                });
+            } else {
+                input = document.createElement('input');
+                input.type = field.type === 'color' ? 'color' : 'text';
+            }
+            input.value = field.value;
+            input.dataset.initial = input.value;
+            input.addEventListener('input', () => input.classList.remove('invalid'));
+
+            row.appendChild(input);
+            form.appendChild(row);
+            return { field, input };
+        });
+
+        const buttons = document.createElement('div');
+        buttons.className = 'context-menu-buttons';
+        buttons.innerHTML = `
+            <button type="button" class="btn btn-secondary" data-action="cancel">Cancel</button>
+            <button type="submit" class="btn btn-primary">Apply</button>
+        `;
+        buttons.querySelector('[data-action="cancel"]').addEventListener('click', () => this.close());
+        form.appendChild(buttons);
+
+        form.addEventListener('submit', event => {
+            event.preventDefault();
+            onSubmit(inputs);
+        });
+        form.addEventListener('keydown', event => {
+            // Keys typed here are for the form, not canvas shortcuts
+            event.stopPropagation();
+            if (event.key === 'Escape') {
+                event.preventDefault();
+                this.close();
+            }
+        });
+
+        this.element.innerHTML = '';
+        this.element.appendChild(form);
+        this.element.classList.remove('hidden');
+        inputs[0].input.focus();
+    }
+
+    // Parsed values keyed by field, or null after marking the invalid inputs
+    readForm(inputs, changedOnly = false) {
+        const values = {};
+        let valid = true;
+
+        inputs.forEach(({ field, input }) => {
+            if (changedOnly && input.value === input.dataset.initial) return;
+
+            const value = this.parsePropertyValue(field, input.value);
+            if (value === null) {
+                input.classList.add('invalid');
+                valid = false;
+            } else {
+                values[field.key] = value;
+            }
+        });
+
+        return valid ? values : null;
+    }
+
+    // Array
+    // Columns and rows of copies at a typed spacing, e.g. columns every 3 m
+    openArray(shapes) {
+        const bounds = this.canvasDrawing.getShapesBounds(shapes);
+        const format = pixels => Measurements.formatPixels(pixels);
+
+        this.openForm([
+            { key: 'columns', label: 'Columns', type: 'count', value: '3' },
+            { key: 'rows', label: 'Rows', type: 'count', value: '1' },
+            { key: 'spacingX', label: 'Column spacing', type: 'length', value: format(bounds.right - bounds.left) },
+            { key: 'spacingY', label: 'Row spacing', type: 'length', value: format(bounds.bottom - bounds.top) }
+        ], inputs => {
+            const values = this.readForm(inputs);
+            if (!values) return;
+
+            this.close();
+            this.canvasDrawing.arrayShapes(shapes, {
+                columns: values.columns,
+                rows: values.rows,
+                spacing: { x: values.spacingX, y: values.spacingY }
+            });
+        });
+    }
+
+    // Structure
+    // Grid of bays centred on the clicked point, optionally with a column at every crossing
+    openColumnGrid(point) {
+        this.openForm([
+            { key: 'xSpacings', label: 'Bays across', type: 'lengths', value: '4m, 4m, 4m' },
+            { key: 'ySpacings', label: 'Bays down', type: 'lengths', value: '4m, 4m' },
+            { key: 'columnShape', label: 'Columns', type: 'choice', options: [{ value: 'none', label: 'None' }, ...ContextMenu.COLUMN_SHAPES], value: 'rectangular' },
+            { key: 'width', label: 'Column width', type: 'height', value: '230mm' },
+            { key: 'depth', label: 'Column depth', type: 'height', value: '450mm' }
+        ], inputs => {
+            const values = this.readForm(inputs);
+            if (!values) return;
+
+            this.close();
+            this.canvasDrawing.createColumnGrid(point, {
+                xSpacings: values.xSpacings,
+                ySpacings: values.ySpacings,
+                column: values.columnShape === 'none' ? null : { columnShape: values.columnShape, width: values.width, depth: values.depth }
+            });
+        });
+    }
+
+    // Blocks
+    openCreateBlock(shapes) {
+        this.openForm([
+            { key: 'name', label: 'Block name', type: 'text', value: `Block ${AppState.blocks.length + 1}` }
+        ], inputs => {
+            const values = this.readForm(inputs);
+            if (!values) return;
+
+            this.close();
+            this.canvasDrawing.createBlock(shapes, values.name);
+        });
+    }
+
+    // Properties
+    /**
+     * A form for the properties the shapes have in common. Only fields the
+     * user changes are applied, as one undo step.
+     */
+    openProperties(shapes) {
+        const fields = this.getPropertyFields(shapes);
+        if (fields.length === 0) return;
+
+        this.openForm(
+            fields.map(field => ({ ...field, value: this.formatPropertyValue(field, shapes) })),
+            inputs => this.applyProperties(shapes, inputs)
+        );
+    }
+
+    // Fields each shape type can edit; lengths are typed in real units
+    getFieldsFor(shape) {
+        const fields = [];
+
+        if (shape instanceof Room) {
+            fields.push({ key: 'name', label: 'Name', type: 'text' });
+        }
+        if (shape instanceof Wall) {
+            fields.push({ key: 'thickness', label: 'Thickness', type: 'length' });
+        }
+        if (shape instanceof Opening) {
+            fields.push({ key: 'width', label: 'Width', type: 'length' });
+        }
+        if (shape instanceof Door) {
+            fields.push({ key: 'openAngle', label: 'Opening angle', type: 'angle' });
+        }
+        if (shape instanceof Rectangle) {
+            fields.push({ key: 'width', label: 'Width', type: 'length' }, { key: 'height', label: 'Height', type: 'length' });
+        }
+        if (shape instanceof FurnitureSymbol) {
+            fields.push({ key: 'width', label: 'Width', type: 'length' }, { key: 'depth', label: 'Depth', type: 'length' });
+        }
+        if (shape instanceof Circle) {
+            fields.push({ key: 'radius', label: 'Radius', type: 'length' });
+        }
+        if (shape instanceof Column) {
+            fields.push(
+                { key: 'columnShape', label: 'Shape', type: 'choice', options: ContextMenu.COLUMN_SHAPES },
+                { key: 'width', label: 'Width', type: 'length' },
+                { key: 'depth', label: 'Depth', type: 'length' }
+            );
+        }
+        if (shape instanceof Beam) {
+            fields.push({ key: 'width', label: 'Width', type: 'length' }, { key: 'depth', label: 'Depth', type: 'height' });
+        }
+        if (shape instanceof ColumnGrid) {
+            fields.push(
+                { key: 'xSpacings', label: 'Bays across', type: 'lengths' },
+                { key: 'ySpacings', label: 'Bays down', type: 'lengths' }
+            );
+        }
+        if (shape instanceof Staircase) {
+            fields.push(
+                { key: 'stairType', label: 'Type', type: 'choice', options: ContextMenu.STAIR_TYPES },
+                { key: 'width', label: 'Width', type: 'length' },
+                { key: 'tread', label: 'Tread', type: 'length' },
+                { key: 'floorHeight', label: 'Floor to floor', type: 'height' },
+                { key: 'riser', label: 'Max riser', type: 'height' }
+            );
+        }
+        if (shape instanceof MeasurementLine) {
+            if (shape.isLinear()) {
+                fields.push({ key: 'dimensionStyle', label: 'Style', type: 'choice', options: ContextMenu.DIMENSION_STYLES });
+            }
+            if (shape.dimensionStyle !== 'radial') {
+                fields.push({ key: 'offset', label: shape.dimensionStyle === 'angular' ? 'Arc radius' : 'Offset', type: 'offset' });
+            }
+            fields.push(
+                { key: 'precision', label: 'Precision', type: 'choice', options: ContextMenu.DIMENSION_PRECISIONS },
+                { key: 'textPlacement', label: 'Text', type: 'choice', options: ContextMenu.DIMENSION_TEXT }
+            );
+        }
+        if (shape instanceof TextLabel) {
+            fields.push({ key: 'fontSize', label: 'Font size', type: 'number' }, { key: 'fillStyle', label: 'Colour', type: 'color' });
+        } else {
+            fields.push({ key: 'strokeStyle', label: 'Line colour', type: 'color' }, { key: 'lineWidth', label: 'Line width', type: 'number' });
+        }
+
+        return fields;
+    }
+
+    getPropertyFields(shapes) {
+        if (shapes.length === 0) return [];
+
+        const [first, ...rest] = shapes;
+        return this.getFieldsFor(first).filter(field =>
+            rest.every(shape => this.getFieldsFor(shape).some(other => other.key === field.key && other.type === field.type))
+        );
+    }
+
+    // Value shown in the form; blank when the shapes disagree
+    formatPropertyValue(field, shapes) {
+        const values = shapes.map(shape => shape[field.key]);
+        if (values.some(value => JSON.stringify(value) !== JSON.stringify(values[0]))) {
+            return field.type === 'color' ? '#000000' : '';
+        }
+
+        const value = values[0];
+        switch (field.type) {
+            case 'length':
+            case 'offset':
+                return Measurements.formatPixels(value);
+            case 'height':
+                return Measurements.formatLength(value);
+            case 'lengths':
+                return value.map(pixels => Measurements.formatPixels(pixels)).join(', ');
+            case 'color':
+                // Colour inputs only take #rrggbb
+                return /^#[0-9a-f]{6}$/i.test(value) ? value : '#000000';
+            default:
+                return String(value);
+        }
+    }
+
+    parsePropertyValue(field, text) {
+        switch (field.type) {
+            case 'length': {
+                const mm = Measurements.parseLength(text);
+                return mm !== null && mm > 0 ? Measurements.mmToPixels(mm) : null;
+            }
+            case 'offset': {
+                // Either side of the measured points, so it may be negative
+                const mm = Measurements.parseSignedLength(text);
+                return mm !== null ? Measurements.mmToPixels(mm) : null;
+            }
+            case 'lengths': {
+                // Comma-separated, e.g. bay widths "4m, 4m, 3.5m"
+                const lengths = text.split(',').map(part => Measurements.parseLength(part));
+                return lengths.length > 0 && lengths.every(mm => mm !== null && mm > 0)
+                    ? lengths.map(mm => Measurements.mmToPixels(mm))
+                    : null;
+            }
+            case 'height': {
+                // Heights aren't drawn to scale, so they stay in millimetres
+                const mm = Measurements.parseLength(text);
+                return mm !== null && mm > 0 ? mm : null;
+            }
+            case 'choice':
+                return field.options.some(option => option.value === text) ? text : null;
+            case 'angle': {
+                const degrees = Measurements.parseAngle(text);
+                return degrees !== null && degrees > 0 && degrees <= 180 ? degrees : null;
+            }
+            case 'number': {
+                const number = parseFloat(text);
+                return number > 0 ? number : null;
+            }
+            case 'count': {
+                const count = Number(text.trim());
+                return Number.isInteger(count) && count >= 1 ? count : null;
+            }
+            case 'text':
+                return text.trim() || null;
+            default:
+                return text;
+        }
+    }
+
+    applyProperties(shapes, inputs) {
+        const changes = this.readForm(inputs, true);
+        if (!changes) return;
+
+        this.close();
+        if (Object.keys(changes).length > 0) {
+            this.canvasDrawing.updateShapeProperties(shapes, changes);
+        }
+    }
+}
+
+ContextMenu.STAIR_TYPES = [
+    { value: 'straight', label: 'Straight' },
+    { value: 'dog-legged', label: 'Dog-legged' },
+    { value: 'L', label: 'L-shaped' },
+    { value: 'U', label: 'U-shaped' }
+];
+
+ContextMenu.COLUMN_SHAPES = [
+    { value: 'rectangular', label: 'Rectangular' },
+    { value: 'circular', label: 'Circular' }
+];
+
+ContextMenu.DIMENSION_STYLES = [
+    { value: 'aligned', label: 'Aligned' },
+    { value: 'horizontal', label: 'Horizontal' },
+    { value: 'vertical', label: 'Vertical' }
+];
+
+// Decimal places, or inch fractions in feet and inches (see Measurements.formatLength)
+ContextMenu.DIMENSION_PRECISIONS = [
+    { value: 'auto', label: 'Project default' },
+    { value: '0', label: '0 / whole inches' },
+    { value: '1', label: '0.0 / ½"' },
+    { value: '2', label: '0.00 / ¼"' },
+    { value: '3', label: '0.000 / ⅛"' }
+];
+
+ContextMenu.DIMENSION_TEXT = [
+    { value: 'above', label: 'Above the line' },
+    { value: 'inline', label: 'In the line' },
+    { value: 'below', label: 'Below the line' }
+];
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.ContextMenu = ContextMenu;
+}
@@ -0,0 +1,135 @@
+// DynamicInput.js - Length/angle boxes that follow the pointer while a shape is being drawn
+class DynamicInput {
+    constructor(canvasDrawing) {
+        this.canvasDrawing = canvasDrawing;
+        this.element = null;
+        this.fields = [];
+        this.visible = false;
+
+        // Called with the typed strings { first, second } when Enter is pressed
+        this.onSubmit = null;
+
+        this.create();
+    }
+
+    create() {
+        const container = this.canvasDrawing.canvas.parentElement;
+
+        this.element = document.createElement('div');
+        this.element.className = 'dynamic-input hidden';
+        this.element.innerHTML = `
+            <label class="dynamic-input-field">
+                <span class="dynamic-input-label"></span>
+                <input type="text" autocomplete="off" spellcheck="false">
+            </label>
+            <label class="dynamic-input-field">
+                <span class="dynamic-input-label"></span>
+                <input type="text" autocomplete="off" spellcheck="false">
+            </label>
+        `;
+
+        this.fields = Array.from(this.element.querySelectorAll('.dynamic-input-field')).map(field => ({
+            field,
+            label: field.querySelector('.dynamic-input-label'),
+            input: field.querySelector('input')
+        }));
+
+        this.fields.forEach(({ input }) => {
+            input.addEventListener('keydown', this.handleKeyDown.bind(this));
+            input.addEventListener('input', () => input.classList.remove('invalid'));
+        });
+
+        container.appendChild(this.element);
+    }
+
+    handleKeyDown(event) {
+        // Keys typed here are for the box, not for canvas shortcuts
+        event.stopPropagation();
+
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            if (this.onSubmit) {
+                this.onSubmit({ first: this.fields[0].input.value, second: this.fields[1].input.value });
+            }
+        } else if (event.key === 'Escape') {
+            event.preventDefault();
+            this.clear();
+            this.blur();
+        }
+    }
+
+    /**
+     * Show the box with a label per field; a null second label shows a single field.
+     */
+    show(firstLabel, secondLabel = null) {
+        this.fields[0].label.textContent = firstLabel;
+        this.fields[1].label.textContent = secondLabel || '';
+        this.fields[1].field.classList.toggle('hidden', !secondLabel);
+
+        if (!this.visible) {
+            this.visible = true;
+            this.element.classList.remove('hidden');
+        }
+    }
+
+    hide() {
+        if (!this.visible) return;
+
+        this.visible = false;
+        this.clear();
+        this.blur();
+        this.element.classList.add('hidden');
+    }
+
+    isVisible() {
+        return this.visible;
+    }
+
+    isEditing() {
+        return this.fields.some(({ input }) => document.activeElement === input);
+    }
+
+    // Position next to the pointer, in pixels relative to the canvas
+    moveTo(x, y) {
+        this.element.style.left = `${x + 16}px`;
+        this.element.style.top = `${y + 16}px`;
+    }
+
+    // Live values shown until the user types their own
+    setPlaceholders(first, second = '') {
+        this.fields[0].input.placeholder = first;
+        this.fields[1].input.placeholder = second;
+    }
+
+    // First key typed on the canvas moves into the box
+    startTyping(text) {
+        const { input } = this.fields[0];
+        input.focus();
+        input.value = text;
+    }
+
+    focus() {
+        this.fields[0].input.focus();
+    }
+
+    blur() {
+        this.fields.forEach(({ input }) => input.blur());
+    }
+
+    clear() {
+        this.fields.forEach(({ input }) => {
+            input.value = '';
+            input.classList.remove('invalid');
+        });
+    }
+
+    markInvalid(index) {
+        this.fields[index].input.classList.add('invalid');
+        this.fields[index].input.focus();
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.DynamicInput = DynamicInput;
+}
@@ -0,0 +1,282 @@
+// HistoryManager.js - Command-based undo/redo for drawing and project changes
+
+/**
+ * A command applies one change and knows how to revert it.
+ * Commands keep the shape instances they touch and restore them in place,
+ * so references held elsewhere (selection, hosted openings) stay valid.
+ */
+class Command {
+    constructor(label) {
+        this.label = label;
+    }
+
+    execute() {}
+
+    undo() {}
+}
+
+// Shapes added to the drawing
+class AddShapesCommand extends Command {
+    constructor(shapes, label = 'Add') {
+        super(label);
+        this.shapes = [...shapes];
+    }
+
+    execute() {
+        AppState.drawings.push(...this.shapes);
+    }
+
+    undo() {
+        AppState.drawings = AppState.drawings.filter(shape => !this.shapes.includes(shape));
+    }
+}
+
+// Shapes removed from the drawing; undo puts them back at their old stacking positions
+class RemoveShapesCommand extends Command {
+    constructor(shapes, label = 'Delete') {
+        super(label);
+        this.shapes = [...shapes];
+        this.entries = [];
+    }
+
+    execute() {
+        this.entries = this.shapes
+            .map(shape => ({ shape, index: AppState.drawings.indexOf(shape) }))
+            .filter(entry => entry.index >= 0)
+            .sort((a, b) => a.index - b.index);
+
+        AppState.drawings = AppState.drawings.filter(shape => !this.shapes.includes(shape));
+    }
+
+    undo() {
+        this.entries.forEach(({ shape, index }) => {
+            AppState.drawings.splice(Math.min(index, AppState.drawings.length), 0, shape);
+        });
+    }
+}
+
+/**
+ * Shapes changed in place (moved, resized, rotated, properties or layer edited).
+ * `before` and `after` are toJSON() records in the same order as `shapes`.
+ */
+class ModifyShapesCommand extends Command {
+    constructor(shapes, before, after, label = 'Edit') {
+        super(label);
+        this.shapes = [...shapes];
+        this.before = before;
+        this.after = after;
+    }
+
+    execute() {
+        this.apply(this.after);
+    }
+
+    undo() {
+        this.apply(this.before);
+    }
+
+    apply(records) {
+        this.shapes.forEach((shape, index) => {
+            const restored = createShapeFromJSON(records[index]);
+            if (restored) {
+                Object.assign(shape, restored, { selected: shape.selected });
+            }
+        });
+    }
+}
+
+// Drawing order changed (bring forward, send back); `order` is the new AppState.drawings
+class ReorderShapesCommand extends Command {
+    constructor(order, label = 'Reorder') {
+        super(label);
+        this.before = [...AppState.drawings];
+        this.after = [...order];
+    }
+
+    execute() {
+        AppState.drawings = [...this.after];
+    }
+
+    undo() {
+        AppState.drawings = [...this.before];
+    }
+}
+
+// Plain property changes on any object (project details, layers)
+class SetPropertiesCommand extends Command {
+    constructor(target, changes, options = {}) {
+        super(options.label || 'Edit properties');
+        this.target = target;
+        this.after = { ...changes };
+        this.before = {};
+        Object.keys(changes).forEach(key => { this.before[key] = target[key]; });
+
+        // Event emitted with the target after every apply, so views can refresh
+        this.event = options.event || null;
+    }
+
+    execute() {
+        this.apply(this.after);
+    }
+
+    undo() {
+        this.apply(this.before);
+    }
+
+    apply(values) {
+        Object.assign(this.target, values);
+        if (this.event) {
+            EventBus.emit(this.event, this.target);
+        }
+    }
+}
+
+// Several commands undone and redone as one step
+class CompositeCommand extends Command {
+    constructor(commands = [], label = 'Edit') {
+        super(label);
+        this.commands = commands;
+    }
+
+    execute() {
+        this.commands.forEach(command => command.execute());
+    }
+
+    undo() {
+        [...this.commands].reverse().forEach(command => command.undo());
+    }
+}
+
+class HistoryManager {
+    constructor(options = {}) {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.maxSize = options.maxSize || 100;
+
+        // Commands collected between begin() and commit(); nested calls join the outer one
+        this.transaction = null;
+        this.transactionDepth = 0;
+    }
+
+    // Apply a command and record it
+    execute(command) {
+        command.execute();
+        this.record(command);
+    }
+
+    // Record a command whose change has already been applied (e.g. at the end of a drag)
+    record(command) {
+        if (this.transaction) {
+            this.transaction.commands.push(command);
+            return;
+        }
+
+        this.undoStack.push(command);
+        this.redoStack = [];
+
+        if (this.undoStack.length > this.maxSize) {
+            this.undoStack.shift();
+        }
+
+        this.notify();
+    }
+
+    // Transactions
+    begin(label) {
+        if (this.transactionDepth++ === 0) {
+            this.transaction = new CompositeCommand([], label);
+        }
+    }
+
+    commit() {
+        if (this.transactionDepth === 0 || --this.transactionDepth > 0) return;
+
+        const transaction = this.transaction;
+        this.transaction = null;
+
+        if (transaction.commands.length > 0) {
+            this.record(transaction);
+        }
+    }
+
+    rollback() {
+        if (!this.transaction) return;
+
+        this.transaction.undo();
+        this.transaction = null;
+        this.transactionDepth = 0;
+    }
+
+    transact(label, fn) {
+        this.begin(label);
+        try {
+            const result = fn();
+            this.commit();
+            return result;
+        } catch (error) {
+            this.rollback();
+            throw error;
+        }
+    }
+
+    // Undo/Redo
+    undo() {
+        if (!this.canUndo()) return null;
+
+        const command = this.undoStack.pop();
+        command.undo();
+        this.redoStack.push(command);
+        this.notify();
+        return command;
+    }
+
+    redo() {
+        if (!this.canRedo()) return null;
+
+        const command = this.redoStack.pop();
+        command.execute();
+        this.undoStack.push(command);
+        this.notify();
+        return command;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.transaction = null;
+        this.transactionDepth = 0;
+        this.notify();
+    }
+
+    notify() {
+        const undoCommand = this.undoStack[this.undoStack.length - 1];
+        const redoCommand = this.redoStack[this.redoStack.length - 1];
+
+        EventBus.emit('canvas:state-saved', {
+            canUndo: this.canUndo(),
+            canRedo: this.canRedo(),
+            undoLabel: undoCommand ? undoCommand.label : null,
+            redoLabel: redoCommand ? redoCommand.label : null
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.HistoryManager = HistoryManager;
+    window.Command = Command;
+    window.AddShapesCommand = AddShapesCommand;
+    window.RemoveShapesCommand = RemoveShapesCommand;
+    window.ModifyShapesCommand = ModifyShapesCommand;
+    window.ReorderShapesCommand = ReorderShapesCommand;
+    window.SetPropertiesCommand = SetPropertiesCommand;
+    window.CompositeCommand = CompositeCommand;
+}
@@ -0,0 +1,245 @@
+// MeasureTool.js - Temporary measuring: chained distances and, once closed, the enclosed area
+class MeasureTool {
+    constructor(canvasDrawing) {
+        this.canvasDrawing = canvasDrawing;
+        this.points = []; // Clicked points, in canvas pixels
+        this.pointer = null; // Where the next segment runs to while measuring
+        this.closed = false; // Last click landed on the first point
+        this.finished = false; // No more points; the next click starts over
+        this.element = null;
+        this.values = {};
+        this.areaRow = null;
+        this.keepButton = null;
+
+        this.create();
+    }
+
+    create() {
+        const container = this.canvasDrawing.canvas.parentElement;
+
+        this.element = document.createElement('div');
+        this.element.className = 'measure-readout hidden';
+        this.element.innerHTML = `
+            <div class="measure-values">
+                <span>Segment <strong data-value="segment"></strong></span>
+                <span>Total <strong data-value="total"></strong></span>
+                <span data-row="area">Area <strong data-value="area"></strong></span>
+            </div>
+            <div class="measure-actions">
+                <button class="btn btn-primary" data-action="keep">Keep as dimension</button>
+                <button class="btn btn-secondary" data-action="clear">Clear</button>
+            </div>
+        `;
+
+        this.element.querySelectorAll('[data-value]').forEach(value => {
+            this.values[value.dataset.value] = value;
+        });
+        this.areaRow = this.element.querySelector('[data-row="area"]');
+        this.keepButton = this.element.querySelector('[data-action="keep"]');
+
+        this.keepButton.addEventListener('click', () => this.keepAsDimensions());
+        this.element.querySelector('[data-action="clear"]').addEventListener('click', () => this.clear());
+
+        container.appendChild(this.element);
+    }
+
+    // Points are still being added
+    isMeasuring() {
+        return this.points.length > 0 && !this.finished;
+    }
+
+    hasMeasurement() {
+        return this.points.length > 0;
+    }
+
+    /**
+     * Add a clicked point. A click on the first point of three or more closes
+     * the loop; a click after a finished measurement starts a new one.
+     */
+    addPoint(point) {
+        if (this.finished) {
+            this.reset();
+        }
+
+        const first = this.points[0];
+        const last = this.points[this.points.length - 1];
+        const closeDistance = MeasureTool.CLOSE_DISTANCE / AppState.zoom;
+
+        if (this.points.length >= 3 && Geometry.distance(point, first) <= closeDistance) {
+            this.closed = true;
+            this.finish();
+            return;
+        }
+
+        // The second click of a double-click lands on the point just added
+        if (!last || !Geometry.pointsEqual(point, last)) {
+            this.points.push({ x: point.x, y: point.y });
+        }
+        this.pointer = { x: point.x, y: point.y };
+        this.update();
+    }
+
+    moveTo(point) {
+        if (!this.isMeasuring()) return;
+
+        this.pointer = { x: point.x, y: point.y };
+        this.update();
+    }
+
+    // Stop adding points, leaving the measurement up until it is cleared or kept
+    finish() {
+        if (!this.isMeasuring()) return false;
+
+        this.finished = true;
+        this.pointer = null;
+        this.update();
+        console.log('[MeasureTool] Measured', this.getReadout());
+        return true;
+    }
+
+    /**
+     * Drop the measurement, if any.
+     * Returns true when there was one.
+     */
+    clear() {
+        if (!this.hasMeasurement()) return false;
+
+        this.reset();
+        this.update();
+        return true;
+    }
+
+    reset() {
+        this.points = [];
+        this.pointer = null;
+        this.closed = false;
+        this.finished = false;
+    }
+
+    // Measured segments as [from, to], including the one following the pointer and the closing one
+    getSegments() {
+        const segments = this.points.slice(1).map((point, index) => [this.points[index], point]);
+        const last = this.points[this.points.length - 1];
+
+        if (this.closed) {
+            segments.push([last, this.points[0]]);
+        } else if (this.pointer && last && !Geometry.pointsEqual(this.pointer, last)) {
+            segments.push([last, this.pointer]);
+        }
+        return segments;
+    }
+
+    // Lengths in canvas pixels, and the area in square pixels once the loop is closed
+    getReadout() {
+        const lengths = this.getSegments().map(([from, to]) => Geometry.distance(from, to));
+
+        return {
+            segment: lengths.length > 0 ? lengths[lengths.length - 1] : 0,
+            total: lengths.reduce((total, length) => total + length, 0),
+            area: this.closed ? Math.abs(Geometry.polygonArea(this.points)) : null
+        };
+    }
+
+    update() {
+        const { segment, total, area } = this.getReadout();
+
+        this.element.classList.toggle('hidden', !this.hasMeasurement());
+        this.values.segment.textContent = Measurements.formatPixels(segment);
+        this.values.total.textContent = Measurements.formatPixels(total);
+        this.values.area.textContent = area === null ? '' : Measurements.formatPixelArea(area);
+        this.areaRow.classList.toggle('hidden', area === null);
+        this.keepButton.disabled = !this.finished || this.getSegments().length === 0;
+
+        this.canvasDrawing.redraw();
+        this.canvasDrawing.drawSnapIndicator();
+    }
+
+    /**
+     * Turn the measured segments into aligned dimensions, attached to any wall
+     * ends or corners they were measured from, as one undoable step.
+     */
+    keepAsDimensions() {
+        if (!this.finished) return [];
+
+        const dimensions = this.getSegments().map(([from, to]) =>
+            this.canvasDrawing.attachDimension(new MeasurementLine(from.x, from.y, to.x, to.y))
+        );
+
+        this.reset();
+        this.update();
+        return this.canvasDrawing.addDimensions(dimensions, 'Keep measurement');
+    }
+
+    // Rendering (called inside the canvas zoom transform, sized in screen pixels)
+    draw(ctx) {
+        if (!this.hasMeasurement()) return;
+
+        const zoom = AppState.zoom;
+        const segments = this.getSegments();
+
+        ctx.save();
+        ctx.strokeStyle = MeasureTool.COLOR;
+        ctx.fillStyle = MeasureTool.COLOR;
+        ctx.lineWidth = 1.5 / zoom;
+
+        if (this.closed) {
+            ctx.beginPath();
+            this.points.forEach((point, index) => index === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y));
+            ctx.closePath();
+            ctx.globalAlpha = 0.12;
+            ctx.fill();
+            ctx.globalAlpha = 1;
+        }
+
+        ctx.setLineDash([6 / zoom, 4 / zoom]);
+        ctx.beginPath();
+        segments.forEach(([from, to]) => {
+            ctx.moveTo(from.x, from.y);
+            ctx.lineTo(to.x, to.y);
+        });
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        this.points.forEach(point => {
+            ctx.beginPath();
+            ctx.arc(point.x, point.y, 3 / zoom, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        // Segment lengths at their midpoints; the running total where the chain ends
+        ctx.font = `${12 / zoom}px Arial`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+        segments.forEach(([from, to]) => {
+            const middle = Geometry.midpoint(from, to);
+            ctx.fillText(Measurements.formatPixels(Geometry.distance(from, to)), middle.x, middle.y - 4 / zoom);
+        });
+
+        const { total, area } = this.getReadout();
+        if (segments.length > 1 && !this.closed) {
+            const end = segments[segments.length - 1][1];
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'top';
+            ctx.fillText(`Σ ${Measurements.formatPixels(total)}`, end.x + 8 / zoom, end.y + 8 / zoom);
+        }
+        if (area !== null) {
+            const centre = Geometry.polygonCentroid(this.points);
+            ctx.font = `bold ${12 / zoom}px Arial`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(Measurements.formatPixelArea(area), centre.x, centre.y);
+        }
+
+        ctx.restore();
+    }
+}
+
+// How near the first point, in screen pixels, a click closes the loop
+MeasureTool.CLOSE_DISTANCE = 8;
+
+MeasureTool.COLOR = '#db2777';
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.MeasureTool = MeasureTool;
+}
@@ -0,0 +1,191 @@
+// ScaleDisplay.js - Drawing scale picker and a graphic scale bar that follows zoom
+class ScaleDisplay {
+    constructor(containerId, canvasDrawing) {
+        this.container = document.getElementById(containerId);
+        this.canvasDrawing = canvasDrawing;
+        this.select = null;
+        this.customInput = null;
+        this.bar = null;
+        this.description = null;
+        this.gridInfo = null;
+        this.init();
+    }
+
+    init() {
+        if (!this.container) {
+            console.error('[ScaleDisplay] Container not found');
+            return;
+        }
+
+        this.render();
+        this.bindEvents();
+        this.update();
+
+        console.log('[ScaleDisplay] Initialized');
+    }
+
+    render() {
+        this.container.innerHTML = `
+            <div class="scale-selector">
+                <label for="scaleRatio">Scale</label>
+                <select id="scaleRatio"></select>
+                <input type="text" class="scale-custom hidden" placeholder="1:125 or 1/8&quot; = 1'-0&quot;" autocomplete="off" spellcheck="false">
+            </div>
+            <canvas class="scale-bar" width="${ScaleDisplay.BAR_WIDTH + 40}" height="36"></canvas>
+            <div class="scale-info">
+                <span class="scale-description"></span>
+                <span class="scale-grid"></span>
+            </div>
+        `;
+
+        this.select = this.container.querySelector('#scaleRatio');
+        this.customInput = this.container.querySelector('.scale-custom');
+        this.bar = this.container.querySelector('.scale-bar');
+        this.description = this.container.querySelector('.scale-description');
+        this.gridInfo = this.container.querySelector('.scale-grid');
+    }
+
+    bindEvents() {
+        this.select.addEventListener('change', () => {
+            if (this.select.value === ScaleDisplay.CUSTOM) {
+                this.showCustomInput();
+            } else {
+                this.setScale(this.select.value);
+            }
+        });
+
+        this.customInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                if (this.setScale(this.customInput.value)) {
+                    this.hideCustomInput();
+                } else {
+                    this.customInput.classList.add('invalid');
+                }
+            } else if (event.key === 'Escape') {
+                this.hideCustomInput();
+                this.update();
+            }
+        });
+        this.customInput.addEventListener('input', () => this.customInput.classList.remove('invalid'));
+
+        EventBus.on('scale:changed', this.update.bind(this));
+        EventBus.on('project:changed', this.update.bind(this));
+        EventBus.on('project:loaded', this.update.bind(this));
+        EventBus.on('canvas:zoomed', this.drawScaleBar.bind(this));
+        EventBus.on('grid:resized', this.update.bind(this));
+    }
+
+    /**
+     * Change the drawing scale to a named or typed scale. Only the plan's
+     * size on paper changes; shapes keep their real dimensions. Scale changes
+     * are project edits, so they can be undone. Returns false when the text
+     * is not a scale.
+     */
+    setScale(text) {
+        const scale = Measurements.normalizeScale(text);
+        if (!scale) {
+            console.warn('[ScaleDisplay] Not a scale:', text);
+            return false;
+        }
+        if (scale === AppState.scale) return true;
+
+        const command = new SetPropertiesCommand(AppState, { scale }, {
+            label: 'Change scale',
+            event: 'scale:changed'
+        });
+        if (this.canvasDrawing) {
+            this.canvasDrawing.history.execute(command);
+        } else {
+            command.execute();
+        }
+
+        console.log('[ScaleDisplay] Scale set to', scale);
+        return true;
+    }
+
+    showCustomInput() {
+        this.customInput.value = AppState.scale;
+        this.customInput.classList.remove('hidden', 'invalid');
+        this.customInput.focus();
+        this.customInput.select();
+    }
+
+    hideCustomInput() {
+        this.customInput.classList.add('hidden');
+        this.customInput.classList.remove('invalid');
+    }
+
+    // Named scales by group, plus the current one when it was typed in
+    populateScales() {
+        this.select.innerHTML = '';
+
+        const groups = new Map();
+        Measurements.SCALES.forEach(scale => {
+            if (!groups.has(scale.group)) {
+                const group = document.createElement('optgroup');
+                group.label = scale.group;
+                groups.set(scale.group, group);
+                this.select.appendChild(group);
+            }
+            groups.get(scale.group).appendChild(new Option(scale.value, scale.value));
+        });
+
+        if (!Measurements.SCALES.some(scale => scale.value === AppState.scale)) {
+            this.select.appendChild(new Option(AppState.scale, AppState.scale));
+        }
+        this.select.appendChild(new Option('Custom…', ScaleDisplay.CUSTOM));
+        this.select.value = AppState.scale;
+    }
+
+    update() {
+        this.populateScales();
+        this.description.textContent = Measurements.describeScale();
+
+        if (this.canvasDrawing) {
+            this.gridInfo.textContent = `Grid ${Measurements.formatPixels(this.canvasDrawing.gridSize)}`;
+        }
+
+        this.drawScaleBar();
+    }
+
+    drawScaleBar() {
+        const ctx = this.bar.getContext('2d');
+        ctx.clearRect(0, 0, this.bar.width, this.bar.height);
+        ScaleDisplay.drawBar(ctx, 20, 10, Measurements.getScaleBar(AppState.zoom, ScaleDisplay.BAR_WIDTH));
+    }
+
+    /**
+     * Alternating black and white divisions with 0 and the bar's length
+     * written underneath; shared with image exports.
+     */
+    static drawBar(ctx, x, y, bar, height = 6) {
+        const division = bar.pixels / bar.divisions;
+
+        ctx.save();
+        ctx.lineWidth = 1;
+        ctx.strokeStyle = '#111827';
+
+        for (let i = 0; i < bar.divisions; i++) {
+            ctx.fillStyle = i % 2 === 0 ? '#111827' : '#ffffff';
+            ctx.fillRect(x + i * division, y, division, height);
+        }
+        ctx.strokeRect(x, y, bar.pixels, height);
+
+        ctx.fillStyle = '#111827';
+        ctx.font = '10px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        ctx.fillText('0', x, y + height + 4);
+        ctx.fillText(bar.label, x + bar.pixels, y + height + 4);
+        ctx.restore();
+    }
+}
+
+ScaleDisplay.BAR_WIDTH = 160;
+ScaleDisplay.CUSTOM = 'custom';
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.ScaleDisplay = ScaleDisplay;
+}
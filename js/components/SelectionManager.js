@@ -0,0 +1,583 @@
+// SelectionManager.js - Picking, rubber-band selection and move/resize/rotate of shapes
+class SelectionManager {
+    constructor(canvasDrawing) {
+        this.canvasDrawing = canvasDrawing;
+        this.selectedShapes = [];
+
+        // Active drag: { mode: 'move' | 'resize' | 'rotate' | 'vertex' | 'marquee', ... }
+        this.drag = null;
+
+        // Screen-pixel sizes, divided by zoom when drawing and hit-testing
+        this.handleSize = 8;
+        this.rotateHandleOffset = 25;
+        this.rotationStep = 15; // Degrees per step when Shift is held while rotating
+
+        this.init();
+    }
+
+    init() {
+        // Loading replaces the shape instances, so old references are stale
+        ['canvas:cleared', 'project:loaded'].forEach(event => {
+            EventBus.on(event, () => this.clear());
+        });
+
+        // Undo/redo restore shapes in place, but may take selected ones off the canvas
+        ['canvas:undone', 'canvas:redone', 'drawing:removed'].forEach(event => {
+            EventBus.on(event, () => this.pruneSelection());
+        });
+
+        console.log('[SelectionManager] Initialized');
+    }
+
+    // Selection State
+    getSelection() {
+        return [...this.selectedShapes];
+    }
+
+    hasSelection() {
+        return this.selectedShapes.length > 0;
+    }
+
+    isSelected(shape) {
+        return this.selectedShapes.includes(shape);
+    }
+
+    select(shapes, additive = false) {
+        if (!additive) {
+            this.selectedShapes.forEach(shape => { shape.selected = false; });
+            this.selectedShapes = [];
+        }
+
+        shapes.forEach(shape => {
+            if (!this.isSelected(shape)) {
+                shape.selected = true;
+                this.selectedShapes.push(shape);
+            }
+        });
+
+        this.notifyChanged();
+    }
+
+    // Deselect the shapes if the first is selected, otherwise add them all
+    toggle(shapes) {
+        if (!this.isSelected(shapes[0])) {
+            this.select(shapes, true);
+            return;
+        }
+
+        shapes.forEach(shape => { shape.selected = false; });
+        this.selectedShapes = this.selectedShapes.filter(selected => !shapes.includes(selected));
+        this.notifyChanged();
+    }
+
+    clear() {
+        if (this.selectedShapes.length === 0) return;
+
+        this.selectedShapes.forEach(shape => { shape.selected = false; });
+        this.selectedShapes = [];
+        this.notifyChanged();
+    }
+
+    pruneSelection() {
+        const remaining = this.selectedShapes.filter(shape => AppState.drawings.includes(shape));
+        if (remaining.length !== this.selectedShapes.length) {
+            this.select(remaining);
+        }
+    }
+
+    selectAll() {
+        this.select(AppState.drawings.filter(shape => shape.visible));
+        this.canvasDrawing.redraw();
+    }
+
+    notifyChanged() {
+        EventBus.emit('selection:changed', { shapes: this.getSelection() });
+    }
+
+    // Hit Testing
+    getShapeAt(x, y) {
+        // Topmost first; openings sit on top of their walls in the drawing list
+        for (let i = AppState.drawings.length - 1; i >= 0; i--) {
+            const shape = AppState.drawings[i];
+            if (shape.visible && shape.contains(x, y)) {
+                return shape;
+            }
+        }
+        return null;
+    }
+
+    // The shape and everything sharing its outermost group
+    getGroupMembers(shape) {
+        const [groupId] = shape.groupIds;
+        if (!groupId) return [shape];
+
+        return AppState.drawings.filter(drawing => drawing.groupIds[0] === groupId);
+    }
+
+    // Shapes with the rest of their groups added
+    expandGroups(shapes) {
+        return [...new Set(shapes.flatMap(shape => this.getGroupMembers(shape)))];
+    }
+
+    getSelectionBounds() {
+        if (this.selectedShapes.length === 0) return null;
+
+        return this.selectedShapes.reduce((bounds, shape) => {
+            const shapeBounds = shape.getWorldBounds();
+            return {
+                left: Math.min(bounds.left, shapeBounds.left),
+                top: Math.min(bounds.top, shapeBounds.top),
+                right: Math.max(bounds.right, shapeBounds.right),
+                bottom: Math.max(bounds.bottom, shapeBounds.bottom)
+            };
+        }, { left: Infinity, top: Infinity, right: -Infinity, bottom: -Infinity });
+    }
+
+    // Shapes a drag may change; locked ones stay put
+    getEditableShapes() {
+        return this.selectedShapes.filter(shape => !shape.locked);
+    }
+
+    // A single room is reshaped by its vertices rather than scaled by its box
+    getEditableRoom() {
+        const [shape] = this.selectedShapes;
+        return this.selectedShapes.length === 1 && shape instanceof Room && !shape.locked ? shape : null;
+    }
+
+    getHandlePositions() {
+        const bounds = this.getSelectionBounds();
+        if (!bounds || this.getEditableShapes().length === 0) return [];
+
+        const rotateOffset = this.rotateHandleOffset / AppState.zoom;
+        const rotateHandle = { id: 'rotate', x: (bounds.left + bounds.right) / 2, y: bounds.top - rotateOffset, cursor: 'grab' };
+        const room = this.getEditableRoom();
+
+        if (room) {
+            const points = room.getWorldPoints();
+            const vertices = points.map((point, index) => ({ id: 'vertex', index, x: point.x, y: point.y, cursor: 'move' }));
+
+            // Edge midpoints add a vertex when dragged
+            const inserts = points.map((point, index) => {
+                const midpoint = Geometry.midpoint(point, points[(index + 1) % points.length]);
+                return { id: 'insert', index, x: midpoint.x, y: midpoint.y, cursor: 'copy' };
+            });
+
+            return [...vertices, ...inserts, rotateHandle];
+        }
+
+        return [
+            { id: 'nw', x: bounds.left, y: bounds.top, cursor: 'nwse-resize' },
+            { id: 'ne', x: bounds.right, y: bounds.top, cursor: 'nesw-resize' },
+            { id: 'se', x: bounds.right, y: bounds.bottom, cursor: 'nwse-resize' },
+            { id: 'sw', x: bounds.left, y: bounds.bottom, cursor: 'nesw-resize' },
+            rotateHandle
+        ];
+    }
+
+    getHandleAt(x, y) {
+        const tolerance = this.handleSize / AppState.zoom;
+        return this.getHandlePositions().find(handle =>
+            Math.abs(handle.x - x) <= tolerance && Math.abs(handle.y - y) <= tolerance
+        ) || null;
+    }
+
+    // Mouse Handling (coordinates are in canvas units, already divided by zoom)
+    handleMouseDown(x, y, event) {
+        const handle = this.hasSelection() ? this.getHandleAt(x, y) : null;
+
+        if (handle && (handle.id === 'vertex' || handle.id === 'insert')) {
+            this.startVertexEdit(handle, x, y, event);
+            return;
+        }
+
+        if (handle) {
+            this.startTransform(handle.id === 'rotate' ? 'rotate' : 'resize', x, y, handle);
+            return;
+        }
+
+        const shape = this.getShapeAt(x, y);
+
+        if (shape) {
+            // Ctrl-click picks one shape out of a group
+            const picked = event.ctrlKey || event.metaKey ? [shape] : this.getGroupMembers(shape);
+
+            if (event.shiftKey) {
+                this.toggle(picked);
+            } else if (!this.isSelected(shape)) {
+                this.select(picked);
+            }
+
+            if (this.isSelected(shape) && this.getEditableShapes().length > 0) {
+                this.startTransform('move', x, y);
+            }
+        } else {
+            if (!event.shiftKey) {
+                this.clear();
+            }
+            this.drag = { mode: 'marquee', startX: x, startY: y, x, y, additive: event.shiftKey };
+        }
+
+        this.canvasDrawing.redraw();
+    }
+
+    handleMouseMove(x, y, event) {
+        if (!this.drag) {
+            this.updateHoverCursor(x, y);
+            return;
+        }
+
+        switch (this.drag.mode) {
+            case 'marquee':
+                this.drag.x = x;
+                this.drag.y = y;
+                break;
+            case 'move':
+                this.applyMove(x, y);
+                break;
+            case 'resize':
+                this.applyResize(x, y);
+                break;
+            case 'rotate':
+                this.applyRotate(x, y, event.shiftKey);
+                break;
+            case 'vertex':
+                this.applyVertexMove(x, y);
+                break;
+        }
+
+        this.canvasDrawing.redraw();
+    }
+
+    handleMouseUp(x, y) {
+        if (!this.drag) return;
+
+        if (this.drag.mode === 'marquee') {
+            this.finishMarquee();
+        } else if (this.drag.changed) {
+            const labels = { move: 'Move', resize: 'Resize', rotate: 'Rotate', vertex: 'Edit room shape' };
+            this.canvasDrawing.recordShapeChanges(this.selectedShapes, this.drag.originals, labels[this.drag.mode]);
+            EventBus.emit('selection:transformed', { mode: this.drag.mode, shapes: this.getSelection() });
+        }
+
+        this.drag = null;
+        this.canvasDrawing.snapManager.clear();
+        this.canvasDrawing.redraw();
+    }
+
+    // Abandon the current drag, putting shapes back where it started
+    cancelDrag() {
+        if (!this.drag) return;
+
+        if (this.drag.changed) {
+            this.restoreOriginals();
+        }
+        this.drag = null;
+        this.canvasDrawing.redraw();
+    }
+
+    updateHoverCursor(x, y) {
+        const handle = this.hasSelection() ? this.getHandleAt(x, y) : null;
+        const shape = handle ? null : this.getShapeAt(x, y);
+
+        this.canvasDrawing.canvas.style.cursor = handle ? handle.cursor : (shape ? 'move' : 'default');
+    }
+
+    // Transformations
+    startTransform(mode, x, y, handle = null) {
+        const bounds = this.getSelectionBounds();
+
+        this.drag = {
+            mode,
+            startX: x,
+            startY: y,
+            handle,
+            bounds,
+            center: { x: (bounds.left + bounds.right) / 2, y: (bounds.top + bounds.bottom) / 2 },
+            // Each update re-applies the total change to these originals, so rounding never accumulates
+            originals: this.selectedShapes.map(shape => shape.toJSON()),
+            changed: false
+        };
+    }
+
+    // A click that does not move anything leaves no history entry; a whole drag is one undo step
+    beginChange() {
+        this.drag.changed = true;
+    }
+
+    restoreOriginals() {
+        this.selectedShapes.forEach((shape, index) => {
+            Object.assign(shape, createShapeFromJSON(this.drag.originals[index]), { selected: true });
+        });
+    }
+
+    applyMove(x, y) {
+        let dx = x - this.drag.startX;
+        let dy = y - this.drag.startY;
+
+        if (this.canvasDrawing.snapToGrid) {
+            dx = this.canvasDrawing.snapToGridCoord(dx);
+            dy = this.canvasDrawing.snapToGridCoord(dy);
+        }
+
+        if (dx === 0 && dy === 0 && !this.drag.changed) return;
+
+        this.beginChange();
+        this.restoreOriginals();
+        this.getEditableShapes().forEach(shape => shape.move(dx, dy));
+        this.rehostOpenings();
+        this.reattachDimensions();
+    }
+
+    applyResize(x, y) {
+        const { bounds, handle } = this.drag;
+
+        // The corner opposite the dragged handle stays put
+        const anchor = {
+            x: handle.id.includes('w') ? bounds.right : bounds.left,
+            y: handle.id.includes('n') ? bounds.bottom : bounds.top
+        };
+        const width = bounds.right - bounds.left;
+        const height = bounds.bottom - bounds.top;
+        const newWidth = Math.max(1, Math.abs(x - anchor.x));
+        const newHeight = Math.max(1, Math.abs(y - anchor.y));
+        const sx = width > 0 ? newWidth / width : 1;
+        const sy = height > 0 ? newHeight / height : 1;
+
+        this.beginChange();
+        this.restoreOriginals();
+        this.getEditableShapes().forEach(shape => shape.scaleFrom(anchor, sx, sy));
+        this.rehostOpenings();
+    }
+
+    applyRotate(x, y, constrain) {
+        const { center } = this.drag;
+        const startAngle = Math.atan2(this.drag.startY - center.y, this.drag.startX - center.x);
+        const currentAngle = Math.atan2(y - center.y, x - center.x);
+        let degrees = (currentAngle - startAngle) * 180 / Math.PI;
+
+        if (constrain) {
+            degrees = Math.round(degrees / this.rotationStep) * this.rotationStep;
+        }
+
+        this.beginChange();
+        this.restoreOriginals();
+        this.getEditableShapes().forEach(shape => shape.rotateAround(center.x, center.y, degrees));
+        this.rehostOpenings();
+    }
+
+    // Room Vertices
+    startVertexEdit(handle, x, y, event) {
+        const room = this.getEditableRoom();
+        this.startTransform('vertex', x, y, handle);
+
+        if (handle.id === 'insert') {
+            // The new vertex starts at the edge midpoint and follows the pointer from there
+            this.beginChange();
+            room.insertVertex(handle.index, { x: handle.x, y: handle.y });
+            this.drag.vertexIndex = handle.index + 1;
+            this.drag.inserted = true;
+        } else if (event.altKey) {
+            this.removeVertex(handle.index);
+            return;
+        } else {
+            this.drag.vertexIndex = handle.index;
+        }
+
+        this.canvasDrawing.redraw();
+    }
+
+    applyVertexMove(x, y) {
+        const room = this.getEditableRoom();
+        const { vertexIndex, inserted } = this.drag;
+
+        if (x === this.drag.startX && y === this.drag.startY && !this.drag.changed) return;
+
+        // Vertices snap to walls and other outlines like a drawing tool would
+        const point = this.canvasDrawing.snapManager.snap(x, y, { exclude: [room] });
+
+        this.beginChange();
+        this.restoreOriginals();
+        if (inserted) {
+            room.insertVertex(vertexIndex - 1, point);
+        } else {
+            room.moveVertex(vertexIndex, point);
+        }
+    }
+
+    // Alt-click or double-click on a vertex; a room keeps at least three
+    removeVertex(index) {
+        const room = this.getEditableRoom();
+        if (!room) return false;
+
+        this.drag = null;
+        this.canvasDrawing.modifyShapes([room], shape => shape.removeVertex(index), 'Remove vertex');
+        this.canvasDrawing.redraw();
+        return true;
+    }
+
+    // Double-click on a vertex handle removes it; returns whether the click was used
+    handleDoubleClick(x, y) {
+        const handle = this.hasSelection() ? this.getHandleAt(x, y) : null;
+        if (!handle || handle.id !== 'vertex') return false;
+
+        return this.removeVertex(handle.index);
+    }
+
+    // Doors and windows stay in their wall: slide them to the nearest point along it
+    rehostOpenings() {
+        this.selectedShapes.forEach(shape => {
+            if (!(shape instanceof Opening) || !shape.wallId) return;
+
+            const wall = AppState.drawings.find(drawing => drawing.id === shape.wallId);
+            if (!wall) return;
+
+            const closest = Geometry.closestPointOnSegment(shape, wall.getStart(), wall.getEnd());
+            shape.offset = closest.t * wall.getLength();
+            shape.updateFromWall(wall);
+        });
+    }
+
+    // A dimension dragged without the shapes it measures moves further from them instead
+    reattachDimensions() {
+        const shapesById = new Map(AppState.drawings.map(shape => [shape.id, shape]));
+
+        this.selectedShapes.forEach(shape => {
+            if (shape instanceof MeasurementLine) shape.reattach(shapesById);
+        });
+    }
+
+    finishMarquee() {
+        const { startX, startY, x, y, additive } = this.drag;
+        const left = Math.min(startX, x);
+        const right = Math.max(startX, x);
+        const top = Math.min(startY, y);
+        const bottom = Math.max(startY, y);
+
+        if (right - left < 2 && bottom - top < 2) return;
+
+        // Left-to-right picks shapes fully inside the box; right-to-left also picks shapes it crosses
+        const crossing = x < startX;
+        const shapes = AppState.drawings.filter(shape => {
+            if (!shape.visible) return false;
+
+            const bounds = shape.getWorldBounds();
+            if (crossing) {
+                return bounds.left <= right && bounds.right >= left && bounds.top <= bottom && bounds.bottom >= top;
+            }
+            return bounds.left >= left && bounds.right <= right && bounds.top >= top && bounds.bottom <= bottom;
+        });
+
+        this.select(this.expandGroups(shapes), additive);
+    }
+
+    deleteSelected() {
+        if (!this.hasSelection()) return;
+
+        // Openings go with the wall that hosts them; locked shapes stay
+        const removedIds = new Set(this.getEditableShapes().map(shape => shape.id));
+        const removed = AppState.drawings.filter(shape =>
+            removedIds.has(shape.id) || (shape instanceof Opening && removedIds.has(shape.wallId))
+        );
+
+        if (removed.length === 0) return;
+
+        this.clear();
+        this.canvasDrawing.removeShapes(removed);
+        this.canvasDrawing.redraw();
+
+        console.log('[SelectionManager] Deleted shapes:', removed.length);
+    }
+
+    // Rendering (called inside the canvas zoom transform)
+    draw(ctx) {
+        const zoom = AppState.zoom;
+
+        this.selectedShapes.forEach(shape => {
+            ctx.save();
+            ctx.translate(shape.x, shape.y);
+            ctx.rotate(shape.rotation * Math.PI / 180);
+            ctx.scale(shape.scale, shape.scale);
+            shape.drawSelectionHandles(ctx, 6 / (zoom * shape.scale));
+            ctx.restore();
+        });
+
+        if (this.hasSelection()) {
+            this.drawTransformHandles(ctx, zoom);
+        }
+
+        if (this.drag && this.drag.mode === 'marquee') {
+            this.drawMarquee(ctx, zoom);
+        }
+
+        if (this.drag && this.drag.mode === 'vertex') {
+            this.canvasDrawing.snapManager.draw(ctx);
+        }
+    }
+
+    drawTransformHandles(ctx, zoom) {
+        const bounds = this.getSelectionBounds();
+        const handles = this.getHandlePositions();
+        const rotateHandle = handles.find(handle => handle.id === 'rotate');
+        const size = this.handleSize / zoom;
+
+        ctx.save();
+        ctx.strokeStyle = '#007ACC';
+        ctx.lineWidth = 1 / zoom;
+
+        if (this.selectedShapes.length > 1) {
+            ctx.setLineDash([4 / zoom, 4 / zoom]);
+            ctx.strokeRect(bounds.left, bounds.top, bounds.right - bounds.left, bounds.bottom - bounds.top);
+            ctx.setLineDash([]);
+        }
+
+        // Stem and knob of the rotation handle
+        ctx.beginPath();
+        ctx.moveTo(rotateHandle.x, bounds.top);
+        ctx.lineTo(rotateHandle.x, rotateHandle.y);
+        ctx.stroke();
+
+        ctx.fillStyle = '#ffffff';
+        ctx.beginPath();
+        ctx.arc(rotateHandle.x, rotateHandle.y, size / 2, 0, 2 * Math.PI);
+        ctx.fill();
+        ctx.stroke();
+
+        // Resize and vertex handles
+        handles.filter(handle => handle.id !== 'rotate' && handle.id !== 'insert').forEach(handle => {
+            ctx.fillRect(handle.x - size / 2, handle.y - size / 2, size, size);
+            ctx.strokeRect(handle.x - size / 2, handle.y - size / 2, size, size);
+        });
+
+        // Add-vertex handles: small hollow circles on the edges
+        ctx.globalAlpha = 0.7;
+        handles.filter(handle => handle.id === 'insert').forEach(handle => {
+            ctx.beginPath();
+            ctx.arc(handle.x, handle.y, size / 3, 0, 2 * Math.PI);
+            ctx.fill();
+            ctx.stroke();
+        });
+
+        ctx.restore();
+    }
+
+    drawMarquee(ctx, zoom) {
+        const { startX, startY, x, y } = this.drag;
+        const crossing = x < startX;
+
+        ctx.save();
+        ctx.lineWidth = 1 / zoom;
+        ctx.strokeStyle = crossing ? '#10b981' : '#007ACC';
+        ctx.fillStyle = crossing ? 'rgba(16, 185, 129, 0.08)' : 'rgba(0, 122, 204, 0.08)';
+        if (crossing) {
+            ctx.setLineDash([4 / zoom, 4 / zoom]);
+        }
+        ctx.fillRect(startX, startY, x - startX, y - startY);
+        ctx.strokeRect(startX, startY, x - startX, y - startY);
+        ctx.restore();
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.SelectionManager = SelectionManager;
+}
@@ -14,10 +14,13 @@ class Shape {
         this.rotation = options.rotation || 0;
         this.scale = options.scale || 1;
         this.layer = options.layer || 0;
+        this.locked = options.locked || false; // Locked shapes can be selected but not changed
+        this.groupIds = options.groupIds || []; // Groups the shape belongs to, outermost first
     }
 
     generateId() {
-        return 'shape_' + Date.now() + '_' + Math.floor(Math.random() * 1000);
+        // The counter keeps ids unique when many shapes are made in the same millisecond (paste, duplicate)
+        return 'shape_' + Date.now() + '_' + Shape.nextId++;
     }
 
     draw(ctx) {
@@ -31,10 +34,6 @@ class Shape {
 
         this.drawShape(ctx);
 
-        if (this.selected) {
-            this.drawSelectionHandles(ctx);
-        }
-
         ctx.restore();
     }
 
@@ -42,17 +41,23 @@ class Shape {
         // Override in subclasses
     }
 
-    drawSelectionHandles(ctx) {
+    // Drawn in the shape's local frame (after draw()'s translate/rotate/scale);
+    // handleSize is in canvas units so callers can keep it constant on screen
+    drawSelectionHandles(ctx, handleSize = 6) {
         ctx.save();
-        ctx.setTransform(1, 0, 0, 1, 0, 0);
-        ctx.translate(this.x, this.y);
 
         const bounds = this.getBounds();
-        const handleSize = 6;
+
+        // Dashed outline around the shape
+        ctx.strokeStyle = '#007ACC';
+        ctx.lineWidth = handleSize / 6;
+        ctx.setLineDash([handleSize / 2, handleSize / 2]);
+        ctx.strokeRect(bounds.left, bounds.top, bounds.right - bounds.left, bounds.bottom - bounds.top);
+        ctx.setLineDash([]);
 
         ctx.fillStyle = '#007ACC';
         ctx.strokeStyle = '#ffffff';
-        ctx.lineWidth = 1;
+        ctx.lineWidth = handleSize / 6;
 
         // Draw corner handles
         const positions = [
@@ -75,12 +80,65 @@ class Shape {
         return { left: -10, top: -10, right: 10, bottom: 10 };
     }
 
+    // Axis-aligned bounds in canvas coordinates, including rotation and scale
+    getWorldBounds() {
+        const bounds = this.getBounds();
+        const corners = [
+            this.localToWorld(bounds.left, bounds.top),
+            this.localToWorld(bounds.right, bounds.top),
+            this.localToWorld(bounds.right, bounds.bottom),
+            this.localToWorld(bounds.left, bounds.bottom)
+        ];
+
+        return {
+            left: Math.min(...corners.map(point => point.x)),
+            top: Math.min(...corners.map(point => point.y)),
+            right: Math.max(...corners.map(point => point.x)),
+            bottom: Math.max(...corners.map(point => point.y))
+        };
+    }
+
+    localToWorld(localX, localY) {
+        const angle = this.rotation * Math.PI / 180;
+        const x = localX * this.scale;
+        const y = localY * this.scale;
+
+        return {
+            x: this.x + x * Math.cos(angle) - y * Math.sin(angle),
+            y: this.y + x * Math.sin(angle) + y * Math.cos(angle)
+        };
+    }
+
+    worldToLocal(worldX, worldY) {
+        const angle = -this.rotation * Math.PI / 180;
+        const x = worldX - this.x;
+        const y = worldY - this.y;
+
+        return {
+            x: (x * Math.cos(angle) - y * Math.sin(angle)) / this.scale,
+            y: (x * Math.sin(angle) + y * Math.cos(angle)) / this.scale
+        };
+    }
+
+    /**
+     * Named points that dimensions can attach to, in canvas coordinates.
+     * Most shapes only offer their centre.
+     */
+    getReferencePoints() {
+        return { center: { x: this.x, y: this.y } };
+    }
+
+    getReferencePoint(key) {
+        return this.getReferencePoints()[key] || null;
+    }
+
     contains(x, y) {
         const bounds = this.getBounds();
-        return x >= this.x + bounds.left &&
-            x <= this.x + bounds.right &&
-            y >= this.y + bounds.top &&
-            y <= this.y + bounds.bottom;
+        const local = this.worldToLocal(x, y);
+        return local.x >= bounds.left &&
+            local.x <= bounds.right &&
+            local.y >= bounds.top &&
+            local.y <= bounds.bottom;
     }
 
     move(dx, dy) {
@@ -88,12 +146,61 @@ class Shape {
         this.y += dy;
     }
 
+    /**
+     * Split a world-axis resize (sx, sy) into factors along and across the
+     * shape's own axes, so rotated shapes resize sensibly.
+     */
+    getAxisScale(sx, sy) {
+        const angle = this.rotation * Math.PI / 180;
+        const cosSquared = Math.cos(angle) ** 2;
+        const sinSquared = Math.sin(angle) ** 2;
+
+        return {
+            along: Math.abs(cosSquared * sx + sinSquared * sy),
+            across: Math.abs(sinSquared * sx + cosSquared * sy)
+        };
+    }
+
+    // Resize about a fixed world point, e.g. the corner opposite a dragged handle
+    scaleFrom(origin, sx, sy) {
+        this.x = origin.x + (this.x - origin.x) * sx;
+        this.y = origin.y + (this.y - origin.y) * sy;
+        this.resizeBy(this.getAxisScale(sx, sy));
+    }
+
+    // Grow the shape's own size; the base class only has its uniform scale
+    resizeBy({ along, across }) {
+        this.scale *= (along + across) / 2;
+    }
+
+    rotateAround(cx, cy, degrees) {
+        const angle = degrees * Math.PI / 180;
+        const dx = this.x - cx;
+        const dy = this.y - cy;
+
+        this.x = cx + dx * Math.cos(angle) - dy * Math.sin(angle);
+        this.y = cy + dx * Math.sin(angle) + dy * Math.cos(angle);
+        this.rotation = (this.rotation + degrees) % 360;
+    }
+
+    /**
+     * Mirror through a line through origin (see Geometry.mirrorPoint). A mirror
+     * equals turning the other way and flipping along one of the shape's own axes.
+     */
+    mirror(axis, origin) {
+        const position = Geometry.mirrorPoint(this, axis, origin);
+        this.x = position.x;
+        this.y = position.y;
+        this.rotation = -this.rotation;
+        this.flipLocal(axis === 'horizontal' ? 'x' : 'y');
+    }
+
+    // Flip along the shape's own x or y axis; symmetric shapes need nothing
+    flipLocal(axis) {}
+
+    // Copy with a fresh id, built from the saved record like a loaded shape
     clone() {
-        const cloned = new this.constructor(this.x, this.y);
-        Object.assign(cloned, JSON.parse(JSON.stringify(this)));
-        cloned.id = this.generateId();
-        cloned.selected = false;
-        return cloned;
+        return createShapeFromJSON({ ...this.toJSON(), id: null });
     }
 
     toJSON() {
@@ -108,37 +215,223 @@ class Shape {
             rotation: this.rotation,
             scale: this.scale,
             layer: this.layer,
-            visible: this.visible
+            visible: this.visible,
+            locked: this.locked,
+            groupIds: this.groupIds
         };
     }
 }
 
+Shape.nextId = 1;
+
 // Wall class
 class Wall extends Shape {
     constructor(x1, y1, x2, y2, options = {}) {
         super(x1, y1, options);
-        this.x2 = x2 || x1;
-        this.y2 = y2 || y1;
-        this.thickness = options.thickness || 8;
+        this.x2 = x2 !== undefined ? x2 : x1;
+        this.y2 = y2 !== undefined ? y2 : y1;
+        this.thickness = options.thickness || Measurements.mmToPixels(230); // One brick
         this.strokeStyle = options.strokeStyle || '#000000';
         this.fillStyle = options.fillStyle || '#cccccc';
     }
 
     drawShape(ctx) {
-        const dx = this.x2 - this.x;
-        const dy = this.y2 - this.y;
-        const length = Math.sqrt(dx * dx + dy * dy);
+        const points = this.getOutline();
+        if (!points) return;
+
+        // Outline is in world coordinates; draw() has already translated to x/y
+        ctx.beginPath();
+        points.forEach((point, index) => {
+            const method = index === 0 ? 'moveTo' : 'lineTo';
+            ctx[method](point.x - this.x, point.y - this.y);
+        });
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+    }
+
+    getStart() {
+        return { x: this.x, y: this.y };
+    }
+
+    getEnd() {
+        return { x: this.x2, y: this.y2 };
+    }
+
+    getLength() {
+        return Geometry.distance(this.getStart(), this.getEnd());
+    }
+
+    getReferencePoints() {
+        return { start: this.getStart(), end: this.getEnd() };
+    }
+
+    getDirection() {
+        return Geometry.normalize(Geometry.subtract(this.getEnd(), this.getStart()));
+    }
+
+    /**
+     * Wall body as a polygon in world coordinates: [startLeft, endLeft, endRight, startRight].
+     * Ends that meet other walls are mitred (L junctions), trimmed to the other
+     * wall's centre line (T junctions) or squared past the joint (3+ way junctions).
+     */
+    getOutline(walls = []) {
+        if (this.getLength() === 0) return null;
+
+        const others = walls.filter(wall => wall !== this && wall.getLength() > 0);
+        const direction = this.getDirection();
+        const start = this.getEndCorners(this.getStart(), Geometry.scale(direction, -1), others);
+        const end = this.getEndCorners(this.getEnd(), direction, others);
+
+        // getEndCorners works relative to the outward direction, which is reversed at the start
+        return [start.right, end.left, end.right, start.left];
+    }
+
+    getEndCorners(point, outward, others) {
+        const halfThickness = this.thickness / 2;
+        const normal = Geometry.perpendicular(outward);
+        const leftOffset = Geometry.scale(normal, halfThickness);
+        const rightOffset = Geometry.scale(normal, -halfThickness);
+        const square = {
+            left: Geometry.add(point, leftOffset),
+            right: Geometry.add(point, rightOffset)
+        };
+
+        const joined = others.filter(wall =>
+            Geometry.pointsEqual(wall.getStart(), point, Wall.JOIN_TOLERANCE) ||
+            Geometry.pointsEqual(wall.getEnd(), point, Wall.JOIN_TOLERANCE)
+        );
+
+        if (joined.length === 1) {
+            // L junction: continue each face into the matching face of the other wall
+            const other = joined[0];
+            const away = Geometry.pointsEqual(other.getStart(), point, Wall.JOIN_TOLERANCE)
+                ? other.getDirection()
+                : Geometry.scale(other.getDirection(), -1);
+            const otherNormal = Geometry.perpendicular(away);
+            const otherHalf = other.thickness / 2;
+
+            const left = Geometry.lineIntersection(
+                square.left, outward,
+                Geometry.add(point, Geometry.scale(otherNormal, otherHalf)), away
+            );
+            const right = Geometry.lineIntersection(
+                square.right, outward,
+                Geometry.add(point, Geometry.scale(otherNormal, -otherHalf)), away
+            );
+
+            // Collinear walls need no mitre; very acute corners would spike, so square them off
+            const limit = Math.max(halfThickness, otherHalf) * Wall.MITRE_LIMIT;
+            if (left && right && Geometry.distance(left, point) <= limit && Geometry.distance(right, point) <= limit) {
+                return { left, right };
+            }
+            return square;
+        }
+
+        if (joined.length > 1) {
+            // Several walls share the point: overlap by half a thickness so the corner is filled
+            const extension = Geometry.scale(outward, halfThickness);
+            return {
+                left: Geometry.add(square.left, extension),
+                right: Geometry.add(square.right, extension)
+            };
+        }
+
+        // T junction: this end touches the body of another wall, so run the faces to its centre line
+        const through = others.find(wall => {
+            const closest = Geometry.closestPointOnSegment(point, wall.getStart(), wall.getEnd());
+            return closest.t > 0 && closest.t < 1 && closest.distance <= Wall.JOIN_TOLERANCE;
+        });
+
+        if (through) {
+            const left = Geometry.lineIntersection(square.left, outward, through.getStart(), through.getDirection());
+            const right = Geometry.lineIntersection(square.right, outward, through.getStart(), through.getDirection());
+            if (left && right) {
+                return { left, right };
+            }
+        }
+
+        return square;
+    }
+
+    /**
+     * Wall body split around the openings hosted in it, as a list of polygons.
+     * Each piece keeps the outline's mitred ends where it reaches the wall ends.
+     */
+    getOutlinePieces(walls = [], openings = []) {
+        const outline = this.getOutline(walls);
+        if (!outline) return [];
+
+        const cuts = openings
+            .filter(opening => opening.wallId === this.id)
+            .map(opening => ({ start: opening.offset - opening.width / 2, end: opening.offset + opening.width / 2 }))
+            .sort((a, b) => a.start - b.start);
+
+        if (cuts.length === 0) return [outline];
+
+        const [startPositive, endPositive, endNegative, startNegative] = outline;
+        const direction = this.getDirection();
+        const normal = Geometry.perpendicular(direction);
+        const pointAt = (distance, side) => Geometry.add(
+            this.getStart(),
+            Geometry.add(Geometry.scale(direction, distance), Geometry.scale(normal, side * this.thickness / 2))
+        );
+
+        const pieces = [];
+        let pieceStart = { distance: -Infinity, positive: startPositive, negative: startNegative };
+
+        cuts.forEach(cut => {
+            // Overlapping openings merge into one gap
+            if (cut.start > pieceStart.distance) {
+                pieces.push([pieceStart.positive, pointAt(cut.start, 1), pointAt(cut.start, -1), pieceStart.negative]);
+            }
+            if (cut.end > pieceStart.distance) {
+                pieceStart = { distance: cut.end, positive: pointAt(cut.end, 1), negative: pointAt(cut.end, -1) };
+            }
+        });
+        pieces.push([pieceStart.positive, endPositive, endNegative, pieceStart.negative]);
 
-        if (length === 0) return;
+        return pieces;
+    }
 
-        const angle = Math.atan2(dy, dx);
+    /**
+     * Draw a set of walls as one network: outlines first at double width, then
+     * the fills on top, so seams where walls overlap disappear and only the
+     * outer faces keep a stroke. `context` is the set of walls used for joins
+     * and `openings` the doors/windows whose gaps are cut out of the walls.
+     */
+    static drawWalls(ctx, walls, { context = walls, openings = [] } = {}) {
+        const outlines = [];
+        walls
+            .filter(wall => wall.visible)
+            .forEach(wall => {
+                wall.getOutlinePieces(context, openings).forEach(points => outlines.push({ wall, points }));
+            });
+
+        const tracePolygon = points => {
+            ctx.beginPath();
+            points.forEach((point, index) => {
+                const method = index === 0 ? 'moveTo' : 'lineTo';
+                ctx[method](point.x, point.y);
+            });
+            ctx.closePath();
+        };
 
         ctx.save();
-        ctx.rotate(angle);
+        ctx.lineJoin = 'miter';
+
+        outlines.forEach(({ wall, points }) => {
+            ctx.strokeStyle = wall.strokeStyle;
+            ctx.lineWidth = wall.lineWidth * 2;
+            tracePolygon(points);
+            ctx.stroke();
+        });
 
-        // Draw wall body
-        ctx.fillRect(-this.thickness / 2, -this.thickness / 2, length, this.thickness);
-        ctx.strokeRect(-this.thickness / 2, -this.thickness / 2, length, this.thickness);
+        outlines.forEach(({ wall, points }) => {
+            ctx.fillStyle = wall.fillStyle;
+            tracePolygon(points);
+            ctx.fill();
+        });
 
         ctx.restore();
     }
@@ -170,6 +463,45 @@ class Wall extends Shape {
         return distance <= this.thickness / 2 + 5;
     }
 
+    move(dx, dy) {
+        super.move(dx, dy);
+        this.x2 += dx;
+        this.y2 += dy;
+    }
+
+    scaleFrom(origin, sx, sy) {
+        this.x = origin.x + (this.x - origin.x) * sx;
+        this.y = origin.y + (this.y - origin.y) * sy;
+        this.x2 = origin.x + (this.x2 - origin.x) * sx;
+        this.y2 = origin.y + (this.y2 - origin.y) * sy;
+    }
+
+    rotateAround(cx, cy, degrees) {
+        // Endpoint shapes keep rotation at 0 and turn their endpoints instead
+        const angle = degrees * Math.PI / 180;
+        const turn = (x, y) => ({
+            x: cx + (x - cx) * Math.cos(angle) - (y - cy) * Math.sin(angle),
+            y: cy + (x - cx) * Math.sin(angle) + (y - cy) * Math.cos(angle)
+        });
+        const start = turn(this.x, this.y);
+        const end = turn(this.x2, this.y2);
+
+        this.x = start.x;
+        this.y = start.y;
+        this.x2 = end.x;
+        this.y2 = end.y;
+    }
+
+    mirror(axis, origin) {
+        const start = Geometry.mirrorPoint({ x: this.x, y: this.y }, axis, origin);
+        const end = Geometry.mirrorPoint({ x: this.x2, y: this.y2 }, axis, origin);
+
+        this.x = start.x;
+        this.y = start.y;
+        this.x2 = end.x;
+        this.y2 = end.y;
+    }
+
     toJSON() {
         return {
             ...super.toJSON(),
@@ -180,63 +512,200 @@ class Wall extends Shape {
     }
 }
 
+// Endpoints closer than this (in canvas pixels) are treated as joined
+Wall.JOIN_TOLERANCE = 1;
+// Mitre corners further than this many half-thicknesses from the joint are squared off
+Wall.MITRE_LIMIT = 4;
+
+// Opening class - base for doors and windows hosted in a wall
+class Opening extends Shape {
+    constructor(x, y, options = {}) {
+        super(x, y, options);
+        this.wallId = options.wallId || null;
+        // Distance from the wall's start point to the centre of the opening
+        this.offset = options.offset || 0;
+    }
+
+    attachToWall(wall, offset) {
+        this.wallId = wall.id;
+        this.offset = offset;
+        this.updateFromWall(wall);
+    }
+
+    detachFromWall() {
+        this.wallId = null;
+    }
+
+    // Re-derive position, angle and depth from the host wall
+    updateFromWall(wall) {
+        const length = wall.getLength();
+        const halfWidth = Math.min(this.width / 2, length / 2);
+        const direction = wall.getDirection();
+
+        this.offset = Math.max(halfWidth, Math.min(length - halfWidth, this.offset));
+        this.x = wall.x + direction.x * this.offset;
+        this.y = wall.y + direction.y * this.offset;
+        this.rotation = Math.atan2(direction.y, direction.x) * 180 / Math.PI;
+        this.height = wall.thickness;
+    }
+
+    resizeBy({ along }) {
+        // Depth always follows the host wall, so only the width changes
+        this.width *= along;
+    }
+
+    // Jambs as 'jamb:0' and 'jamb:1', on the wall's centre line
+    getReferencePoints() {
+        return {
+            ...super.getReferencePoints(),
+            'jamb:0': this.localToWorld(-this.width / 2, 0),
+            'jamb:1': this.localToWorld(this.width / 2, 0)
+        };
+    }
+
+    getBounds() {
+        return {
+            left: -this.width / 2,
+            top: -this.height / 2,
+            right: this.width / 2,
+            bottom: this.height / 2
+        };
+    }
+
+    /**
+     * Find the wall closest to (x, y) within maxDistance of its centre line.
+     * Returns { wall, offset, side } where side is 1 or -1 depending on which
+     * face of the wall the point is on, or null if no wall is close enough.
+     */
+    static findNearestWall(walls, x, y, maxDistance) {
+        const point = { x, y };
+        let nearest = null;
+
+        walls.forEach(wall => {
+            if (wall.getLength() === 0) return;
+
+            const closest = Geometry.closestPointOnSegment(point, wall.getStart(), wall.getEnd());
+            const limit = maxDistance + wall.thickness / 2;
+
+            if (closest.distance <= limit && (!nearest || closest.distance < nearest.distance)) {
+                const normal = Geometry.perpendicular(wall.getDirection());
+                const side = Geometry.dot(Geometry.subtract(point, closest.point), normal) >= 0 ? 1 : -1;
+
+                nearest = {
+                    wall,
+                    offset: closest.t * wall.getLength(),
+                    side,
+                    distance: closest.distance
+                };
+            }
+        });
+
+        return nearest;
+    }
+
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            width: this.width,
+            height: this.height,
+            wallId: this.wallId,
+            offset: this.offset
+        };
+    }
+}
+
 // Door class
-class Door extends Shape {
+class Door extends Opening {
     constructor(x, y, options = {}) {
         super(x, y, options);
-        this.width = options.width || 80;
-        this.height = options.height || 10;
+        this.width = options.width || Measurements.mmToPixels(900);
+        this.height = options.height || Measurements.mmToPixels(230);
         this.openAngle = options.openAngle || 90;
+        // Hinge at the local -x ('left') or +x ('right') jamb; leaf swings to local +y (1) or -y (-1)
+        this.hingeSide = options.hingeSide || 'left';
+        this.swingSide = options.swingSide || 1;
         this.strokeStyle = options.strokeStyle || '#8B4513';
         this.fillStyle = options.fillStyle || '#DEB887';
     }
 
     drawShape(ctx) {
-        // Draw door frame
-        ctx.fillRect(-this.width / 2, -this.height / 2, this.width, this.height);
-        ctx.strokeRect(-this.width / 2, -this.height / 2, this.width, this.height);
+        const halfWidth = this.width / 2;
+        const halfDepth = this.height / 2;
+        const hingeX = this.hingeSide === 'left' ? -halfWidth : halfWidth;
+        const hingeY = this.swingSide * halfDepth;
+        const closedAngle = this.hingeSide === 'left' ? 0 : Math.PI;
+        const sweep = (this.openAngle * Math.PI / 180) * this.swingSide * (this.hingeSide === 'left' ? 1 : -1);
+        const openAngle = closedAngle + sweep;
+
+        // Draw door frame (jambs)
+        ctx.beginPath();
+        ctx.moveTo(-halfWidth, -halfDepth);
+        ctx.lineTo(-halfWidth, halfDepth);
+        ctx.moveTo(halfWidth, -halfDepth);
+        ctx.lineTo(halfWidth, halfDepth);
+        ctx.stroke();
+
+        // Draw door leaf in its open position
+        ctx.beginPath();
+        ctx.moveTo(hingeX, hingeY);
+        ctx.lineTo(hingeX + this.width * Math.cos(openAngle), hingeY + this.width * Math.sin(openAngle));
+        ctx.stroke();
 
         // Draw door swing arc
         ctx.save();
         ctx.strokeStyle = '#888888';
+        ctx.lineWidth = 1;
         ctx.setLineDash([2, 2]);
         ctx.beginPath();
-        ctx.arc(-this.width / 2, 0, this.width, 0, (this.openAngle * Math.PI) / 180);
+        ctx.arc(hingeX, hingeY, this.width, closedAngle, openAngle, openAngle < closedAngle);
         ctx.stroke();
         ctx.restore();
+    }
 
-        // Draw door handle
-        ctx.fillStyle = '#333333';
-        ctx.beginPath();
-        ctx.arc(this.width / 2 - 10, 0, 3, 0, 2 * Math.PI);
-        ctx.fill();
+    flipHinge() {
+        this.hingeSide = this.hingeSide === 'left' ? 'right' : 'left';
+    }
+
+    flipSwing() {
+        this.swingSide = -this.swingSide;
+    }
+
+    // Hinge runs along the door's x axis, the swing along its y axis
+    flipLocal(axis) {
+        if (axis === 'x') {
+            this.flipHinge();
+        } else {
+            this.flipSwing();
+        }
     }
 
     getBounds() {
+        // Include the swing so the leaf can be picked
+        const halfDepth = this.height / 2;
         return {
             left: -this.width / 2,
-            top: -this.height / 2,
+            top: this.swingSide < 0 ? -halfDepth - this.width : -halfDepth,
             right: this.width / 2,
-            bottom: this.height / 2
+            bottom: this.swingSide > 0 ? halfDepth + this.width : halfDepth
         };
     }
 
     toJSON() {
         return {
             ...super.toJSON(),
-            width: this.width,
-            height: this.height,
-            openAngle: this.openAngle
+            openAngle: this.openAngle,
+            hingeSide: this.hingeSide,
+            swingSide: this.swingSide
         };
     }
 }
 
 // Window class
-class Window extends Shape {
+class Window extends Opening {
     constructor(x, y, options = {}) {
         super(x, y, options);
-        this.width = options.width || 100;
-        this.height = options.height || 10;
+        this.width = options.width || Measurements.mmToPixels(1200);
+        this.height = options.height || Measurements.mmToPixels(230);
         this.strokeStyle = options.strokeStyle || '#4169E1';
         this.fillStyle = options.fillStyle || '#E6F3FF';
     }
@@ -262,197 +731,1985 @@ class Window extends Shape {
         ctx.lineTo(this.width / 2, 0);
         ctx.stroke();
     }
+}
 
-    getBounds() {
-        return {
-            left: -this.width / 2,
-            top: -this.height / 2,
-            right: this.width / 2,
-            bottom: this.height / 2
-        };
+// Staircase class
+// Steps are generated from the floor-to-floor height and the largest riser
+// allowed. Heights are in millimetres since they aren't drawn; the flight
+// width and tread are plan lengths in canvas pixels, the model unit of
+// every shape (see Measurements.MM_PER_PIXEL).
+class Staircase extends Shape {
+    constructor(x, y, options = {}) {
+        super(x, y, options);
+        this.stairType = options.stairType || 'straight'; // 'straight', 'dog-legged', 'L' or 'U'
+        this.width = options.width || Measurements.mmToPixels(1000);
+        this.tread = options.tread || Measurements.mmToPixels(250);
+        this.floorHeight = options.floorHeight || 3000;
+        this.riser = options.riser || 175; // Largest riser allowed; the actual one divides the height evenly
+        this.turn = options.turn || 1; // The second flight lies to local +y (1) or -y (-1)
+        this.strokeStyle = options.strokeStyle || '#333333';
+        this.fillStyle = options.fillStyle || '#f5f5f5';
     }
 
-    toJSON() {
+    getRiserCount() {
+        return Math.max(2, Math.ceil(this.floorHeight / this.riser - 1e-9));
+    }
+
+    getRiserHeight() {
+        return this.floorHeight / this.getRiserCount();
+    }
+
+    // The last riser steps onto the upper floor, so there is one tread fewer than risers
+    getTreadCount() {
+        return this.getRiserCount() - 1;
+    }
+
+    getFlightCounts() {
+        const treads = this.getTreadCount();
+        if (this.stairType === 'straight') return [treads];
+
+        const first = Math.ceil(treads / 2);
+        return [first, treads - first];
+    }
+
+    /**
+     * Steps, landings and the walking line in local coordinates, centred on
+     * the staircase's origin. Flights run along local +x first.
+     */
+    getLayout() {
+        const [first, second = 0] = this.getFlightCounts();
+        const tread = this.tread;
+        const width = this.width;
+        const flights = [];
+        const landings = [];
+        let path;
+
+        const rectangle = (left, top, right, bottom) => [
+            { x: left, y: top }, { x: right, y: top }, { x: right, y: bottom }, { x: left, y: bottom }
+        ];
+
+        if (this.stairType === 'L') {
+            const corner = first * tread;
+            const side = this.turn * width / 2;
+            flights.push({ start: { x: 0, y: 0 }, direction: { x: 1, y: 0 }, count: first });
+            landings.push(rectangle(corner, -width / 2, corner + width, width / 2));
+            flights.push({ start: { x: corner + width / 2, y: side }, direction: { x: 0, y: this.turn }, count: second });
+            path = [{ x: 0, y: 0 }, { x: corner + width / 2, y: 0 }, { x: corner + width / 2, y: side + this.turn * second * tread }];
+        } else if (this.stairType === 'dog-legged' || this.stairType === 'U') {
+            // A U stair has an open well between its flights
+            const gap = this.stairType === 'U' ? width / 2 : 0;
+            const run = Math.max(first, second) * tread;
+            const offset = this.turn * (width + gap);
+            flights.push({ start: { x: run - first * tread, y: 0 }, direction: { x: 1, y: 0 }, count: first });
+            landings.push(rectangle(run, Math.min(-width / 2, offset - width / 2), run + width, Math.max(width / 2, offset + width / 2)));
+            flights.push({ start: { x: run, y: offset }, direction: { x: -1, y: 0 }, count: second });
+            path = [
+                { x: run - first * tread, y: 0 }, { x: run + width / 2, y: 0 },
+                { x: run + width / 2, y: offset }, { x: run - second * tread, y: offset }
+            ];
+        } else {
+            flights.push({ start: { x: 0, y: 0 }, direction: { x: 1, y: 0 }, count: first });
+            path = [{ x: 0, y: 0 }, { x: first * tread, y: 0 }];
+        }
+
+        const steps = [];
+        flights.forEach(({ start, direction, count }) => {
+            const across = Geometry.scale(Geometry.perpendicular(direction), width / 2);
+            for (let i = 0; i < count; i++) {
+                const near = Geometry.add(start, Geometry.scale(direction, i * tread));
+                const far = Geometry.add(near, Geometry.scale(direction, tread));
+                steps.push([
+                    Geometry.subtract(near, across), Geometry.subtract(far, across),
+                    Geometry.add(far, across), Geometry.add(near, across)
+                ]);
+            }
+        });
+
+        // Centre everything on the origin
+        const points = [...steps.flat(), ...landings.flat()];
+        const center = {
+            x: (Math.min(...points.map(point => point.x)) + Math.max(...points.map(point => point.x))) / 2,
+            y: (Math.min(...points.map(point => point.y)) + Math.max(...points.map(point => point.y))) / 2
+        };
+        const shift = point => Geometry.subtract(point, center);
+
         return {
-            ...super.toJSON(),
-            width: this.width,
-            height: this.height
+            steps: steps.map(step => step.map(shift)),
+            landings: landings.map(landing => landing.map(shift)),
+            path: path.map(shift),
+            firstFlight: first
         };
     }
-}
 
-// Room class
-class Room extends Shape {
-    constructor(x, y, width, height, options = {}) {
-        super(x, y, options);
-        this.width = width || 200;
-        this.height = height || 200;
-        this.name = options.name || 'Room';
-        this.strokeStyle = options.strokeStyle || '#333333';
-        this.fillStyle = options.fillStyle || 'rgba(200, 200, 200, 0.3)';
+    // Steps above the cut plane are drawn dashed, as the plan is cut at that height
+    getCutIndex() {
+        return Math.max(1, Math.round(Staircase.CUT_HEIGHT / this.getRiserHeight()));
     }
 
     drawShape(ctx) {
-        // Draw room area
-        ctx.fillRect(-this.width / 2, -this.height / 2, this.width, this.height);
-        ctx.strokeRect(-this.width / 2, -this.height / 2, this.width, this.height);
+        const layout = this.getLayout();
+        const cut = this.getCutIndex();
+
+        const tracePolygon = points => {
+            ctx.beginPath();
+            points.forEach((point, index) => {
+                ctx[index === 0 ? 'moveTo' : 'lineTo'](point.x, point.y);
+            });
+            ctx.closePath();
+        };
 
-        // Draw room name
+        const lineWidth = this.lineWidth;
+        ctx.lineWidth = lineWidth / 2;
+
+        layout.landings.forEach(points => {
+            tracePolygon(points);
+            ctx.fill();
+            ctx.setLineDash(cut < layout.firstFlight ? [4, 3] : []);
+            ctx.stroke();
+        });
+
+        layout.steps.forEach((points, index) => {
+            tracePolygon(points);
+            ctx.fill();
+            ctx.setLineDash(index > cut ? [4, 3] : []);
+            ctx.stroke();
+        });
+        ctx.setLineDash([]);
+
+        // Cut line: a diagonal with a break across the step at the cut height
+        if (cut < layout.steps.length) {
+            const [a, , c] = layout.steps[cut];
+            const middle = Geometry.midpoint(a, c);
+            const along = Geometry.scale(Geometry.normalize(Geometry.subtract(c, a)), 3);
+            const kink = Geometry.perpendicular(along);
+
+            ctx.lineWidth = lineWidth;
+            ctx.beginPath();
+            ctx.moveTo(a.x, a.y);
+            ctx.lineTo(middle.x - along.x, middle.y - along.y);
+            ctx.lineTo(middle.x + kink.x, middle.y + kink.y);
+            ctx.lineTo(middle.x - kink.x, middle.y - kink.y);
+            ctx.lineTo(middle.x + along.x, middle.y + along.y);
+            ctx.lineTo(c.x, c.y);
+            ctx.stroke();
+        }
+
+        // Walking line with the arrow pointing up the stairs
+        const path = layout.path;
+        const end = path[path.length - 1];
+        const direction = Geometry.normalize(Geometry.subtract(end, path[path.length - 2]));
+        const arrow = Math.min(this.width / 3, 8);
+
+        ctx.lineWidth = lineWidth / 2;
+        ctx.beginPath();
+        path.forEach((point, index) => {
+            ctx[index === 0 ? 'moveTo' : 'lineTo'](point.x, point.y);
+        });
+        [Math.PI * 5 / 6, -Math.PI * 5 / 6].forEach(angle => {
+            const tip = {
+                x: direction.x * Math.cos(angle) - direction.y * Math.sin(angle),
+                y: direction.x * Math.sin(angle) + direction.y * Math.cos(angle)
+            };
+            ctx.moveTo(end.x, end.y);
+            ctx.lineTo(end.x + tip.x * arrow, end.y + tip.y * arrow);
+        });
+        ctx.stroke();
+
+        ctx.beginPath();
+        ctx.arc(path[0].x, path[0].y, 1.5, 0, Math.PI * 2);
+        ctx.fillStyle = this.strokeStyle;
+        ctx.fill();
+
+        // "UP" just before the first step, kept the right way up
+        const start = Geometry.subtract(path[0], Geometry.scale(Geometry.normalize(Geometry.subtract(path[1], path[0])), 6));
         ctx.save();
-        ctx.fillStyle = '#000000';
-        ctx.font = '14px Arial';
+        ctx.translate(start.x, start.y);
+        if (Geometry.isUpsideDown(this.rotation)) {
+            ctx.rotate(Math.PI);
+        }
+        ctx.font = '8px Arial';
         ctx.textAlign = 'center';
         ctx.textBaseline = 'middle';
-        ctx.fillText(this.name, 0, 0);
+        ctx.fillText('UP', 0, 0);
         ctx.restore();
     }
 
+    // Steps as polygons in canvas coordinates, for area and compliance checks
+    getSteps() {
+        return this.getLayout().steps.map(points => points.map(point => this.localToWorld(point.x, point.y)));
+    }
+
+    getLandings() {
+        return this.getLayout().landings.map(points => points.map(point => this.localToWorld(point.x, point.y)));
+    }
+
+    // Plan area of the steps and landings, in square pixels
+    getArea() {
+        const layout = this.getLayout();
+        const area = [...layout.steps, ...layout.landings]
+            .reduce((total, points) => total + Math.abs(Geometry.polygonArea(points)), 0);
+        return area * this.scale * this.scale;
+    }
+
+    /**
+     * Figures for compliance checks, in millimetres: riser and tread against
+     * the code limits, width against the minimum clear width.
+     */
+    getStepData() {
+        return {
+            stairType: this.stairType,
+            risers: this.getRiserCount(),
+            treads: this.getTreadCount(),
+            riserHeight: this.getRiserHeight(),
+            tread: Measurements.pixelsToMm(this.tread * this.scale),
+            width: Measurements.pixelsToMm(this.width * this.scale),
+            floorHeight: this.floorHeight,
+            flights: this.getFlightCounts().length,
+            landings: this.getLayout().landings.length,
+            area: Measurements.pixelAreaToSquareMm(this.getArea())
+        };
+    }
+
+    /**
+     * Where the step data falls outside Staircase.LIMITS, as sentences for
+     * the user; empty when the staircase complies.
+     */
+    getComplianceIssues() {
+        const data = this.getStepData();
+        const limits = Staircase.LIMITS;
+        const format = mm => Measurements.formatLength(mm, 'mm');
+        const issues = [];
+
+        if (data.riserHeight > limits.maxRiser) {
+            issues.push(`Riser ${format(data.riserHeight)} is over ${format(limits.maxRiser)}`);
+        }
+        if (data.tread < limits.minTread) {
+            issues.push(`Tread ${format(data.tread)} is under ${format(limits.minTread)}`);
+        }
+        if (data.width < limits.minWidth) {
+            issues.push(`Width ${format(data.width)} is under ${format(limits.minWidth)}`);
+        }
+        return issues;
+    }
+
     getBounds() {
+        const layout = this.getLayout();
+        const points = [...layout.steps.flat(), ...layout.landings.flat()];
         return {
-            left: -this.width / 2,
-            top: -this.height / 2,
-            right: this.width / 2,
-            bottom: this.height / 2
+            left: Math.min(...points.map(point => point.x)),
+            top: Math.min(...points.map(point => point.y)),
+            right: Math.max(...points.map(point => point.x)),
+            bottom: Math.max(...points.map(point => point.y))
         };
     }
 
+    // Stretching along the flights changes the tread, across them the width
+    resizeBy({ along, across }) {
+        this.tread *= along;
+        this.width *= across;
+    }
+
+    flipLocal(axis) {
+        if (axis === 'x') {
+            // The layout reversed end to end is the same stair turned half way round
+            this.rotation = (this.rotation + 180) % 360;
+        }
+        this.turn = -this.turn;
+    }
+
     toJSON() {
         return {
             ...super.toJSON(),
+            stairType: this.stairType,
             width: this.width,
-            height: this.height,
-            name: this.name
+            tread: this.tread,
+            floorHeight: this.floorHeight,
+            riser: this.riser,
+            turn: this.turn
         };
     }
 }
 
-// Text Label class
-class TextLabel extends Shape {
-    constructor(x, y, text, options = {}) {
+// Height above the floor where the plan is cut (mm)
+Staircase.CUT_HEIGHT = 1200;
+
+// Limits for residential stairs in the National Building Code of India 2016 (mm)
+Staircase.LIMITS = {
+    maxRiser: 190,
+    minTread: 250,
+    minWidth: 900
+};
+
+// Furniture and fixture symbol from FurnitureSymbol.CATALOGUE, centred on x/y.
+// Width runs along local x and depth along local y, with the side used from
+// (the front of a bed, the door of a wardrobe) towards +y.
+class FurnitureSymbol extends Shape {
+    constructor(x, y, symbolId, options = {}) {
         super(x, y, options);
-        this.text = text || 'Text';
-        this.fontSize = options.fontSize || 16;
-        this.fontFamily = options.fontFamily || 'Arial';
-        this.fillStyle = options.fillStyle || '#000000';
-        this.strokeStyle = 'transparent';
+        const definition = FurnitureSymbol.CATALOGUE[symbolId];
+        this.symbolId = symbolId;
+        this.width = options.width || (definition ? Measurements.mmToPixels(definition.width) : 20);
+        this.depth = options.depth || (definition ? Measurements.mmToPixels(definition.depth) : 20);
+        this.flipped = !!options.flipped; // Mirrored left to right, e.g. hob and sink swapped
+        this.lineWidth = options.lineWidth || 1;
+        this.fillStyle = options.fillStyle || '#ffffff';
     }
 
-    drawShape(ctx) {
-        ctx.font = `${this.fontSize}px ${this.fontFamily}`;
-        ctx.textAlign = 'left';
-        ctx.textBaseline = 'top';
-        ctx.fillText(this.text, 0, 0);
+    getDefinition() {
+        return FurnitureSymbol.CATALOGUE[this.symbolId] || null;
+    }
+
+    drawShape(ctx) {
+        const definition = this.getDefinition();
+        if (!definition) {
+            // Unknown symbol (e.g. from a newer library); keep its footprint
+            ctx.setLineDash([4, 4]);
+            ctx.strokeRect(-this.width / 2, -this.depth / 2, this.width, this.depth);
+            ctx.setLineDash([]);
+            return;
+        }
+
+        if (this.flipped) {
+            ctx.scale(-1, 1);
+        }
+        ctx.lineJoin = 'round';
+        definition.draw(ctx, this.width, this.depth);
+    }
+
+    getBounds() {
+        return {
+            left: -this.width / 2,
+            top: -this.depth / 2,
+            right: this.width / 2,
+            bottom: this.depth / 2
+        };
+    }
+
+    resizeBy({ along, across }) {
+        this.width *= along;
+        this.depth *= across;
+    }
+
+    flipLocal(axis) {
+        this.flipped = !this.flipped;
+        if (axis === 'y') {
+            // A top-to-bottom flip is a left-to-right flip turned half way round
+            this.rotation = (this.rotation + 180) % 360;
+        }
+    }
+
+    // Size in millimetres, for labels and schedules
+    getSize() {
+        return {
+            width: Measurements.pixelsToMm(this.width * this.scale),
+            depth: Measurements.pixelsToMm(this.depth * this.scale)
+        };
+    }
+
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            symbolId: this.symbolId,
+            width: this.width,
+            depth: this.depth,
+            flipped: this.flipped
+        };
+    }
+
+    // Drawing helpers, in the symbol's frame: w by d centred on 0,0. Outlines are
+    // filled so a symbol hides what lies under it unless its fill is transparent
+    static outline(ctx, left, top, width, height, radius = 0) {
+        const r = Math.min(radius, width / 2, height / 2);
+        ctx.beginPath();
+        ctx.moveTo(left + r, top);
+        ctx.arcTo(left + width, top, left + width, top + height, r);
+        ctx.arcTo(left + width, top + height, left, top + height, r);
+        ctx.arcTo(left, top + height, left, top, r);
+        ctx.arcTo(left, top, left + width, top, r);
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+    }
+
+    static line(ctx, x1, y1, x2, y2) {
+        ctx.beginPath();
+        ctx.moveTo(x1, y1);
+        ctx.lineTo(x2, y2);
+        ctx.stroke();
+    }
+
+    static ellipse(ctx, x, y, rx, ry) {
+        ctx.beginPath();
+        ctx.ellipse(x, y, Math.abs(rx), Math.abs(ry), 0, 0, 2 * Math.PI);
+        ctx.fill();
+        ctx.stroke();
+    }
+
+    // Headboard at the back, pillows, and the turned-down sheet
+    static drawBed(ctx, w, d, pillows) {
+        const top = -d / 2;
+        const margin = w * 0.06;
+        const pillowWidth = (w - margin * (pillows + 1)) / pillows;
+
+        this.outline(ctx, -w / 2, top, w, d);
+        this.line(ctx, -w / 2, top + d * 0.04, w / 2, top + d * 0.04);
+        for (let i = 0; i < pillows; i++) {
+            this.outline(ctx, -w / 2 + margin + i * (pillowWidth + margin), top + d * 0.07, pillowWidth, d * 0.12, d * 0.03);
+        }
+
+        const fold = top + d * 0.28;
+        this.line(ctx, -w / 2, fold, w / 2, fold);
+        this.line(ctx, w / 2 - w * 0.3, fold, w / 2, fold + w * 0.3);
+    }
+
+    // Back along the rear, an arm at each end and a cushion per seat
+    static drawSofa(ctx, w, d, seats) {
+        const back = d * 0.25;
+        const arm = Math.min(w * 0.12, d * 0.2);
+        const seatWidth = (w - 2 * arm) / seats;
+
+        this.outline(ctx, -w / 2, -d / 2, w, d, d * 0.08);
+        this.line(ctx, -w / 2 + arm, -d / 2 + back, w / 2 - arm, -d / 2 + back);
+        this.line(ctx, -w / 2 + arm, -d / 2 + back, -w / 2 + arm, d / 2);
+        this.line(ctx, w / 2 - arm, -d / 2 + back, w / 2 - arm, d / 2);
+        for (let i = 1; i < seats; i++) {
+            const x = -w / 2 + arm + i * seatWidth;
+            this.line(ctx, x, -d / 2 + back, x, d / 2);
+        }
+    }
+
+    // Table with chairs along both long sides; the chairs tuck under the top
+    static drawDiningTable(ctx, w, d, chairsPerSide) {
+        const chair = Math.min(d * 0.3, (w / chairsPerSide) * 0.8);
+        const inset = chair * 2 / 3;
+
+        for (let i = 0; i < chairsPerSide; i++) {
+            const x = -w / 2 + w * (i + 0.5) / chairsPerSide - chair / 2;
+            [-1, 1].forEach(side => {
+                const edge = side * d / 2;
+                this.outline(ctx, x, side < 0 ? edge : edge - chair, chair, chair, chair * 0.1);
+                this.line(ctx, x, edge - side * chair * 0.15, x + chair, edge - side * chair * 0.15);
+            });
+        }
+        this.outline(ctx, -w / 2, -d / 2 + inset, w, d - 2 * inset);
+    }
+
+    // European WC: cistern against the wall with the bowl in front
+    static drawWC(ctx, w, d) {
+        const cistern = d * 0.25;
+        const bowl = (d - cistern) / 2;
+
+        this.outline(ctx, -w / 2, -d / 2, w, cistern, w * 0.05);
+        this.ellipse(ctx, 0, -d / 2 + cistern + bowl, w * 0.45, bowl * 0.95);
+        this.ellipse(ctx, 0, -d / 2 + cistern + bowl * 1.1, w * 0.28, bowl * 0.65);
+    }
+
+    // Indian (squatting) WC: pan with a foot rest either side at the front
+    static drawIndianWC(ctx, w, d) {
+        this.outline(ctx, -w / 2, -d / 2, w, d, Math.min(w, d) * 0.15);
+        this.ellipse(ctx, 0, -d * 0.1, w * 0.22, d * 0.3);
+        [-1, 1].forEach(side => {
+            this.outline(ctx, side * w * 0.36 - w * 0.08, d * 0.1, w * 0.16, d * 0.3, w * 0.03);
+        });
+    }
+
+    // Counter basin against the wall with the tap at the back
+    static drawWashBasin(ctx, w, d) {
+        this.outline(ctx, -w / 2, -d / 2, w, d, Math.min(w, d) * 0.2);
+        this.ellipse(ctx, 0, d * 0.08, w * 0.35, d * 0.3);
+        this.ellipse(ctx, 0, -d / 2 + d * 0.12, Math.min(w, d) * 0.04, Math.min(w, d) * 0.04);
+    }
+
+    // Kitchen platform with a sink to the left of centre and a four-burner hob to the right
+    static drawKitchenPlatform(ctx, w, d) {
+        this.outline(ctx, -w / 2, -d / 2, w, d);
+
+        const sinkWidth = Math.min(w * 0.3, d * 0.9);
+        const sinkDepth = d * 0.7;
+        const sinkX = -w * 0.22;
+        this.outline(ctx, sinkX - sinkWidth / 2, -sinkDepth / 2, sinkWidth, sinkDepth);
+        this.outline(ctx, sinkX - sinkWidth * 0.4, -sinkDepth * 0.4, sinkWidth * 0.8, sinkDepth * 0.8, sinkDepth * 0.1);
+        this.ellipse(ctx, sinkX, 0, sinkDepth * 0.05, sinkDepth * 0.05);
+
+        const hobWidth = Math.min(w * 0.3, d * 1.2);
+        const hobDepth = d * 0.75;
+        const hobX = w * 0.22;
+        const burner = Math.min(hobWidth, hobDepth) * 0.16;
+        this.outline(ctx, hobX - hobWidth / 2, -hobDepth / 2, hobWidth, hobDepth);
+        [-1, 1].forEach(column => {
+            [-1, 1].forEach(row => {
+                this.ellipse(ctx, hobX + column * hobWidth / 4, row * hobDepth / 4, burner, burner);
+            });
+        });
+    }
+
+    // Hanging rail with hangers, and the doors along the front
+    static drawWardrobe(ctx, w, d) {
+        this.outline(ctx, -w / 2, -d / 2, w, d);
+
+        const front = d / 2 - d * 0.08;
+        const inset = w * 0.05;
+        this.line(ctx, -w / 2, front, w / 2, front);
+        this.line(ctx, -w / 2 + inset, -d * 0.04, w / 2 - inset, -d * 0.04);
+
+        const hangers = Math.max(2, Math.round(w / d * 3));
+        for (let i = 1; i < hangers; i++) {
+            const x = -w / 2 + inset + (w - 2 * inset) * i / hangers;
+            this.line(ctx, x - d * 0.06, -d * 0.32, x + d * 0.06, d * 0.24);
+        }
+    }
+
+    // Car seen from above, front towards +x
+    static drawCar(ctx, w, d) {
+        const wheelLength = w * 0.14;
+        const wheelWidth = d * 0.08;
+        [-1, 1].forEach(end => {
+            [-1, 1].forEach(side => {
+                this.outline(ctx, end * w * 0.3 - wheelLength / 2, side * (d / 2 - wheelWidth / 2) - wheelWidth / 2, wheelLength, wheelWidth);
+            });
+        });
+
+        this.outline(ctx, -w / 2, -d / 2 + wheelWidth * 0.5, w, d - wheelWidth, d * 0.25);
+        this.outline(ctx, -w * 0.26, -d * 0.36, w * 0.42, d * 0.72, d * 0.08);
+        this.line(ctx, w * 0.16, -d * 0.36, w * 0.26, -d * 0.4);
+        this.line(ctx, w * 0.16, d * 0.36, w * 0.26, d * 0.4);
+        this.line(ctx, w * 0.26, -d * 0.4, w * 0.26, d * 0.4);
+        this.line(ctx, -w * 0.26, -d * 0.36, -w * 0.34, -d * 0.38);
+        this.line(ctx, -w * 0.26, d * 0.36, -w * 0.34, d * 0.38);
+        this.line(ctx, -w * 0.34, -d * 0.38, -w * 0.34, d * 0.38);
+    }
+
+    // Scooter or motorcycle seen from above, front towards +x
+    static drawTwoWheeler(ctx, w, d) {
+        const wheelLength = w * 0.26;
+        const wheelWidth = d * 0.16;
+        [-1, 1].forEach(end => {
+            this.outline(ctx, end * w * 0.36 - wheelLength / 2, -wheelWidth / 2, wheelLength, wheelWidth, wheelWidth / 2);
+        });
+
+        this.ellipse(ctx, -w * 0.02, 0, w * 0.3, d * 0.2);
+        this.outline(ctx, -w * 0.3, -d * 0.13, w * 0.32, d * 0.26, d * 0.1);
+        this.line(ctx, w * 0.26, -d / 2, w * 0.26, d / 2);
+        [-1, 1].forEach(side => {
+            this.line(ctx, w * 0.22, side * d * 0.46, w * 0.3, side * d * 0.46);
+        });
+    }
+}
+
+/**
+ * Symbol library. Default sizes are real-world millimetres: width along local x,
+ * depth along local y. `keywords` are extra words matched by the library search.
+ */
+FurnitureSymbol.CATALOGUE = {
+    'bed-single': {
+        name: 'Single bed', category: 'Bedroom', width: 900, depth: 1900, keywords: 'cot diwan',
+        draw: (ctx, w, d) => FurnitureSymbol.drawBed(ctx, w, d, 1)
+    },
+    'bed-double': {
+        name: 'Double bed', category: 'Bedroom', width: 1350, depth: 1900, keywords: 'cot',
+        draw: (ctx, w, d) => FurnitureSymbol.drawBed(ctx, w, d, 2)
+    },
+    'bed-queen': {
+        name: 'Queen bed', category: 'Bedroom', width: 1500, depth: 2000, keywords: 'cot double',
+        draw: (ctx, w, d) => FurnitureSymbol.drawBed(ctx, w, d, 2)
+    },
+    'bed-king': {
+        name: 'King bed', category: 'Bedroom', width: 1800, depth: 2000, keywords: 'cot double',
+        draw: (ctx, w, d) => FurnitureSymbol.drawBed(ctx, w, d, 2)
+    },
+    wardrobe: {
+        name: 'Wardrobe', category: 'Bedroom', width: 1200, depth: 600, keywords: 'almirah cupboard closet',
+        draw: (ctx, w, d) => FurnitureSymbol.drawWardrobe(ctx, w, d)
+    },
+    'sofa-3': {
+        name: 'Three-seater sofa', category: 'Living', width: 2100, depth: 850, keywords: 'couch settee',
+        draw: (ctx, w, d) => FurnitureSymbol.drawSofa(ctx, w, d, 3)
+    },
+    'sofa-2': {
+        name: 'Two-seater sofa', category: 'Living', width: 1500, depth: 850, keywords: 'couch settee loveseat',
+        draw: (ctx, w, d) => FurnitureSymbol.drawSofa(ctx, w, d, 2)
+    },
+    armchair: {
+        name: 'Armchair', category: 'Living', width: 850, depth: 850, keywords: 'sofa chair single seater',
+        draw: (ctx, w, d) => FurnitureSymbol.drawSofa(ctx, w, d, 1)
+    },
+    'dining-4': {
+        name: 'Dining table, 4 seats', category: 'Dining', width: 1200, depth: 1500, keywords: 'chairs four',
+        draw: (ctx, w, d) => FurnitureSymbol.drawDiningTable(ctx, w, d, 2)
+    },
+    'dining-6': {
+        name: 'Dining table, 6 seats', category: 'Dining', width: 1800, depth: 1500, keywords: 'chairs six',
+        draw: (ctx, w, d) => FurnitureSymbol.drawDiningTable(ctx, w, d, 3)
+    },
+    wc: {
+        name: 'WC', category: 'Bathroom', width: 400, depth: 700, keywords: 'toilet commode western ewc',
+        draw: (ctx, w, d) => FurnitureSymbol.drawWC(ctx, w, d)
+    },
+    'indian-wc': {
+        name: 'Indian WC', category: 'Bathroom', width: 450, depth: 600, keywords: 'toilet squatting pan orissa iwc',
+        draw: (ctx, w, d) => FurnitureSymbol.drawIndianWC(ctx, w, d)
+    },
+    'wash-basin': {
+        name: 'Wash basin', category: 'Bathroom', width: 550, depth: 450, keywords: 'sink washbasin lavatory',
+        draw: (ctx, w, d) => FurnitureSymbol.drawWashBasin(ctx, w, d)
+    },
+    'kitchen-platform': {
+        name: 'Kitchen platform', category: 'Kitchen', width: 2400, depth: 600, keywords: 'counter slab sink hob stove gas',
+        draw: (ctx, w, d) => FurnitureSymbol.drawKitchenPlatform(ctx, w, d)
+    },
+    car: {
+        name: 'Car', category: 'Parking', width: 4400, depth: 1800, keywords: 'vehicle parking sedan hatchback',
+        draw: (ctx, w, d) => FurnitureSymbol.drawCar(ctx, w, d)
+    },
+    'two-wheeler': {
+        name: 'Two-wheeler', category: 'Parking', width: 1900, depth: 700, keywords: 'bike scooter motorcycle vehicle parking',
+        draw: (ctx, w, d) => FurnitureSymbol.drawTwoWheeler(ctx, w, d)
+    }
+};
+
+// Room class
+class Room extends Shape {
+    constructor(x, y, width, height, options = {}) {
+        super(x, y, options);
+        this.width = width || 200;
+        this.height = height || 200;
+        this.name = options.name || 'Room';
+        this.strokeStyle = options.strokeStyle || '#333333';
+        this.fillStyle = options.fillStyle || 'rgba(200, 200, 200, 0.3)';
+
+        // Outline relative to x/y for rooms that aren't plain rectangles
+        this.points = options.points ? options.points.map(point => ({ x: point.x, y: point.y })) : null;
+
+        // Detected rooms re-trace the walls they were found in whenever the walls change
+        this.followsWalls = !!options.followsWalls;
+        this.wallIds = options.wallIds ? [...options.wallIds] : [];
+
+        if (this.points) {
+            this.updateSize();
+        }
+    }
+
+    drawShape(ctx) {
+        // Draw room area
+        if (this.points) {
+            ctx.beginPath();
+            this.points.forEach((point, index) => {
+                const method = index === 0 ? 'moveTo' : 'lineTo';
+                ctx[method](point.x, point.y);
+            });
+            ctx.closePath();
+            ctx.fill();
+            ctx.stroke();
+        } else {
+            ctx.fillRect(-this.width / 2, -this.height / 2, this.width, this.height);
+            ctx.strokeRect(-this.width / 2, -this.height / 2, this.width, this.height);
+        }
+
+        // Draw room name
+        ctx.save();
+        ctx.fillStyle = '#000000';
+        ctx.font = '14px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        if (Geometry.isUpsideDown(this.rotation)) {
+            ctx.rotate(Math.PI);
+        }
+        ctx.fillText(this.name, 0, 0);
+        ctx.restore();
+    }
+
+    /**
+     * Take a new outline in world coordinates. The room's origin moves to a
+     * point inside it, which is where the name goes and where detection looks.
+     */
+    setOutline(worldPoints) {
+        const origin = Geometry.polygonInteriorPoint(worldPoints);
+
+        this.x = origin.x;
+        this.y = origin.y;
+        this.rotation = 0;
+        this.scale = 1;
+        this.points = worldPoints.map(point => Geometry.subtract(point, origin));
+        this.updateSize();
+    }
+
+    // Outline in world coordinates
+    getWorldPoints() {
+        return this.getLocalPoints().map(point => this.localToWorld(point.x, point.y));
+    }
+
+    // Outline relative to x/y; rectangles are given as their four corners
+    getLocalPoints() {
+        if (this.points) return this.points;
+
+        const bounds = this.getBounds();
+        return [
+            { x: bounds.left, y: bounds.top },
+            { x: bounds.right, y: bounds.top },
+            { x: bounds.right, y: bounds.bottom },
+            { x: bounds.left, y: bounds.bottom }
+        ];
+    }
+
+    // Corners as 'vertex:<index>', so dimensions can measure the room's edges
+    getReferencePoints() {
+        const points = super.getReferencePoints();
+        this.getWorldPoints().forEach((point, index) => {
+            points[`vertex:${index}`] = point;
+        });
+        return points;
+    }
+
+    // Floor area in square canvas pixels, from the outline itself rather than width × height
+    getArea() {
+        return Math.abs(Geometry.polygonArea(this.getLocalPoints())) * this.scale ** 2;
+    }
+
+    // Vertex Editing (points in world coordinates). Hand-edited rooms stop following walls.
+    moveVertex(index, point) {
+        const points = this.getWorldPoints();
+        points[index] = { x: point.x, y: point.y };
+        this.followsWalls = false;
+        this.setOutline(points);
+    }
+
+    // Add a vertex after `index`
+    insertVertex(index, point) {
+        const points = this.getWorldPoints();
+        points.splice(index + 1, 0, { x: point.x, y: point.y });
+        this.followsWalls = false;
+        this.setOutline(points);
+    }
+
+    removeVertex(index) {
+        const points = this.getWorldPoints();
+        if (points.length <= 3) return false;
+
+        points.splice(index, 1);
+        this.followsWalls = false;
+        this.setOutline(points);
+        return true;
+    }
+
+    updateSize() {
+        const bounds = this.getBounds();
+        this.width = bounds.right - bounds.left;
+        this.height = bounds.bottom - bounds.top;
+    }
+
+    contains(x, y) {
+        if (!this.points) return super.contains(x, y);
+
+        return Geometry.pointInPolygon(this.worldToLocal(x, y), this.points);
+    }
+
+    flipLocal(axis) {
+        if (!this.points) return;
+
+        this.points = this.points.map(point => axis === 'x' ? { x: -point.x, y: point.y } : { x: point.x, y: -point.y });
+    }
+
+    drawSelectionHandles(ctx, handleSize = 6) {
+        // Rectangles keep the usual box; outlines get their vertex handles from the SelectionManager
+        if (!this.points) {
+            super.drawSelectionHandles(ctx, handleSize);
+            return;
+        }
+
+        ctx.save();
+        ctx.strokeStyle = '#007ACC';
+        ctx.lineWidth = handleSize / 6;
+        ctx.setLineDash([handleSize / 2, handleSize / 2]);
+        ctx.beginPath();
+        this.points.forEach((point, index) => {
+            const method = index === 0 ? 'moveTo' : 'lineTo';
+            ctx[method](point.x, point.y);
+        });
+        ctx.closePath();
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    resizeBy({ along, across }) {
+        this.width *= along;
+        this.height *= across;
+
+        if (this.points) {
+            this.points = this.points.map(point => ({ x: point.x * along, y: point.y * across }));
+        }
+    }
+
+    getBounds() {
+        if (this.points) {
+            const xs = this.points.map(point => point.x);
+            const ys = this.points.map(point => point.y);
+            return {
+                left: Math.min(...xs),
+                top: Math.min(...ys),
+                right: Math.max(...xs),
+                bottom: Math.max(...ys)
+            };
+        }
+
+        return {
+            left: -this.width / 2,
+            top: -this.height / 2,
+            right: this.width / 2,
+            bottom: this.height / 2
+        };
+    }
+
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            width: this.width,
+            height: this.height,
+            name: this.name,
+            points: this.points ? this.points.map(point => ({ x: point.x, y: point.y })) : null,
+            followsWalls: this.followsWalls,
+            wallIds: this.wallIds
+        };
+    }
+}
+
+// Text Label class
+class TextLabel extends Shape {
+    constructor(x, y, text, options = {}) {
+        super(x, y, options);
+        this.text = text || 'Text';
+        this.fontSize = options.fontSize || 16;
+        this.fontFamily = options.fontFamily || 'Arial';
+        this.fillStyle = options.fillStyle || '#000000';
+        this.strokeStyle = 'transparent';
+    }
+
+    getLines() {
+        return String(this.text).split('\n');
+    }
+
+    getLineHeight() {
+        return this.fontSize * 1.2;
+    }
+
+    drawShape(ctx) {
+        ctx.font = `${this.fontSize}px ${this.fontFamily}`;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        this.getLines().forEach((line, index) => {
+            ctx.fillText(line, 0, index * this.getLineHeight());
+        });
+    }
+
+    resizeBy({ across }) {
+        this.fontSize = Math.max(4, this.fontSize * across);
+    }
+
+    getMiddle() {
+        const bounds = this.getBounds();
+        return this.localToWorld((bounds.left + bounds.right) / 2, (bounds.top + bounds.bottom) / 2);
+    }
+
+    // Text that ends up upside down turns half way round about its middle
+    keepReadable() {
+        if (!Geometry.isUpsideDown(this.rotation)) return;
+
+        const middle = this.getMiddle();
+        super.rotateAround(middle.x, middle.y, 180);
+    }
+
+    rotateAround(cx, cy, degrees) {
+        super.rotateAround(cx, cy, degrees);
+        this.keepReadable();
+    }
+
+    // The text moves to the mirrored position but isn't itself mirrored
+    mirror(axis, origin) {
+        const target = Geometry.mirrorPoint(this.getMiddle(), axis, origin);
+        this.rotation = -this.rotation;
+
+        const middle = this.getMiddle();
+        this.move(target.x - middle.x, target.y - middle.y);
+        this.keepReadable();
+    }
+
+    getBounds() {
+        // Approximate text bounds
+        const lines = this.getLines();
+        const width = Math.max(...lines.map(line => line.length)) * this.fontSize * 0.6;
+        const height = (lines.length - 1) * this.getLineHeight() + this.fontSize;
+        return {
+            left: 0,
+            top: 0,
+            right: width,
+            bottom: height
+        };
+    }
+
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            text: this.text,
+            fontSize: this.fontSize,
+            fontFamily: this.fontFamily
+        };
+    }
+}
+
+// Dimension annotation. Aligned, horizontal and vertical dimensions measure
+// from x/y to x2/y2; angular ones measure the angle at x/y between x2/y2 and
+// x3/y3; radial ones run from a centre at x/y to x2/y2 on the rim. Each point
+// can be attached to a reference point of another shape and follows it.
+class MeasurementLine extends Shape {
+    constructor(x1, y1, x2, y2, options = {}) {
+        super(x1, y1, options);
+        this.x2 = x2 !== undefined ? x2 : x1;
+        this.y2 = y2 !== undefined ? y2 : y1;
+        this.x3 = options.x3 !== undefined ? options.x3 : this.x2;
+        this.y3 = options.y3 !== undefined ? options.y3 : this.y2;
+        this.dimensionStyle = options.dimensionStyle || 'aligned';
+        // Distance of the dimension line from the measured points, to the right of
+        // x/y -> x2/y2 (below a left-to-right line); the arc radius of angular ones
+        this.offset = options.offset || 0;
+        this.precision = options.precision || 'auto'; // 'auto' or a count for Measurements.formatLength
+        this.textPlacement = options.textPlacement || 'above'; // 'above', 'inline' or 'below'
+        this.anchors = (options.anchors || [null, null, null]).map(anchor => anchor ? { ...anchor } : null);
+        this.autoGenerated = !!options.autoGenerated; // Made by auto-dimensioning, and replaced when it runs again
+        this.unit = options.unit || null; // Length unit shown; null follows the project
+        this.strokeStyle = options.strokeStyle || '#FF0000';
+        this.fillStyle = options.fillStyle || '#FF0000';
+        this.lineWidth = options.lineWidth || 1;
+    }
+
+    isLinear() {
+        return ['aligned', 'horizontal', 'vertical'].includes(this.dimensionStyle);
+    }
+
+    getPoints() {
+        return [
+            { x: this.x, y: this.y },
+            { x: this.x2, y: this.y2 },
+            { x: this.x3, y: this.y3 }
+        ];
+    }
+
+    setPoint(index, point) {
+        const [xKey, yKey] = [['x', 'y'], ['x2', 'y2'], ['x3', 'y3']][index];
+        this[xKey] = point.x;
+        this[yKey] = point.y;
+    }
+
+    setPoints(points) {
+        points.forEach((point, index) => this.setPoint(index, point));
+    }
+
+    // Attachments
+    // `shape.getReferencePoint(key)` gives where point `index` goes
+    attach(index, shape, key) {
+        this.anchors[index] = { shapeId: shape.id, key };
+    }
+
+    isAttached() {
+        return this.anchors.some(anchor => anchor);
+    }
+
+    // Follow the shapes the dimension is attached to; points whose shape is gone stay put
+    syncAnchors(shapesById) {
+        this.anchors.forEach((anchor, index) => {
+            const shape = anchor && shapesById.get(anchor.shapeId);
+            const point = shape && shape.getReferencePoint(anchor.key);
+            if (point) this.setPoint(index, point);
+        });
+    }
+
+    /**
+     * After the dimension alone is dragged, keep it on its shapes: the distance
+     * it was moved away from them becomes offset.
+     */
+    reattach(shapesById) {
+        const index = this.anchors.findIndex(anchor => anchor && shapesById.has(anchor.shapeId));
+        if (index === -1) return;
+
+        const anchor = this.anchors[index];
+        const target = shapesById.get(anchor.shapeId).getReferencePoint(anchor.key);
+        if (!target) return;
+
+        if (this.isLinear()) {
+            const moved = Geometry.subtract(this.getPoints()[index], target);
+            this.offset += Geometry.dot(moved, this.getLinearAxes().normal);
+        }
+        this.syncAnchors(shapesById);
+    }
+
+    // Copies keep anchors to shapes copied with them (old id -> new id) and drop the rest
+    remapAnchors(newIds) {
+        this.anchors = this.anchors.map(anchor =>
+            anchor && newIds.has(anchor.shapeId) ? { ...anchor, shapeId: newIds.get(anchor.shapeId) } : null
+        );
+    }
+
+    // Measurement
+    // Direction measured along, and the normal the offset is taken in
+    getLinearAxes() {
+        const dx = this.x2 - this.x;
+        const dy = this.y2 - this.y;
+        let direction;
+
+        if (this.dimensionStyle === 'horizontal') {
+            direction = { x: dx < 0 ? -1 : 1, y: 0 };
+        } else if (this.dimensionStyle === 'vertical') {
+            direction = { x: 0, y: dy < 0 ? -1 : 1 };
+        } else {
+            direction = Geometry.normalize({ x: dx, y: dy });
+            if (direction.x === 0 && direction.y === 0) direction = { x: 1, y: 0 };
+        }
+
+        return { direction, normal: Geometry.perpendicular(direction) };
+    }
+
+    // Sweep from the first arm to the second, between -π and π
+    getSweep() {
+        const first = Math.atan2(this.y2 - this.y, this.x2 - this.x);
+        const second = Math.atan2(this.y3 - this.y, this.x3 - this.x);
+        let sweep = second - first;
+
+        while (sweep > Math.PI) sweep -= 2 * Math.PI;
+        while (sweep <= -Math.PI) sweep += 2 * Math.PI;
+        return { start: first, sweep };
+    }
+
+    // Canvas pixels, or degrees for angular dimensions
+    getValue() {
+        if (this.dimensionStyle === 'angular') {
+            return Math.abs(this.getSweep().sweep) * 180 / Math.PI;
+        }
+        if (this.isLinear()) {
+            const { direction } = this.getLinearAxes();
+            return Math.abs(Geometry.dot({ x: this.x2 - this.x, y: this.y2 - this.y }, direction)) * this.scale;
+        }
+        return Math.hypot(this.x2 - this.x, this.y2 - this.y) * this.scale;
+    }
+
+    getLabel() {
+        const precision = this.precision === 'auto' ? null : Number(this.precision);
+
+        if (this.dimensionStyle === 'angular') {
+            return `${this.getValue().toFixed(precision === null ? 0 : precision)}°`;
+        }
+
+        const length = Measurements.formatLength(Measurements.pixelsToMm(this.getValue()), this.unit || undefined, precision);
+        return this.dimensionStyle === 'radial' ? `R ${length}` : length;
+    }
+
+    // Arc radius of an angular dimension
+    getArcRadius() {
+        if (this.offset > 0) return this.offset;
+
+        const shorterArm = Math.min(Math.hypot(this.x2 - this.x, this.y2 - this.y), Math.hypot(this.x3 - this.x, this.y3 - this.y));
+        return Math.max(10, shorterArm * 0.4);
+    }
+
+    /**
+     * What gets drawn, in canvas coordinates: `line` runs between the arrows
+     * (or `arc` for angular dimensions), `extensions` lead from the measured
+     * points out to it, and the label sits at `text` turned by `angle`.
+     */
+    getGeometry() {
+        const [start, end] = this.getPoints();
+
+        if (this.dimensionStyle === 'angular') {
+            const { start: startAngle, sweep } = this.getSweep();
+            const radius = this.getArcRadius();
+            const middle = startAngle + sweep / 2;
+
+            return {
+                arc: { center: start, radius, startAngle, sweep },
+                extensions: [],
+                text: { x: start.x + (radius + 10) * Math.cos(middle), y: start.y + (radius + 10) * Math.sin(middle) },
+                angle: 0
+            };
+        }
+
+        if (this.dimensionStyle === 'radial') {
+            return {
+                line: [start, end],
+                arrows: [end],
+                extensions: [],
+                text: Geometry.midpoint(start, end),
+                angle: Math.atan2(end.y - start.y, end.x - start.x)
+            };
+        }
+
+        const { direction, normal } = this.getLinearAxes();
+        const from = Geometry.add(start, Geometry.scale(normal, this.offset));
+        const to = Geometry.add(from, Geometry.scale(direction, Geometry.dot(Geometry.subtract(end, start), direction)));
+
+        // Extension lines leave a small gap at the object and run a little past the dimension line
+        const extensions = [];
+        [[start, from], [end, to]].forEach(([point, foot]) => {
+            const along = Geometry.subtract(foot, point);
+            const length = Geometry.length(along);
+            if (length < MeasurementLine.EXTENSION_GAP) return;
+
+            const unit = Geometry.scale(along, 1 / length);
+            extensions.push([
+                Geometry.add(point, Geometry.scale(unit, MeasurementLine.EXTENSION_GAP)),
+                Geometry.add(foot, Geometry.scale(unit, MeasurementLine.EXTENSION_OVERSHOOT))
+            ]);
+        });
+
+        return {
+            line: [from, to],
+            arrows: [from, to],
+            extensions,
+            text: Geometry.midpoint(from, to),
+            angle: Math.atan2(direction.y, direction.x)
+        };
+    }
+
+    // Drawing
+    drawShape(ctx) {
+        const geometry = this.getGeometry();
+        const local = point => ({ x: point.x - this.x, y: point.y - this.y });
+
+        geometry.extensions.forEach(([from, to]) => {
+            ctx.beginPath();
+            ctx.moveTo(local(from).x, local(from).y);
+            ctx.lineTo(local(to).x, local(to).y);
+            ctx.stroke();
+        });
+
+        ctx.font = '12px Arial';
+        const label = this.getLabel();
+        const labelWidth = ctx.measureText(label).width;
+
+        if (geometry.arc) {
+            const { radius, startAngle, sweep } = geometry.arc;
+            ctx.beginPath();
+            ctx.arc(0, 0, radius, startAngle, startAngle + sweep, sweep < 0);
+            ctx.stroke();
+
+            // Arrows along the tangent at each end of the arc, pointing outwards
+            const turn = sweep < 0 ? -1 : 1;
+            [[startAngle, -turn], [startAngle + sweep, turn]].forEach(([angle, side]) => {
+                const tip = { x: radius * Math.cos(angle), y: radius * Math.sin(angle) };
+                this.drawArrow(ctx, tip, angle + side * Math.PI / 2);
+            });
+        } else {
+            const [from, to] = geometry.line.map(local);
+            const along = Math.atan2(to.y - from.y, to.x - from.x);
+
+            ctx.beginPath();
+            if (this.textPlacement === 'inline') {
+                // The line stops either side of the label
+                const middle = Geometry.midpoint(from, to);
+                const half = Geometry.distance(from, to) / 2;
+                const gap = Math.min(half, labelWidth / 2 + 4);
+                const unit = { x: Math.cos(along), y: Math.sin(along) };
+                ctx.moveTo(from.x, from.y);
+                ctx.lineTo(middle.x - unit.x * gap, middle.y - unit.y * gap);
+                ctx.moveTo(middle.x + unit.x * gap, middle.y + unit.y * gap);
+                ctx.lineTo(to.x, to.y);
+            } else {
+                ctx.moveTo(from.x, from.y);
+                ctx.lineTo(to.x, to.y);
+            }
+            ctx.stroke();
+
+            geometry.arrows.map(local).forEach(tip => {
+                const outwards = Geometry.distance(tip, from) < Geometry.distance(tip, to) ? along + Math.PI : along;
+                this.drawArrow(ctx, tip, outwards);
+            });
+        }
+
+        // Measurement text, turned so it doesn't read upside down
+        const text = local(geometry.text);
+        const upsideDown = Geometry.isUpsideDown(this.rotation + geometry.angle * 180 / Math.PI);
+
+        ctx.save();
+        ctx.translate(text.x, text.y);
+        ctx.rotate(upsideDown ? geometry.angle + Math.PI : geometry.angle);
+        ctx.fillStyle = this.fillStyle;
+        ctx.textAlign = 'center';
+
+        if (geometry.arc || this.textPlacement === 'inline') {
+            ctx.textBaseline = 'middle';
+            ctx.fillText(label, 0, 0);
+        } else if (this.textPlacement === 'below') {
+            ctx.textBaseline = 'top';
+            ctx.fillText(label, 0, 5);
+        } else {
+            ctx.textBaseline = 'bottom';
+            ctx.fillText(label, 0, -5);
+        }
+        ctx.restore();
+    }
+
+    // Open arrowhead with its tip at `tip`, pointing along `angle`
+    drawArrow(ctx, tip, angle) {
+        const length = MeasurementLine.ARROW_LENGTH;
+        const spread = Math.PI / 6;
+
+        ctx.beginPath();
+        ctx.moveTo(tip.x - length * Math.cos(angle - spread), tip.y - length * Math.sin(angle - spread));
+        ctx.lineTo(tip.x, tip.y);
+        ctx.lineTo(tip.x - length * Math.cos(angle + spread), tip.y - length * Math.sin(angle + spread));
+        ctx.stroke();
+    }
+
+    // Segments a click can pick the dimension by, in canvas coordinates
+    getPickSegments() {
+        const geometry = this.getGeometry();
+        if (!geometry.arc) return [geometry.line, ...geometry.extensions];
+
+        const { center, radius, startAngle, sweep } = geometry.arc;
+        const steps = 16;
+        const points = [];
+        for (let i = 0; i <= steps; i++) {
+            const angle = startAngle + sweep * i / steps;
+            points.push({ x: center.x + radius * Math.cos(angle), y: center.y + radius * Math.sin(angle) });
+        }
+        return points.slice(1).map((point, index) => [points[index], point]);
+    }
+
+    contains(x, y) {
+        const point = { x, y };
+        const geometry = this.getGeometry();
+
+        return Geometry.distance(point, geometry.text) <= 12 || this.getPickSegments().some(([from, to]) =>
+            Geometry.closestPointOnSegment(point, from, to).distance <= 5
+        );
+    }
+
+    getBounds() {
+        const geometry = this.getGeometry();
+        const points = [...this.getPoints(), ...this.getPickSegments().flat(), geometry.text];
+
+        // Room for the label around its position
+        const padding = 8;
+        return {
+            left: Math.min(...points.map(point => point.x)) - this.x - padding,
+            top: Math.min(...points.map(point => point.y)) - this.y - padding,
+            right: Math.max(...points.map(point => point.x)) - this.x + padding,
+            bottom: Math.max(...points.map(point => point.y)) - this.y + padding
+        };
+    }
+
+    // Dimensions attach to other shapes, not to each other
+    getReferencePoints() {
+        return {};
+    }
+
+    // Transforms
+    transformPoints(transform) {
+        this.setPoints(this.getPoints().map(transform));
+    }
+
+    move(dx, dy) {
+        this.transformPoints(point => ({ x: point.x + dx, y: point.y + dy }));
+    }
+
+    scaleFrom(origin, sx, sy) {
+        this.transformPoints(point => ({
+            x: origin.x + (point.x - origin.x) * sx,
+            y: origin.y + (point.y - origin.y) * sy
+        }));
+    }
+
+    rotateAround(cx, cy, degrees) {
+        // Endpoint shapes keep rotation at 0 and turn their points instead
+        const angle = degrees * Math.PI / 180;
+        this.transformPoints(point => ({
+            x: cx + (point.x - cx) * Math.cos(angle) - (point.y - cy) * Math.sin(angle),
+            y: cy + (point.x - cx) * Math.sin(angle) + (point.y - cy) * Math.cos(angle)
+        }));
+
+        // A quarter turn swaps horizontal and vertical; other angles can only be aligned
+        const quarterTurns = degrees / 90;
+        if (this.dimensionStyle === 'horizontal' || this.dimensionStyle === 'vertical') {
+            if (!Number.isInteger(quarterTurns)) {
+                this.dimensionStyle = 'aligned';
+            } else if (quarterTurns % 2 !== 0) {
+                this.dimensionStyle = this.dimensionStyle === 'horizontal' ? 'vertical' : 'horizontal';
+            }
+        }
+    }
+
+    mirror(axis, origin) {
+        this.transformPoints(point => Geometry.mirrorPoint(point, axis, origin));
+
+        // A mirror reverses which side is "right", so the line stays on the mirrored side
+        if (this.isLinear()) {
+            this.offset = -this.offset;
+        }
+    }
+
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            x2: this.x2,
+            y2: this.y2,
+            x3: this.x3,
+            y3: this.y3,
+            dimensionStyle: this.dimensionStyle,
+            offset: this.offset,
+            precision: this.precision,
+            textPlacement: this.textPlacement,
+            anchors: this.anchors,
+            autoGenerated: this.autoGenerated,
+            unit: this.unit
+        };
+    }
+}
+
+MeasurementLine.ARROW_LENGTH = 10;
+MeasurementLine.EXTENSION_GAP = 2;
+MeasurementLine.EXTENSION_OVERSHOOT = 4;
+
+// Rectangle class (generic rectangle, centred on x/y like Room)
+class Rectangle extends Shape {
+    constructor(x, y, width, height, options = {}) {
+        super(x, y, options);
+        this.width = width || 0;
+        this.height = height || 0;
+    }
+
+    drawShape(ctx) {
+        ctx.beginPath();
+        ctx.rect(-this.width / 2, -this.height / 2, this.width, this.height);
+
+        if (this.fillStyle && this.fillStyle !== 'transparent') {
+            ctx.fill();
+        }
+        ctx.stroke();
+    }
+
+    resizeBy({ along, across }) {
+        this.width *= along;
+        this.height *= across;
     }
 
     getBounds() {
-        // Approximate text bounds
-        const width = this.text.length * this.fontSize * 0.6;
-        const height = this.fontSize;
         return {
-            left: 0,
-            top: 0,
-            right: width,
-            bottom: height
+            left: -this.width / 2,
+            top: -this.height / 2,
+            right: this.width / 2,
+            bottom: this.height / 2
         };
     }
 
+    // Corners as 'vertex:<index>', clockwise from the top left
+    getReferencePoints() {
+        const points = super.getReferencePoints();
+        const { left, top, right, bottom } = this.getBounds();
+        [[left, top], [right, top], [right, bottom], [left, bottom]].forEach(([x, y], index) => {
+            points[`vertex:${index}`] = this.localToWorld(x, y);
+        });
+        return points;
+    }
+
     toJSON() {
         return {
             ...super.toJSON(),
-            text: this.text,
-            fontSize: this.fontSize,
-            fontFamily: this.fontFamily
+            width: this.width,
+            height: this.height
         };
     }
 }
 
-// Measurement Line class
-class MeasurementLine extends Shape {
+// Circle class
+class Circle extends Shape {
+    constructor(x, y, radius, options = {}) {
+        super(x, y, options);
+        this.radius = radius || 0;
+    }
+
+    drawShape(ctx) {
+        ctx.beginPath();
+        ctx.arc(0, 0, this.radius, 0, 2 * Math.PI);
+
+        if (this.fillStyle && this.fillStyle !== 'transparent') {
+            ctx.fill();
+        }
+        ctx.stroke();
+    }
+
+    resizeBy({ along, across }) {
+        this.radius *= (along + across) / 2;
+    }
+
+    getBounds() {
+        return {
+            left: -this.radius,
+            top: -this.radius,
+            right: this.radius,
+            bottom: this.radius
+        };
+    }
+
+    contains(x, y) {
+        return Math.sqrt((x - this.x) ** 2 + (y - this.y) ** 2) <= this.radius + 5;
+    }
+
+    // Besides the centre, 'rim:<degrees>' is the point on the circle at that angle
+    getReferencePoint(key) {
+        const rim = /^rim:(-?\d+(?:\.\d+)?)$/.exec(key);
+        if (!rim) return super.getReferencePoint(key);
+
+        const angle = parseFloat(rim[1]) * Math.PI / 180;
+        const radius = this.radius * this.scale;
+        return { x: this.x + radius * Math.cos(angle), y: this.y + radius * Math.sin(angle) };
+    }
+
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            radius: this.radius
+        };
+    }
+}
+
+// Line class
+class Line extends Shape {
     constructor(x1, y1, x2, y2, options = {}) {
         super(x1, y1, options);
-        this.x2 = x2 || x1;
-        this.y2 = y2 || y1;
-        this.unit = options.unit || 'px';
-        this.strokeStyle = options.strokeStyle || '#FF0000';
-        this.fillStyle = options.fillStyle || '#FF0000';
+        this.x2 = x2 !== undefined ? x2 : x1;
+        this.y2 = y2 !== undefined ? y2 : y1;
     }
 
     drawShape(ctx) {
+        ctx.beginPath();
+        ctx.moveTo(0, 0);
+        ctx.lineTo(this.x2 - this.x, this.y2 - this.y);
+        ctx.stroke();
+    }
+
+    getLength() {
+        return Math.sqrt((this.x2 - this.x) ** 2 + (this.y2 - this.y) ** 2);
+    }
+
+    getReferencePoints() {
+        return { start: { x: this.x, y: this.y }, end: { x: this.x2, y: this.y2 } };
+    }
+
+    getBounds() {
+        const minX = Math.min(0, this.x2 - this.x);
+        const maxX = Math.max(0, this.x2 - this.x);
+        const minY = Math.min(0, this.y2 - this.y);
+        const maxY = Math.max(0, this.y2 - this.y);
+
+        return { left: minX, top: minY, right: maxX, bottom: maxY };
+    }
+
+    contains(x, y) {
         const dx = this.x2 - this.x;
         const dy = this.y2 - this.y;
         const length = Math.sqrt(dx * dx + dy * dy);
-        const angle = Math.atan2(dy, dx);
 
-        // Draw measurement line
+        if (length === 0) return false;
+
+        const t = Math.max(0, Math.min(1, ((x - this.x) * dx + (y - this.y) * dy) / (length * length)));
+        const distance = Math.sqrt((x - (this.x + t * dx)) ** 2 + (y - (this.y + t * dy)) ** 2);
+        return distance <= this.lineWidth / 2 + 5;
+    }
+
+    move(dx, dy) {
+        super.move(dx, dy);
+        this.x2 += dx;
+        this.y2 += dy;
+    }
+
+    scaleFrom(origin, sx, sy) {
+        this.x = origin.x + (this.x - origin.x) * sx;
+        this.y = origin.y + (this.y - origin.y) * sy;
+        this.x2 = origin.x + (this.x2 - origin.x) * sx;
+        this.y2 = origin.y + (this.y2 - origin.y) * sy;
+    }
+
+    rotateAround(cx, cy, degrees) {
+        // Endpoint shapes keep rotation at 0 and turn their endpoints instead
+        const angle = degrees * Math.PI / 180;
+        const turn = (x, y) => ({
+            x: cx + (x - cx) * Math.cos(angle) - (y - cy) * Math.sin(angle),
+            y: cy + (x - cx) * Math.sin(angle) + (y - cy) * Math.cos(angle)
+        });
+        const start = turn(this.x, this.y);
+        const end = turn(this.x2, this.y2);
+
+        this.x = start.x;
+        this.y = start.y;
+        this.x2 = end.x;
+        this.y2 = end.y;
+    }
+
+    mirror(axis, origin) {
+        const start = Geometry.mirrorPoint({ x: this.x, y: this.y }, axis, origin);
+        const end = Geometry.mirrorPoint({ x: this.x2, y: this.y2 }, axis, origin);
+
+        this.x = start.x;
+        this.y = start.y;
+        this.x2 = end.x;
+        this.y2 = end.y;
+    }
+
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            x2: this.x2,
+            y2: this.y2
+        };
+    }
+}
+
+// Structural column, centred on x/y. Drawn solid, as cut through at plan
+// height. A circular column's diameter is its width.
+class Column extends Shape {
+    constructor(x, y, options = {}) {
+        super(x, y, options);
+        this.columnShape = options.columnShape || 'rectangular'; // 'rectangular' or 'circular'
+        this.width = options.width || Measurements.mmToPixels(230);
+        this.depth = options.depth || this.width;
+        this.strokeStyle = options.strokeStyle || '#111827';
+        this.fillStyle = options.fillStyle || '#4b5563';
+        this.lineWidth = options.lineWidth || 1;
+    }
+
+    isCircular() {
+        return this.columnShape === 'circular';
+    }
+
+    drawShape(ctx) {
         ctx.beginPath();
-        ctx.moveTo(0, 0);
-        ctx.lineTo(dx, dy);
+        if (this.isCircular()) {
+            ctx.arc(0, 0, this.width / 2, 0, 2 * Math.PI);
+        } else {
+            ctx.rect(-this.width / 2, -this.depth / 2, this.width, this.depth);
+        }
+        ctx.fill();
         ctx.stroke();
+    }
+
+    getBounds() {
+        const depth = this.isCircular() ? this.width : this.depth;
+        return {
+            left: -this.width / 2,
+            top: -depth / 2,
+            right: this.width / 2,
+            bottom: depth / 2
+        };
+    }
+
+    contains(x, y) {
+        if (!this.isCircular()) return super.contains(x, y);
+
+        return Geometry.distance({ x, y }, this) <= this.width / 2 * this.scale + 2;
+    }
+
+    resizeBy({ along, across }) {
+        if (this.isCircular()) {
+            this.width *= (along + across) / 2;
+        } else {
+            this.width *= along;
+            this.depth *= across;
+        }
+    }
+
+    // Size in millimetres, for the column schedule
+    getSize() {
+        const bounds = this.getBounds();
+        return {
+            width: Measurements.pixelsToMm((bounds.right - bounds.left) * this.scale),
+            depth: Measurements.pixelsToMm((bounds.bottom - bounds.top) * this.scale)
+        };
+    }
+
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            columnShape: this.columnShape,
+            width: this.width,
+            depth: this.depth
+        };
+    }
+}
+
+// Beam between two points, dashed since it lies above the plan cut. The
+// width is drawn to scale; the depth below the slab is in millimetres.
+class Beam extends Line {
+    constructor(x1, y1, x2, y2, options = {}) {
+        super(x1, y1, x2, y2, options);
+        this.width = options.width || Measurements.mmToPixels(230);
+        this.depth = options.depth || 450;
+        this.strokeStyle = options.strokeStyle || '#6b7280';
+        this.lineWidth = options.lineWidth || 1;
+    }
+
+    // Corners of the beam's outline, relative to its start
+    getOutline() {
+        const end = { x: this.x2 - this.x, y: this.y2 - this.y };
+        const across = Geometry.scale(Geometry.perpendicular(Geometry.normalize(end)), this.width / 2);
 
-        // Draw arrows
-        const arrowLength = 10;
-        const arrowAngle = Math.PI / 6;
+        return [
+            Geometry.subtract({ x: 0, y: 0 }, across), Geometry.subtract(end, across),
+            Geometry.add(end, across), Geometry.add({ x: 0, y: 0 }, across)
+        ];
+    }
+
+    drawShape(ctx) {
+        if (this.getLength() === 0) return;
 
-        // Start arrow
+        ctx.setLineDash([6, 3]);
         ctx.beginPath();
-        ctx.moveTo(0, 0);
-        ctx.lineTo(arrowLength * Math.cos(angle + Math.PI - arrowAngle),
-            arrowLength * Math.sin(angle + Math.PI - arrowAngle));
-        ctx.moveTo(0, 0);
-        ctx.lineTo(arrowLength * Math.cos(angle + Math.PI + arrowAngle),
-            arrowLength * Math.sin(angle + Math.PI + arrowAngle));
+        this.getOutline().forEach((corner, index) => {
+            if (index === 0) {
+                ctx.moveTo(corner.x, corner.y);
+            } else {
+                ctx.lineTo(corner.x, corner.y);
+            }
+        });
+        ctx.closePath();
         ctx.stroke();
+        ctx.setLineDash([]);
+    }
+
+    getBounds() {
+        const corners = this.getOutline();
+        return {
+            left: Math.min(...corners.map(point => point.x)),
+            top: Math.min(...corners.map(point => point.y)),
+            right: Math.max(...corners.map(point => point.x)),
+            bottom: Math.max(...corners.map(point => point.y))
+        };
+    }
+
+    contains(x, y) {
+        if (this.getLength() === 0) return false;
+
+        const foot = Geometry.closestPointOnSegment({ x, y }, { x: this.x, y: this.y }, { x: this.x2, y: this.y2 });
+        return foot.distance <= this.width / 2 + 3;
+    }
+
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            width: this.width,
+            depth: this.depth
+        };
+    }
+}
+
+// Column grid centred on x/y: lines numbered 1, 2, 3 across and lettered
+// A, B, C down, each with a bubble at its top or left end. Spacings are the
+// bays between neighbouring lines, in pixels.
+class ColumnGrid extends Shape {
+    constructor(x, y, options = {}) {
+        super(x, y, options);
+        this.xSpacings = [...(options.xSpacings || [])];
+        this.ySpacings = [...(options.ySpacings || [])];
+        this.overhang = options.overhang || Measurements.mmToPixels(1000); // How far lines run past the outer bays
+        this.bubbleRadius = options.bubbleRadius || 8;
+        this.strokeStyle = options.strokeStyle || '#9ca3af';
+        this.lineWidth = options.lineWidth || 1;
+    }
+
+    // A, B, ... Z without I and O (they read as 1 and 0), then AA, AB, ...
+    static letter(index) {
+        const letters = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+        const prefix = index >= letters.length ? ColumnGrid.letter(Math.floor(index / letters.length) - 1) : '';
+        return prefix + letters[index % letters.length];
+    }
+
+    // Positions of the lines in the grid's own frame, centred on 0
+    getAxes() {
+        const positions = spacings => {
+            let total = 0;
+            const offsets = [0, ...spacings.map(spacing => (total += spacing))];
+            return offsets.map(offset => offset - total / 2);
+        };
+
+        return {
+            across: positions(this.xSpacings).map((x, index) => ({ label: String(index + 1), x })),
+            down: positions(this.ySpacings).map((y, index) => ({ label: ColumnGrid.letter(index), y }))
+        };
+    }
+
+    // Crossing points in canvas coordinates, labelled like 'B-2'
+    getIntersections() {
+        const { across, down } = this.getAxes();
+        return down.flatMap(row => across.map(column => ({
+            label: `${row.label}-${column.label}`,
+            ...this.localToWorld(column.x, row.y)
+        })));
+    }
+
+    getExtent() {
+        const half = spacings => spacings.reduce((total, spacing) => total + spacing, 0) / 2;
+        return { x: half(this.xSpacings) + this.overhang, y: half(this.ySpacings) + this.overhang };
+    }
+
+    drawShape(ctx) {
+        const { across, down } = this.getAxes();
+        const extent = this.getExtent();
+        const radius = this.bubbleRadius;
 
-        // End arrow
+        // Centre lines: long dash, short dash
+        ctx.setLineDash([12, 3, 2, 3]);
         ctx.beginPath();
-        ctx.moveTo(dx, dy);
-        ctx.lineTo(dx + arrowLength * Math.cos(angle - arrowAngle),
-            dy + arrowLength * Math.sin(angle - arrowAngle));
-        ctx.moveTo(dx, dy);
-        ctx.lineTo(dx + arrowLength * Math.cos(angle + arrowAngle),
-            dy + arrowLength * Math.sin(angle + arrowAngle));
+        across.forEach(({ x }) => {
+            ctx.moveTo(x, -extent.y);
+            ctx.lineTo(x, extent.y);
+        });
+        down.forEach(({ y }) => {
+            ctx.moveTo(-extent.x, y);
+            ctx.lineTo(extent.x, y);
+        });
         ctx.stroke();
+        ctx.setLineDash([]);
 
-        // Draw measurement text
-        ctx.save();
-        ctx.translate(dx / 2, dy / 2);
-        ctx.rotate(angle);
-        ctx.fillStyle = this.fillStyle;
-        ctx.font = '12px Arial';
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'bottom';
-        ctx.fillText(`${Math.round(length)}${this.unit}`, 0, -5);
-        ctx.restore();
+        const bubbles = [
+            ...across.map(({ label, x }) => ({ label, x, y: -extent.y - radius })),
+            ...down.map(({ label, y }) => ({ label, x: -extent.x - radius, y }))
+        ];
+        bubbles.forEach(({ label, x, y }) => {
+            ctx.beginPath();
+            ctx.arc(x, y, radius, 0, 2 * Math.PI);
+            ctx.fillStyle = '#ffffff';
+            ctx.fill();
+            ctx.stroke();
+
+            // Labels stay upright however the grid is turned
+            ctx.save();
+            ctx.translate(x, y);
+            ctx.rotate(-this.rotation * Math.PI / 180);
+            ctx.fillStyle = this.strokeStyle;
+            ctx.font = `${radius * 1.1}px Arial`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(label, 0, 0);
+            ctx.restore();
+        });
     }
 
     getBounds() {
-        const minX = Math.min(0, this.x2 - this.x);
-        const maxX = Math.max(0, this.x2 - this.x);
-        const minY = Math.min(0, this.y2 - this.y);
-        const maxY = Math.max(0, this.y2 - this.y);
+        const extent = this.getExtent();
+        const bubble = this.bubbleRadius * 2;
+        return { left: -extent.x - bubble, top: -extent.y - bubble, right: extent.x, bottom: extent.y };
+    }
 
-        return { left: minX, top: minY, right: maxX, bottom: maxY };
+    // Only the lines and bubbles pick the grid, so shapes between them can still be clicked
+    contains(x, y) {
+        const point = this.worldToLocal(x, y);
+        const { across, down } = this.getAxes();
+        const extent = this.getExtent();
+        const radius = this.bubbleRadius;
+        const near = 3 / this.scale;
+
+        const onLine = across.some(line => Math.abs(point.x - line.x) <= near && Math.abs(point.y) <= extent.y + 2 * radius) ||
+            down.some(line => Math.abs(point.y - line.y) <= near && Math.abs(point.x) <= extent.x + 2 * radius);
+        return onLine ||
+            across.some(line => Geometry.distance(point, { x: line.x, y: -extent.y - radius }) <= radius) ||
+            down.some(line => Geometry.distance(point, { x: -extent.x - radius, y: line.y }) <= radius);
+    }
+
+    resizeBy({ along, across }) {
+        this.xSpacings = this.xSpacings.map(spacing => spacing * along);
+        this.ySpacings = this.ySpacings.map(spacing => spacing * across);
+    }
+
+    // Lines keep their labels in reading order; only the bay widths change sides
+    flipLocal(axis) {
+        if (axis === 'x') {
+            this.xSpacings = [...this.xSpacings].reverse();
+        } else {
+            this.ySpacings = [...this.ySpacings].reverse();
+        }
     }
 
     toJSON() {
         return {
             ...super.toJSON(),
-            x2: this.x2,
-            y2: this.y2,
-            unit: this.unit
+            xSpacings: this.xSpacings,
+            ySpacings: this.ySpacings,
+            overhang: this.overhang,
+            bubbleRadius: this.bubbleRadius
+        };
+    }
+}
+
+// Placed copy of a block definition (AppState.blocks). The instance only
+// holds its placement; the definition's shapes, drawn about 0,0, are shared by
+// every instance, so editing the definition changes them all.
+class BlockInstance extends Shape {
+    constructor(x, y, blockId, options = {}) {
+        super(x, y, options);
+        this.blockId = blockId;
+        this.flipped = !!options.flipped; // Mirrored left to right in its own frame
+        this.mirrored = null; // Cached mirrored shapes, see getShapes()
+    }
+
+    getDefinition() {
+        return AppState.blocks.find(block => block.id === this.blockId) || null;
+    }
+
+    /**
+     * The definition's shapes as this instance shows them. A flipped instance
+     * shows mirrored copies rather than mirroring the canvas, so text stays
+     * readable and doors swing the right way.
+     */
+    getShapes() {
+        const definition = this.getDefinition();
+        if (!definition) return [];
+        if (!this.flipped) return definition.shapes;
+
+        // Rebuilt when the definition's shapes are replaced
+        if (!this.mirrored || this.mirrored.source !== definition.shapes) {
+            const origin = { x: 0, y: 0 };
+            const shapes = definition.shapes.map(shape => createShapeFromJSON(shape.toJSON()));
+            const walls = new Map(shapes.filter(shape => shape instanceof Wall).map(wall => [wall.id, wall]));
+
+            shapes.forEach(shape => {
+                if (shape instanceof Opening && walls.has(shape.wallId)) {
+                    // Carried by its mirrored wall; only the swing changes side
+                    shape.flipLocal('y');
+                } else {
+                    shape.mirror('horizontal', origin);
+                }
+            });
+            shapes.forEach(shape => {
+                if (shape instanceof Opening && walls.has(shape.wallId)) {
+                    shape.updateFromWall(walls.get(shape.wallId));
+                }
+            });
+
+            this.mirrored = { source: definition.shapes, shapes };
+        }
+
+        return this.mirrored.shapes;
+    }
+
+    drawShape(ctx) {
+        if (!this.getDefinition()) {
+            // The definition is gone; mark where the instance was
+            const bounds = this.getBounds();
+            ctx.setLineDash([4, 4]);
+            ctx.strokeRect(bounds.left, bounds.top, bounds.right - bounds.left, bounds.bottom - bounds.top);
+            ctx.setLineDash([]);
+            return;
+        }
+
+        // Same order as the canvas: floors, then walls as one network, then the rest
+        const shapes = this.getShapes().filter(shape => shape.visible);
+        const walls = shapes.filter(shape => shape instanceof Wall);
+        const openings = shapes.filter(shape => shape instanceof Opening && shape.wallId);
+
+        shapes.filter(shape => shape instanceof Room).forEach(shape => shape.draw(ctx));
+        Wall.drawWalls(ctx, walls, { openings });
+        shapes.filter(shape => !(shape instanceof Room) && !(shape instanceof Wall)).forEach(shape => shape.draw(ctx));
+    }
+
+    getBounds() {
+        const shapes = this.getShapes();
+        if (shapes.length === 0) {
+            return { left: -10, top: -10, right: 10, bottom: 10 };
+        }
+
+        return shapes.reduce((total, shape) => {
+            const shapeBounds = shape.getWorldBounds();
+            return {
+                left: Math.min(total.left, shapeBounds.left),
+                top: Math.min(total.top, shapeBounds.top),
+                right: Math.max(total.right, shapeBounds.right),
+                bottom: Math.max(total.bottom, shapeBounds.bottom)
+            };
+        }, { left: Infinity, top: Infinity, right: -Infinity, bottom: -Infinity });
+    }
+
+    contains(x, y) {
+        if (!this.getDefinition()) return super.contains(x, y);
+
+        const point = this.worldToLocal(x, y);
+        return this.getShapes().some(shape => shape.visible && shape.contains(point.x, point.y));
+    }
+
+    // Instances keep the definition's real size
+    resizeBy() {}
+
+    flipLocal(axis) {
+        this.flipped = !this.flipped;
+        if (axis === 'y') {
+            // A top-to-bottom flip is a left-to-right flip turned half way round
+            this.rotation = (this.rotation + 180) % 360;
+        }
+    }
+
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            blockId: this.blockId,
+            flipped: this.flipped
         };
     }
 }
 
+// Convert a pre-Shape drawing record ({ tool, startX, startY, endX, endY, ... })
+// into the equivalent Shape instance so older saved projects still load
+function createShapeFromLegacyDrawing(record) {
+    const options = {
+        strokeStyle: record.color,
+        lineWidth: record.width,
+        fillStyle: record.fill
+    };
+    const properties = record.properties || {};
+    const width = record.endX - record.startX;
+    const height = record.endY - record.startY;
+
+    switch (record.tool) {
+        case 'rectangle':
+            return new Rectangle(
+                record.startX + width / 2,
+                record.startY + height / 2,
+                Math.abs(width),
+                Math.abs(height),
+                options
+            );
+        case 'circle':
+            return new Circle(record.startX, record.startY, Math.sqrt(width * width + height * height), options);
+        case 'line':
+            return new Line(record.startX, record.startY, record.endX, record.endY, options);
+        case 'text':
+            return new TextLabel(record.startX, record.startY, record.text || properties.text, {
+                fillStyle: record.color,
+                fontSize: record.fontSize || properties.fontSize,
+                fontFamily: properties.fontFamily
+            });
+        default:
+            console.warn(`Unknown legacy drawing tool: ${record.tool}`);
+            return null;
+    }
+}
+
 // Factory function to create shapes from JSON data
 function createShapeFromJSON(data) {
+    // Records saved before the Shape model carry a `tool` instead of a `type`
+    if (!data.type && data.tool) {
+        return createShapeFromLegacyDrawing(data);
+    }
+
     const shapeClasses = {
         Wall,
         Door,
         Window,
+        Staircase,
         Room,
         TextLabel,
-        MeasurementLine
+        MeasurementLine,
+        Rectangle,
+        Circle,
+        Line,
+        FurnitureSymbol,
+        Column,
+        Beam,
+        ColumnGrid,
+        BlockInstance
     };
 
     const ShapeClass = shapeClasses[data.type];
@@ -469,18 +2726,27 @@ function createShapeFromJSON(data) {
             if (data.thickness) shape.thickness = data.thickness;
             break;
         case 'Door':
-            shape = new Door(data.x, data.y);
+            shape = new Door(data.x, data.y, {
+                wallId: data.wallId,
+                offset: data.offset,
+                hingeSide: data.hingeSide,
+                swingSide: data.swingSide
+            });
             if (data.width) shape.width = data.width;
             if (data.height) shape.height = data.height;
             if (data.openAngle) shape.openAngle = data.openAngle;
             break;
         case 'Window':
-            shape = new Window(data.x, data.y);
+            shape = new Window(data.x, data.y, { wallId: data.wallId, offset: data.offset });
             if (data.width) shape.width = data.width;
             if (data.height) shape.height = data.height;
             break;
         case 'Room':
-            shape = new Room(data.x, data.y, data.width, data.height);
+            shape = new Room(data.x, data.y, data.width, data.height, {
+                points: data.points,
+                followsWalls: data.followsWalls,
+                wallIds: data.wallIds
+            });
             if (data.name) shape.name = data.name;
             break;
         case 'TextLabel':
@@ -489,8 +2755,65 @@ function createShapeFromJSON(data) {
             if (data.fontFamily) shape.fontFamily = data.fontFamily;
             break;
         case 'MeasurementLine':
-            shape = new MeasurementLine(data.x, data.y, data.x2, data.y2);
-            if (data.unit) shape.unit = data.unit;
+            shape = new MeasurementLine(data.x, data.y, data.x2, data.y2, {
+                x3: data.x3,
+                y3: data.y3,
+                dimensionStyle: data.dimensionStyle,
+                offset: data.offset,
+                precision: data.precision,
+                textPlacement: data.textPlacement,
+                anchors: data.anchors,
+                autoGenerated: data.autoGenerated
+            });
+            // Older lines were labelled in pixels; they now follow the project
+            if (data.unit && data.unit !== 'px') shape.unit = data.unit;
+            break;
+        case 'Rectangle':
+            shape = new Rectangle(data.x, data.y, data.width, data.height);
+            break;
+        case 'Circle':
+            shape = new Circle(data.x, data.y, data.radius);
+            break;
+        case 'Line':
+            shape = new Line(data.x, data.y, data.x2, data.y2);
+            break;
+        case 'Staircase':
+            shape = new Staircase(data.x, data.y, {
+                stairType: data.stairType,
+                width: data.width,
+                tread: data.tread,
+                floorHeight: data.floorHeight,
+                riser: data.riser,
+                turn: data.turn
+            });
+            break;
+        case 'FurnitureSymbol':
+            shape = new FurnitureSymbol(data.x, data.y, data.symbolId, {
+                width: data.width,
+                depth: data.depth,
+                flipped: data.flipped
+            });
+            break;
+        case 'Column':
+            shape = new Column(data.x, data.y, {
+                columnShape: data.columnShape,
+                width: data.width,
+                depth: data.depth
+            });
+            break;
+        case 'Beam':
+            shape = new Beam(data.x, data.y, data.x2, data.y2, { width: data.width, depth: data.depth });
+            break;
+        case 'ColumnGrid':
+            shape = new ColumnGrid(data.x, data.y, {
+                xSpacings: data.xSpacings,
+                ySpacings: data.ySpacings,
+                overhang: data.overhang,
+                bubbleRadius: data.bubbleRadius
+            });
+            break;
+        case 'BlockInstance':
+            shape = new BlockInstance(data.x, data.y, data.blockId, { flipped: data.flipped });
             break;
         default:
             shape = new Shape(data.x, data.y);
@@ -505,6 +2828,9 @@ function createShapeFromJSON(data) {
     if (data.scale) shape.scale = data.scale;
     if (data.layer !== undefined) shape.layer = data.layer;
     if (data.visible !== undefined) shape.visible = data.visible;
+    if (data.locked) shape.locked = true;
+    if (data.groupIds) shape.groupIds = [...data.groupIds];
 
     return shape;
-}
\ No newline at end of file
+}
+
@@ -0,0 +1,143 @@
+// Sidebar.js - Side panel with the searchable furniture and fixture symbol library
+class Sidebar {
+    constructor(containerId, canvasDrawing) {
+        this.container = document.getElementById(containerId);
+        this.canvasDrawing = canvasDrawing;
+        this.searchInput = null;
+        this.symbolList = null;
+        this.init();
+    }
+
+    init() {
+        if (!this.container) {
+            console.error('[Sidebar] Container not found');
+            return;
+        }
+
+        this.createSymbolLibrary();
+
+        // Symbol sizes are shown in the project's units
+        EventBus.on('project:changed', () => this.renderSymbols(this.searchInput.value));
+
+        console.log('[Sidebar] Initialized');
+    }
+
+    createSymbolLibrary() {
+        const section = document.createElement('div');
+        section.className = 'sidebar-section symbol-library';
+        section.innerHTML = `
+            <h3>Symbols</h3>
+            <input type="search" class="symbol-search" placeholder="Search furniture and fixtures" autocomplete="off" spellcheck="false">
+            <div class="symbol-list"></div>
+        `;
+
+        this.searchInput = section.querySelector('.symbol-search');
+        this.symbolList = section.querySelector('.symbol-list');
+
+        this.searchInput.addEventListener('input', () => this.renderSymbols(this.searchInput.value));
+        this.searchInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape' && this.searchInput.value) {
+                this.searchInput.value = '';
+                this.renderSymbols('');
+            }
+        });
+
+        this.container.appendChild(section);
+        this.renderSymbols('');
+    }
+
+    // Every word typed must appear in the symbol's name, category or keywords
+    findSymbols(query) {
+        const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+        return Object.entries(FurnitureSymbol.CATALOGUE).filter(([, symbol]) => {
+            const text = `${symbol.name} ${symbol.category} ${symbol.keywords}`.toLowerCase();
+            return words.every(word => text.includes(word));
+        });
+    }
+
+    renderSymbols(query) {
+        const symbols = this.findSymbols(query);
+        this.symbolList.innerHTML = '';
+
+        if (symbols.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'symbol-empty';
+            empty.textContent = `No symbols match “${query.trim()}”`;
+            this.symbolList.appendChild(empty);
+            return;
+        }
+
+        // Grouped by category, in catalogue order
+        const categories = new Map();
+        symbols.forEach(([id, symbol]) => {
+            if (!categories.has(symbol.category)) categories.set(symbol.category, []);
+            categories.get(symbol.category).push([id, symbol]);
+        });
+
+        categories.forEach((entries, category) => {
+            const heading = document.createElement('h4');
+            heading.className = 'symbol-category';
+            heading.textContent = category;
+            this.symbolList.appendChild(heading);
+
+            const grid = document.createElement('div');
+            grid.className = 'symbol-grid';
+            entries.forEach(([id, symbol]) => grid.appendChild(this.createSymbolItem(id, symbol)));
+            this.symbolList.appendChild(grid);
+        });
+    }
+
+    // Click to place in the middle of the view, or drag onto the canvas
+    createSymbolItem(id, symbol) {
+        const size = `${Measurements.formatLength(symbol.width)} × ${Measurements.formatLength(symbol.depth)}`;
+
+        const item = document.createElement('button');
+        item.className = 'symbol-item';
+        item.draggable = true;
+        item.title = `${symbol.name} (${size}). Click to add, or drag onto the plan`;
+        item.appendChild(this.createPreview(id, symbol));
+
+        const name = document.createElement('span');
+        name.className = 'symbol-name';
+        name.textContent = symbol.name;
+        item.appendChild(name);
+
+        item.addEventListener('click', () => {
+            if (this.canvasDrawing) {
+                this.canvasDrawing.placeSymbol(id);
+            }
+        });
+        item.addEventListener('dragstart', (event) => {
+            event.dataTransfer.setData(CanvasDrawing.SYMBOL_DRAG_FORMAT, id);
+            event.dataTransfer.effectAllowed = 'copy';
+        });
+
+        return item;
+    }
+
+    // Thumbnail drawn by the symbol itself, fitted to the preview
+    createPreview(id, symbol) {
+        const size = 56;
+        const padding = 6;
+        const canvas = document.createElement('canvas');
+        canvas.className = 'symbol-preview';
+        canvas.width = size;
+        canvas.height = size;
+
+        const fit = (size - 2 * padding) / Math.max(symbol.width, symbol.depth);
+        const preview = new FurnitureSymbol(size / 2, size / 2, id, {
+            width: symbol.width * fit,
+            depth: symbol.depth * fit,
+            strokeStyle: '#374151'
+        });
+        preview.draw(canvas.getContext('2d'));
+
+        return canvas;
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.Sidebar = Sidebar;
+}
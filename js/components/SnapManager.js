@@ -0,0 +1,281 @@
+// SnapManager.js - Object snaps (endpoint, midpoint, intersection, perpendicular, extension) with grid fallback
+class SnapManager {
+    constructor(canvasDrawing) {
+        this.canvasDrawing = canvasDrawing;
+
+        this.modes = {
+            endpoint: true,
+            midpoint: true,
+            intersection: true,
+            perpendicular: true,
+            extension: true
+        };
+
+        // Point snaps win over line snaps when both are in range
+        this.priority = ['endpoint', 'intersection', 'midpoint', 'perpendicular', 'extension'];
+
+        // Screen-pixel distance within which a snap catches the pointer (divided by zoom)
+        this.aperture = 10;
+
+        // Last object snap found, drawn as the indicator
+        this.current = null;
+
+        this.labels = {
+            endpoint: 'Endpoint',
+            midpoint: 'Midpoint',
+            intersection: 'Intersection',
+            perpendicular: 'Perpendicular',
+            extension: 'Extension'
+        };
+    }
+
+    // Modes
+    setModeEnabled(mode, enabled) {
+        if (!(mode in this.modes)) return;
+
+        this.modes[mode] = enabled;
+        EventBus.emit('snap:mode-changed', { mode, enabled });
+    }
+
+    isModeEnabled(mode) {
+        return !!this.modes[mode];
+    }
+
+    /**
+     * Snap a canvas point.
+     * `from` is the start of the segment being drawn (needed for perpendicular snaps);
+     * `exclude` lists shapes that must not snap to themselves (e.g. the preview).
+     * Returns { x, y, type } where type is an object snap mode, 'grid' or null.
+     */
+    snap(x, y, { from = null, exclude = [] } = {}) {
+        const point = { x, y };
+        const tolerance = this.aperture / AppState.zoom;
+        const segments = this.getSegments(exclude);
+
+        const candidates = [
+            ...this.findEndpoints(point, segments, tolerance),
+            ...this.findMidpoints(point, segments, tolerance),
+            ...this.findIntersections(point, segments, tolerance),
+            ...this.findPerpendiculars(point, from, segments, tolerance),
+            ...this.findExtensions(point, segments, tolerance)
+        ].filter(candidate => this.modes[candidate.type]);
+
+        if (candidates.length > 0) {
+            candidates.sort((a, b) =>
+                this.priority.indexOf(a.type) - this.priority.indexOf(b.type) || a.distance - b.distance
+            );
+            this.current = candidates[0];
+            return { x: this.current.x, y: this.current.y, type: this.current.type };
+        }
+
+        this.current = null;
+
+        if (this.canvasDrawing.snapToGrid) {
+            return { ...this.snapToGrid(x, y), type: 'grid' };
+        }
+        return { x, y, type: null };
+    }
+
+    // The grid works in screen pixels, so go through the viewport
+    snapToGrid(x, y) {
+        const screen = this.canvasDrawing.canvasToScreen(x, y);
+        const snapped = this.canvasDrawing.grid.snapToGrid(screen.x, screen.y);
+
+        return {
+            x: (snapped.x - AppState.pan.x) / AppState.zoom,
+            y: (snapped.y - AppState.pan.y) / AppState.zoom
+        };
+    }
+
+    clear() {
+        this.current = null;
+    }
+
+    // Snap Geometry
+    getSegments(exclude) {
+        const segments = [];
+
+        AppState.drawings.forEach(shape => {
+            if (!shape.visible || exclude.includes(shape)) return;
+
+            if (shape instanceof Wall) {
+                segments.push({ start: shape.getStart(), end: shape.getEnd(), shape });
+            } else if (shape instanceof Line || (shape instanceof MeasurementLine && shape.isLinear())) {
+                segments.push({ start: { x: shape.x, y: shape.y }, end: { x: shape.x2, y: shape.y2 }, shape });
+            } else if (shape instanceof Room) {
+                const corners = shape.getWorldPoints();
+                corners.forEach((corner, index) => {
+                    segments.push({ start: corner, end: corners[(index + 1) % corners.length], shape });
+                });
+            } else if (shape instanceof Rectangle || shape instanceof FurnitureSymbol) {
+                const bounds = shape.getBounds();
+                const corners = [
+                    shape.localToWorld(bounds.left, bounds.top),
+                    shape.localToWorld(bounds.right, bounds.top),
+                    shape.localToWorld(bounds.right, bounds.bottom),
+                    shape.localToWorld(bounds.left, bounds.bottom)
+                ];
+                corners.forEach((corner, index) => {
+                    segments.push({ start: corner, end: corners[(index + 1) % corners.length], shape });
+                });
+            }
+        });
+
+        return segments.filter(segment => !Geometry.pointsEqual(segment.start, segment.end, Geometry.EPSILON));
+    }
+
+    candidate(type, snapPoint, point, extra = {}) {
+        return { type, x: snapPoint.x, y: snapPoint.y, distance: Geometry.distance(snapPoint, point), ...extra };
+    }
+
+    findEndpoints(point, segments, tolerance) {
+        const found = [];
+
+        segments.forEach(({ start, end }) => {
+            [start, end].forEach(endpoint => {
+                if (Geometry.distance(endpoint, point) <= tolerance) {
+                    found.push(this.candidate('endpoint', endpoint, point));
+                }
+            });
+        });
+
+        return found;
+    }
+
+    findMidpoints(point, segments, tolerance) {
+        return segments
+            .map(({ start, end }) => Geometry.midpoint(start, end))
+            .filter(midpoint => Geometry.distance(midpoint, point) <= tolerance)
+            .map(midpoint => this.candidate('midpoint', midpoint, point));
+    }
+
+    findIntersections(point, segments, tolerance) {
+        // Only segments passing near the pointer can cross near it
+        const nearby = segments.filter(({ start, end }) =>
+            Geometry.closestPointOnSegment(point, start, end).distance <= tolerance
+        );
+        const found = [];
+
+        for (let i = 0; i < nearby.length; i++) {
+            for (let j = i + 1; j < nearby.length; j++) {
+                const crossing = Geometry.segmentIntersection(nearby[i].start, nearby[i].end, nearby[j].start, nearby[j].end);
+                if (crossing && Geometry.distance(crossing, point) <= tolerance) {
+                    found.push(this.candidate('intersection', crossing, point));
+                }
+            }
+        }
+
+        return found;
+    }
+
+    // Foot of the perpendicular from the segment start onto a nearby wall or line
+    findPerpendiculars(point, from, segments, tolerance) {
+        if (!from) return [];
+
+        const found = [];
+
+        segments.forEach(({ start, end }) => {
+            const foot = Geometry.closestPointOnSegment(from, start, end);
+
+            // A foot at the very end of a segment is an endpoint, not a perpendicular
+            if (foot.t <= 0 || foot.t >= 1 || foot.distance < Geometry.EPSILON) return;
+
+            if (Geometry.distance(foot.point, point) <= tolerance) {
+                found.push(this.candidate('perpendicular', foot.point, point, { start, end }));
+            }
+        });
+
+        return found;
+    }
+
+    // Points on the straight continuation of a segment past either end
+    findExtensions(point, segments, tolerance) {
+        const found = [];
+
+        segments.forEach(({ start, end }) => {
+            const direction = Geometry.normalize(Geometry.subtract(end, start));
+            const along = Geometry.dot(Geometry.subtract(point, start), direction);
+            const length = Geometry.distance(start, end);
+
+            if (along >= 0 && along <= length) return;
+
+            const projected = Geometry.add(start, Geometry.scale(direction, along));
+            if (Geometry.distance(projected, point) <= tolerance) {
+                found.push(this.candidate('extension', projected, point, { origin: along < 0 ? start : end }));
+            }
+        });
+
+        return found;
+    }
+
+    // Rendering (called inside the canvas zoom transform)
+    draw(ctx) {
+        if (!this.current) return;
+
+        const zoom = AppState.zoom;
+        const { x, y, type } = this.current;
+        const size = 6 / zoom;
+
+        ctx.save();
+        ctx.strokeStyle = '#f97316';
+        ctx.fillStyle = '#f97316';
+        ctx.lineWidth = 1.5 / zoom;
+
+        if (type === 'extension') {
+            const { origin } = this.current;
+            ctx.setLineDash([4 / zoom, 4 / zoom]);
+            ctx.beginPath();
+            ctx.moveTo(origin.x, origin.y);
+            ctx.lineTo(x, y);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        ctx.beginPath();
+        switch (type) {
+            case 'endpoint':
+                ctx.rect(x - size, y - size, size * 2, size * 2);
+                break;
+            case 'midpoint':
+                ctx.moveTo(x, y - size);
+                ctx.lineTo(x + size, y + size);
+                ctx.lineTo(x - size, y + size);
+                ctx.closePath();
+                break;
+            case 'intersection':
+            case 'extension':
+                ctx.moveTo(x - size, y - size);
+                ctx.lineTo(x + size, y + size);
+                ctx.moveTo(x + size, y - size);
+                ctx.lineTo(x - size, y + size);
+                break;
+            case 'perpendicular': {
+                // Right-angle mark turned to the wall it sits on
+                const { start, end } = this.current;
+                const u = Geometry.scale(Geometry.normalize(Geometry.subtract(end, start)), size);
+                const v = Geometry.perpendicular(u);
+                ctx.moveTo(x - u.x, y - u.y);
+                ctx.lineTo(x + u.x, y + u.y);
+                ctx.moveTo(x, y);
+                ctx.lineTo(x + v.x, y + v.y);
+                ctx.moveTo(x + u.x / 2, y + u.y / 2);
+                ctx.lineTo(x + u.x / 2 + v.x / 2, y + u.y / 2 + v.y / 2);
+                ctx.lineTo(x + v.x / 2, y + v.y / 2);
+                break;
+            }
+        }
+        ctx.stroke();
+
+        ctx.font = `${11 / zoom}px Inter, Arial, sans-serif`;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.fillText(this.labels[type], x + size * 1.5, y + size * 1.5);
+
+        ctx.restore();
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.SnapManager = SnapManager;
+}
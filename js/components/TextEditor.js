@@ -0,0 +1,161 @@
+// TextEditor.js - Inline, multi-line editing of TextLabel shapes on the canvas
+class TextEditor {
+    constructor(canvasDrawing) {
+        this.canvasDrawing = canvasDrawing;
+        this.element = null;
+
+        // Label being edited; a new label is only added to the drawing when committed
+        this.label = null;
+        this.isNew = false;
+
+        this.create();
+        this.init();
+    }
+
+    create() {
+        const container = this.canvasDrawing.canvas.parentElement;
+
+        this.element = document.createElement('textarea');
+        this.element.className = 'text-editor hidden';
+        this.element.setAttribute('spellcheck', 'false');
+        this.element.setAttribute('wrap', 'off');
+
+        this.element.addEventListener('keydown', this.handleKeyDown.bind(this));
+        this.element.addEventListener('input', this.autoSize.bind(this));
+        this.element.addEventListener('blur', (event) => {
+            // Picking a font or colour in the properties panel keeps the box open
+            const target = event.relatedTarget;
+            if (target && target.closest && target.closest('#properties-panel')) return;
+
+            this.commit();
+        });
+
+        container.appendChild(this.element);
+    }
+
+    init() {
+        // Keep the box over the label while the view moves
+        ['canvas:zoomed', 'canvas:panned'].forEach(event => {
+            EventBus.on(event, () => {
+                if (this.isOpen()) this.position();
+            });
+        });
+
+        EventBus.on('tool:changed', () => this.commit());
+    }
+
+    handleKeyDown(event) {
+        // Keys typed here are text, not canvas shortcuts
+        event.stopPropagation();
+
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            this.cancel();
+        } else if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+            // Plain Enter starts a new line
+            event.preventDefault();
+            this.commit();
+        }
+    }
+
+    isOpen() {
+        return this.label !== null;
+    }
+
+    isEditing(shape) {
+        return this.label === shape;
+    }
+
+    open(label, isNew = false) {
+        this.commit();
+
+        this.label = label;
+        this.isNew = isNew;
+        this.element.value = isNew ? '' : label.text;
+
+        this.position();
+        this.element.classList.remove('hidden');
+        this.element.focus();
+        if (!isNew) {
+            this.element.select();
+        }
+
+        this.canvasDrawing.redraw();
+    }
+
+    position() {
+        const label = this.label;
+        const screen = this.canvasDrawing.canvasToScreen(label.x, label.y);
+
+        Object.assign(this.element.style, {
+            left: `${screen.x}px`,
+            top: `${screen.y}px`,
+            fontSize: `${label.fontSize * label.scale * AppState.zoom}px`,
+            fontFamily: label.fontFamily,
+            color: label.fillStyle,
+            transform: `rotate(${label.rotation}deg)`
+        });
+
+        this.autoSize();
+    }
+
+    autoSize() {
+        const lines = this.element.value.split('\n');
+        this.element.rows = lines.length;
+        this.element.cols = Math.max(4, ...lines.map(line => line.length + 1));
+    }
+
+    // Font changes from the properties panel while the box is open
+    applyStyle(properties) {
+        if (!this.isOpen()) return;
+
+        // A new label isn't in the drawing yet, so it can change without a history entry
+        if (this.isNew) {
+            Object.assign(this.label, properties);
+        }
+        this.position();
+    }
+
+    commit() {
+        if (!this.isOpen()) return;
+
+        const label = this.label;
+        const isNew = this.isNew;
+        const text = this.element.value.replace(/\s+$/, '');
+
+        this.close();
+
+        if (isNew) {
+            if (text) {
+                label.text = text;
+                this.canvasDrawing.addShapes([label], 'Add text');
+            }
+        } else if (!text) {
+            this.canvasDrawing.removeShapes([label], 'Delete text');
+        } else if (text !== label.text) {
+            this.canvasDrawing.modifyShapes([label], shape => { shape.text = text; }, 'Edit text');
+        }
+
+        this.canvasDrawing.redraw();
+    }
+
+    cancel() {
+        if (!this.isOpen()) return;
+
+        this.close();
+        this.canvasDrawing.redraw();
+    }
+
+    close() {
+        // Cleared first so the blur below doesn't commit a second time
+        this.label = null;
+        this.isNew = false;
+        this.element.classList.add('hidden');
+        this.element.blur();
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.TextEditor = TextEditor;
+}
@@ -4,6 +4,7 @@ class Toolbar {
         this.canvasDrawing = canvasDrawing;
         this.currentTool = 'select';
         this.toolButtons = {};
+        this.actionButtons = {};
         this.init();
     }
 
@@ -20,13 +21,17 @@ class Toolbar {
         }
 
         const tools = [
-            { id: 'select', name: 'Select', icon: '🖱️', tooltip: 'Select and move objects' },
-            { id: 'wall', name: 'Wall', icon: '━', tooltip: 'Draw walls' },
+            { id: 'select', name: 'Select', icon: '🖱️', tooltip: 'Select, move, resize and rotate objects (Shift-click to add, Ctrl-click to pick one shape in a group; drag room corners or edge dots to reshape, double-click a corner to remove it)' },
+            { id: 'wall', name: 'Wall', icon: '━', tooltip: 'Draw walls (type a length, Shift for 45° steps; double-click or Esc to finish)' },
             { id: 'door', name: 'Door', icon: '🚪', tooltip: 'Add doors' },
             { id: 'window', name: 'Window', icon: '⬜', tooltip: 'Add windows' },
-            { id: 'room', name: 'Room', icon: '🏠', tooltip: 'Create rooms' },
-            { id: 'text', name: 'Text', icon: 'T', tooltip: 'Add text labels' },
-            { id: 'measure', name: 'Measure', icon: '📏', tooltip: 'Measure distances' },
+            { id: 'stairs', name: 'Stairs', icon: '🪜', tooltip: 'Add a staircase (click to place, drag towards the top of the flight to turn it; set the type, height, riser and tread under Properties)' },
+            { id: 'column', name: 'Column', icon: '▪', tooltip: 'Add structural columns (click to place; snaps to wall corners and crossings; set the shape and size under Properties). Right-click the plan for a column grid or schedule' },
+            { id: 'beam', name: 'Beam', icon: '┅', tooltip: 'Draw beams between two points (set the width and depth under Properties)' },
+            { id: 'room', name: 'Room', icon: '🏠', tooltip: 'Create rooms (click inside walls to fill the enclosed area, or drag a rectangle)' },
+            { id: 'text', name: 'Text', icon: 'T', tooltip: 'Add text labels (click to type, Ctrl+Enter to finish; double-click a label to edit)' },
+            { id: 'measure', name: 'Measure', icon: '📏', tooltip: 'Measure distances (click the first point again for the area; double-click to finish)' },
+            { id: 'dimension', name: 'Dimension', icon: '↔', tooltip: 'Add dimensions between two points; ends placed on wall ends or room corners stay attached as they move. Right-click walls, rooms, two lines or a circle to dimension them' },
             { id: 'pan', name: 'Pan', icon: '✋', tooltip: 'Pan the view' },
             { id: 'zoom', name: 'Zoom', icon: '🔍', tooltip: 'Zoom in/out' }
         ];
@@ -74,8 +79,8 @@ class Toolbar {
 
         const actions = [
             { id: 'clear', name: 'Clear', icon: '🗑️', action: () => this.clearCanvas() },
-            { id: 'undo', name: 'Undo', icon: '↶', action: () => this.undo() },
-            { id: 'redo', name: 'Redo', icon: '↷', action: () => this.redo() },
+            { id: 'undo', name: 'Undo', icon: '↶', tooltip: 'Undo (Ctrl+Z)', action: () => this.undo() },
+            { id: 'redo', name: 'Redo', icon: '↷', tooltip: 'Redo (Ctrl+Y)', action: () => this.redo() },
             { id: 'save', name: 'Save', icon: '💾', action: () => this.save() },
             { id: 'load', name: 'Load', icon: '📂', action: () => this.load() },
             { id: 'export', name: 'Export', icon: '📤', action: () => this.export() }
@@ -86,17 +91,39 @@ class Toolbar {
 
         actions.forEach(action => {
             const button = document.createElement('button');
+            button.id = `action-${action.id}`;
             button.className = 'action-btn';
             button.innerHTML = `
                 <span class="action-icon">${action.icon}</span>
                 <span class="action-name">${action.name}</span>
             `;
+            if (action.tooltip) {
+                button.title = action.tooltip;
+            }
             button.addEventListener('click', action.action);
+
+            this.actionButtons[action.id] = button;
             actionGrid.appendChild(button);
         });
 
         actionsSection.appendChild(actionGrid);
         container.appendChild(actionsSection);
+
+        // Nothing to undo or redo yet
+        this.updateHistoryButtons({ canUndo: false, canRedo: false });
+    }
+
+    updateHistoryButtons({ canUndo, canRedo, undoLabel, redoLabel }) {
+        const { undo, redo } = this.actionButtons;
+
+        if (undo) {
+            undo.disabled = !canUndo;
+            undo.title = canUndo && undoLabel ? `Undo ${undoLabel} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+        }
+        if (redo) {
+            redo.disabled = !canRedo;
+            redo.title = canRedo && redoLabel ? `Redo ${redoLabel} (Ctrl+Y)` : 'Redo (Ctrl+Y)';
+        }
     }
 
     createPropertiesPanel(container) {
@@ -123,7 +150,187 @@ class Toolbar {
             </label>
         `;
 
+        // Wall settings; the thickness is typed like the staircase lengths below
+        const wallSettings = document.createElement('div');
+        wallSettings.className = 'property-group';
+        wallSettings.innerHTML = `
+            <label>
+                Wall Thickness:
+                <input type="text" id="wall-thickness" value="230mm">
+            </label>
+        `;
+
+        // Staircase settings for new stairs; lengths accept units such as 3m, 175mm or 10'
+        const stairSettings = document.createElement('div');
+        stairSettings.className = 'property-group';
+        stairSettings.innerHTML = `
+            <label>
+                Stair Type:
+                <select id="stair-type">
+                    <option value="straight">Straight</option>
+                    <option value="dog-legged">Dog-legged</option>
+                    <option value="L">L-shaped</option>
+                    <option value="U">U-shaped</option>
+                </select>
+            </label>
+            <label>
+                Floor to Floor:
+                <input type="text" id="stair-height" value="3000mm">
+            </label>
+            <label>
+                Max Riser:
+                <input type="text" id="stair-riser" value="175mm">
+            </label>
+            <label>
+                Tread:
+                <input type="text" id="stair-tread" value="250mm">
+            </label>
+            <label>
+                Stair Width:
+                <input type="text" id="stair-width" value="1000mm">
+            </label>
+        `;
+
+        // Column and beam sizes for new members
+        const structureSettings = document.createElement('div');
+        structureSettings.className = 'property-group';
+        structureSettings.innerHTML = `
+            <label>
+                Column Shape:
+                <select id="column-shape">
+                    <option value="rectangular">Rectangular</option>
+                    <option value="circular">Circular</option>
+                </select>
+            </label>
+            <label>
+                Column Size:
+                <input type="text" id="column-width" value="230mm" title="Width, or diameter of a circular column">
+                ×
+                <input type="text" id="column-depth" value="450mm" title="Depth">
+            </label>
+            <label>
+                Beam Size:
+                <input type="text" id="beam-width" value="230mm" title="Width">
+                ×
+                <input type="text" id="beam-depth" value="450mm" title="Depth">
+            </label>
+        `;
+
+        // Dimension settings for new dimensions; a negative offset puts the line on the other side
+        const dimensionSettings = document.createElement('div');
+        dimensionSettings.className = 'property-group';
+        dimensionSettings.innerHTML = `
+            <label>
+                Dimension Style:
+                <select id="dimension-style">
+                    <option value="aligned">Aligned</option>
+                    <option value="horizontal">Horizontal</option>
+                    <option value="vertical">Vertical</option>
+                </select>
+            </label>
+            <label>
+                Offset:
+                <input type="text" id="dimension-offset" value="600mm">
+            </label>
+            <label>
+                Precision:
+                <select id="dimension-precision">
+                    <option value="auto">Project default</option>
+                    <option value="0">0 / whole inches</option>
+                    <option value="1">0.0 / ½"</option>
+                    <option value="2">0.00 / ¼"</option>
+                    <option value="3">0.000 / ⅛"</option>
+                </select>
+            </label>
+            <label>
+                Text:
+                <select id="dimension-text">
+                    <option value="above">Above the line</option>
+                    <option value="inline">In the line</option>
+                    <option value="below">Below the line</option>
+                </select>
+            </label>
+        `;
+
+        // Text settings (new labels, and any labels that are selected)
+        const textSettings = document.createElement('div');
+        textSettings.className = 'property-group';
+        textSettings.innerHTML = `
+            <label>
+                Font Size:
+                <input type="number" id="text-font-size" min="4" max="200" value="16">
+            </label>
+            <label>
+                Font:
+                <select id="text-font-family">
+                    <option value="Arial">Arial</option>
+                    <option value="Inter">Inter</option>
+                    <option value="Georgia">Georgia</option>
+                    <option value="Times New Roman">Times New Roman</option>
+                    <option value="Courier New">Courier New</option>
+                </select>
+            </label>
+            <label>
+                Text Colour:
+                <input type="color" id="text-color" value="#000000">
+            </label>
+        `;
+
+        // Units dimensions and areas are shown in; land units such as bigha differ by state
+        const option = ({ value, label }) => `<option value="${value}">${label}</option>`;
+        const unitSettings = document.createElement('div');
+        unitSettings.className = 'property-group';
+        unitSettings.innerHTML = `
+            <label>
+                Length Unit:
+                <select id="length-unit">
+                    ${Measurements.LENGTH_UNITS.map(option).join('')}
+                </select>
+            </label>
+            <label>
+                Area Unit:
+                <select id="area-unit">
+                    ${Object.entries(Measurements.AREA_UNITS).map(([value, unit]) => option({ value, label: unit.name })).join('')}
+                </select>
+            </label>
+            <label>
+                State:
+                <select id="area-state">
+                    ${option({ value: '', label: 'From location' })}
+                    ${Measurements.getStates().map(state => option({ value: state, label: state })).join('')}
+                </select>
+            </label>
+        `;
+
+        // Object snap settings
+        const snapModes = [
+            { id: 'endpoint', name: 'Endpoint' },
+            { id: 'midpoint', name: 'Midpoint' },
+            { id: 'intersection', name: 'Intersection' },
+            { id: 'perpendicular', name: 'Perpendicular' },
+            { id: 'extension', name: 'Extension' }
+        ];
+
+        const snapSettings = document.createElement('div');
+        snapSettings.className = 'property-group';
+        snapSettings.innerHTML = `
+            <span>Object Snaps:</span>
+            ${snapModes.map(mode => `
+                <label>
+                    <input type="checkbox" class="snap-mode" data-mode="${mode.id}" checked>
+                    ${mode.name}
+                </label>
+            `).join('')}
+        `;
+
         propertiesPanel.appendChild(gridSettings);
+        propertiesPanel.appendChild(unitSettings);
+        propertiesPanel.appendChild(snapSettings);
+        propertiesPanel.appendChild(wallSettings);
+        propertiesPanel.appendChild(stairSettings);
+        propertiesPanel.appendChild(structureSettings);
+        propertiesPanel.appendChild(dimensionSettings);
+        propertiesPanel.appendChild(textSettings);
         propertiesSection.appendChild(propertiesPanel);
         container.appendChild(propertiesSection);
 
@@ -132,18 +339,19 @@ class Toolbar {
     }
 
     bindEvents() {
-        // Keyboard shortcuts
+        EventBus.on('canvas:state-saved', this.updateHistoryButtons.bind(this));
+        EventBus.on('selection:changed', this.showTextProperties.bind(this));
+        EventBus.on('project:changed', this.showUnits.bind(this));
+        EventBus.on('project:loaded', this.showUnits.bind(this));
+        EventBus.on('scale:changed', this.showUnits.bind(this));
+
+        // Keyboard shortcuts (undo/redo are handled by the App)
         document.addEventListener('keydown', (e) => {
+            // Leave keys alone while the user is typing in a field
+            if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
             if (e.ctrlKey) {
                 switch (e.key) {
-                    case 'z':
-                        e.preventDefault();
-                        this.undo();
-                        break;
-                    case 'y':
-                        e.preventDefault();
-                        this.redo();
-                        break;
                     case 's':
                         e.preventDefault();
                         this.save();
@@ -151,7 +359,9 @@ class Toolbar {
                 }
             }
 
-            // Tool shortcuts
+            // Tool shortcuts are plain keys; Ctrl+D, Cmd+Z and the like belong to the App
+            if (e.ctrlKey || e.metaKey || e.altKey) return;
+
             switch (e.key) {
                 case 'v': this.selectTool('select'); break;
                 case 'w': this.selectTool('wall'); break;
@@ -161,7 +371,7 @@ class Toolbar {
                 case 't': this.selectTool('text'); break;
                 case 'm': this.selectTool('measure'); break;
                 case 'h': this.selectTool('pan'); break;
-                case 'z': if (!e.ctrlKey) this.selectTool('zoom'); break;
+                case 'z': this.selectTool('zoom'); break;
             }
         });
     }
@@ -177,13 +387,112 @@ class Toolbar {
             });
         }
 
+        document.querySelectorAll('.snap-mode').forEach(checkbox => {
+            checkbox.addEventListener('change', (e) => {
+                const snapManager = this.canvasDrawing.snapManager;
+                if (snapManager) {
+                    snapManager.setModeEnabled(e.target.dataset.mode, e.target.checked);
+                }
+            });
+        });
+
+        ['text-font-size', 'text-font-family', 'text-color'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('change', () => this.applyTextProperties());
+            }
+        });
+
+        const unitInputs = { 'length-unit': 'lengthUnit', 'area-unit': 'areaUnit', 'area-state': 'state' };
+        Object.entries(unitInputs).forEach(([id, key]) => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('change', (e) => this.applyUnits({ [key]: e.target.value }));
+            }
+        });
+
+        const wallThickness = document.getElementById('wall-thickness');
+
+        if (wallThickness) {
+            wallThickness.addEventListener('change', () => this.showUnits());
+        }
+
         if (gridSize && gridSizeValue) {
             gridSize.addEventListener('input', (e) => {
-                const value = e.target.value;
-                gridSizeValue.textContent = `${value}px`;
-                this.canvasDrawing.setGridSize(parseInt(value));
+                this.canvasDrawing.setGridSize(parseInt(e.target.value));
+                this.showUnits();
             });
         }
+
+        this.showUnits();
+    }
+
+    // Unit changes are project edits, so they can be undone
+    applyUnits(changes) {
+        this.canvasDrawing.updateProjectData(changes, 'Change units');
+    }
+
+    // Unit pickers, the wall thickness and the grid readout, in the project's units
+    showUnits() {
+        const values = {
+            'length-unit': Measurements.getProjectUnit(),
+            'area-unit': Measurements.getAreaUnit(),
+            'area-state': AppState.projectData.state || ''
+        };
+        Object.entries(values).forEach(([id, value]) => {
+            const input = document.getElementById(id);
+            if (input) input.value = value;
+        });
+
+        const thickness = document.getElementById('wall-thickness');
+        const thicknessMm = thickness ? Measurements.parseLength(thickness.value) : null;
+        if (thicknessMm !== null && thicknessMm > 0) {
+            thickness.value = Measurements.formatLength(thicknessMm);
+        }
+
+        const gridSize = document.getElementById('grid-size');
+        const gridSizeValue = document.getElementById('grid-size-value');
+        if (gridSize && gridSizeValue) {
+            gridSizeValue.textContent = Measurements.formatPixels(parseInt(gridSize.value));
+        }
+    }
+
+    getSelectedLabels() {
+        const selectionManager = this.canvasDrawing.selectionManager;
+        return selectionManager ? selectionManager.getSelection().filter(shape => shape instanceof TextLabel) : [];
+    }
+
+    applyTextProperties() {
+        const properties = this.canvasDrawing.getTextProperties();
+        const textEditor = this.canvasDrawing.textEditor;
+        const labels = this.getSelectedLabels();
+
+        // A label open for editing takes the style even when it isn't selected
+        if (textEditor && textEditor.isOpen() && !textEditor.isNew && !labels.includes(textEditor.label)) {
+            labels.push(textEditor.label);
+        }
+
+        if (labels.length > 0) {
+            this.canvasDrawing.updateShapeProperties(labels, properties, 'Edit text style');
+        }
+
+        if (textEditor) {
+            textEditor.applyStyle(properties);
+        }
+    }
+
+    // Show the font of the selected label so the panel edits from where it is
+    showTextProperties() {
+        const label = this.getSelectedLabels()[0];
+        if (!label) return;
+
+        const fontSize = document.getElementById('text-font-size');
+        const fontFamily = document.getElementById('text-font-family');
+        const color = document.getElementById('text-color');
+
+        if (fontSize) fontSize.value = Math.round(label.fontSize);
+        if (fontFamily) fontFamily.value = label.fontFamily;
+        if (color) color.value = label.fillStyle;
     }
 
     selectTool(toolId) {
@@ -334,12 +643,9 @@ class Toolbar {
         }
     }
 
+    // The image carries the scale bar and the drawing scale
     exportAsPNG() {
-        const canvas = this.canvasDrawing.canvas;
-        const link = document.createElement('a');
-        link.download = 'blueprint.png';
-        link.href = canvas.toDataURL();
-        link.click();
+        this.canvasDrawing.exportAsImage('blueprint.png');
     }
 
     exportAsPDF() {
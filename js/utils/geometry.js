@@ -0,0 +1,194 @@
+/**
+ * Geometry Utilities
+ * Small 2D vector helpers shared by shapes, snapping and room detection.
+ * Points are plain { x, y } objects in canvas coordinates.
+ */
+
+const Geometry = {
+    EPSILON: 1e-9,
+
+    add(a, b) {
+        return { x: a.x + b.x, y: a.y + b.y };
+    },
+
+    subtract(a, b) {
+        return { x: a.x - b.x, y: a.y - b.y };
+    },
+
+    scale(v, factor) {
+        return { x: v.x * factor, y: v.y * factor };
+    },
+
+    dot(a, b) {
+        return a.x * b.x + a.y * b.y;
+    },
+
+    cross(a, b) {
+        return a.x * b.y - a.y * b.x;
+    },
+
+    length(v) {
+        return Math.sqrt(v.x * v.x + v.y * v.y);
+    },
+
+    distance(a, b) {
+        return Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2);
+    },
+
+    normalize(v) {
+        const length = this.length(v);
+        return length === 0 ? { x: 0, y: 0 } : { x: v.x / length, y: v.y / length };
+    },
+
+    // v rotated by +90° (clockwise on screen, where y points down)
+    perpendicular(v) {
+        return { x: -v.y, y: v.x };
+    },
+
+    midpoint(a, b) {
+        return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    },
+
+    /**
+     * Mirror a point through a line through origin: a 'horizontal' flip swaps
+     * left and right (vertical mirror line), a 'vertical' flip swaps top and bottom.
+     */
+    mirrorPoint(point, axis, origin) {
+        return axis === 'horizontal'
+            ? { x: 2 * origin.x - point.x, y: point.y }
+            : { x: point.x, y: 2 * origin.y - point.y };
+    },
+
+    /**
+     * Whether text turned by `degrees` reads upside down. Drawings are read from
+     * the bottom or the right, so text may run left to right or bottom to top.
+     */
+    isUpsideDown(degrees) {
+        const angle = ((degrees % 360) + 360) % 360;
+        return angle >= 90 && angle < 270;
+    },
+
+    pointsEqual(a, b, tolerance = 0.5) {
+        return this.distance(a, b) <= tolerance;
+    },
+
+    /**
+     * Intersection of the infinite lines p + s·u and q + t·v.
+     * Returns null when the lines are parallel.
+     */
+    lineIntersection(p, u, q, v) {
+        const denominator = this.cross(u, v);
+        if (Math.abs(denominator) < this.EPSILON) return null;
+
+        const s = this.cross(this.subtract(q, p), v) / denominator;
+        return { x: p.x + s * u.x, y: p.y + s * u.y };
+    },
+
+    /**
+     * Intersection of segments a1-a2 and b1-b2, or null if they do not cross.
+     */
+    segmentIntersection(a1, a2, b1, b2) {
+        const u = this.subtract(a2, a1);
+        const v = this.subtract(b2, b1);
+        const denominator = this.cross(u, v);
+        if (Math.abs(denominator) < this.EPSILON) return null;
+
+        const w = this.subtract(b1, a1);
+        const s = this.cross(w, v) / denominator;
+        const t = this.cross(w, u) / denominator;
+
+        if (s < -this.EPSILON || s > 1 + this.EPSILON || t < -this.EPSILON || t > 1 + this.EPSILON) {
+            return null;
+        }
+
+        return { x: a1.x + s * u.x, y: a1.y + s * u.y };
+    },
+
+    /**
+     * Closest point to p on segment a-b.
+     * `t` is the position along the segment (0 at a, 1 at b).
+     */
+    closestPointOnSegment(p, a, b) {
+        const ab = this.subtract(b, a);
+        const lengthSquared = this.dot(ab, ab);
+        const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, this.dot(this.subtract(p, a), ab) / lengthSquared));
+        const point = { x: a.x + t * ab.x, y: a.y + t * ab.y };
+
+        return { point, t, distance: this.distance(p, point) };
+    },
+
+    /**
+     * Signed area of a polygon given as an array of points (shoelace formula).
+     * Positive when the points run counter-clockwise in y-up coordinates.
+     */
+    polygonArea(points) {
+        let area = 0;
+        points.forEach((point, index) => {
+            area += this.cross(point, points[(index + 1) % points.length]);
+        });
+        return area / 2;
+    },
+
+    polygonCentroid(points) {
+        const area = this.polygonArea(points);
+
+        // Degenerate polygons fall back to the average of their vertices
+        if (Math.abs(area) < this.EPSILON) {
+            const sum = points.reduce((total, point) => this.add(total, point), { x: 0, y: 0 });
+            return this.scale(sum, 1 / Math.max(points.length, 1));
+        }
+
+        let x = 0;
+        let y = 0;
+        points.forEach((point, index) => {
+            const next = points[(index + 1) % points.length];
+            const factor = this.cross(point, next);
+            x += (point.x + next.x) * factor;
+            y += (point.y + next.y) * factor;
+        });
+        return { x: x / (6 * area), y: y / (6 * area) };
+    },
+
+    // Even-odd test; points exactly on an edge may go either way
+    pointInPolygon(point, points) {
+        let inside = false;
+
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            const a = points[i];
+            const b = points[j];
+            if ((a.y > point.y) !== (b.y > point.y) &&
+                point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+
+        return inside;
+    },
+
+    /**
+     * A point guaranteed to lie inside the polygon, for labels and seeds.
+     * The centroid when it is inside (convex shapes), otherwise the middle of
+     * the first span of a horizontal line through the centroid (L-shapes).
+     */
+    polygonInteriorPoint(points) {
+        const centroid = this.polygonCentroid(points);
+        if (this.pointInPolygon(centroid, points)) return centroid;
+
+        const y = centroid.y;
+        const crossings = [];
+        points.forEach((a, index) => {
+            const b = points[(index + 1) % points.length];
+            if ((a.y > y) !== (b.y > y)) {
+                crossings.push(a.x + (y - a.y) * (b.x - a.x) / (b.y - a.y));
+            }
+        });
+        crossings.sort((a, b) => a - b);
+
+        return crossings.length >= 2 ? { x: (crossings[0] + crossings[1]) / 2, y } : centroid;
+    }
+};
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.Geometry = Geometry;
+}
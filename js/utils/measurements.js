@@ -0,0 +1,375 @@
+/**
+ * Measurement Utilities
+ * Parsing and formatting of real-world lengths and areas, and the drawing scale.
+ * Lengths are carried in millimetres and areas in square millimetres. Shapes
+ * hold canvas pixels, a fixed model unit of MM_PER_PIXEL millimetres, so a
+ * wall's real length never depends on the drawing scale; the scale only says
+ * how the plan goes on paper. Each project picks the units they are shown in.
+ */
+
+const Measurements = {
+    // Real millimetres per canvas pixel, so 20px is 1m
+    MM_PER_PIXEL: 50,
+
+    MM_PER_UNIT: {
+        mm: 1,
+        cm: 10,
+        m: 1000,
+        in: 25.4,
+        ft: 304.8
+    },
+
+    UNIT_ALIASES: {
+        mm: 'mm',
+        cm: 'cm',
+        m: 'm',
+        '"': 'in',
+        in: 'in',
+        inch: 'in',
+        inches: 'in',
+        "'": 'ft',
+        ft: 'ft',
+        foot: 'ft',
+        feet: 'ft'
+    },
+
+    // Units a project can show lengths in
+    LENGTH_UNITS: [
+        { value: 'ft-in', label: 'Feet & inches' },
+        { value: 'm', label: 'Metres' },
+        { value: 'mm', label: 'Millimetres' }
+    ],
+
+    SQ_MM_PER_SQ_FT: 92903.04,
+
+    /**
+     * Area units, sized in square feet. Land units that differ from state to
+     * state list their local sizes under `byState`; `squareFeet` is used
+     * elsewhere. Square metres are exact and given in square millimetres.
+     */
+    AREA_UNITS: {
+        'sq.ft': { label: 'sq.ft', name: 'Square feet', squareFeet: 1 },
+        'sq.m': { label: 'sq.m', name: 'Square metres', squareMm: 1e6 },
+        'sq.yd': { label: 'sq.yd', name: 'Square yards (gaj)', squareFeet: 9 },
+        guntha: { label: 'guntha', name: 'Guntha', squareFeet: 1089 },
+        cent: { label: 'cent', name: 'Cent', squareFeet: 435.6 },
+        marla: {
+            label: 'marla',
+            name: 'Marla',
+            squareFeet: 272.25,
+            byState: {
+                'Punjab': 272.25,
+                'Haryana': 272.25,
+                'Himachal Pradesh': 272.25,
+                'Jammu and Kashmir': 272.25
+            }
+        },
+        bigha: {
+            label: 'bigha',
+            name: 'Bigha',
+            squareFeet: 27000,
+            byState: {
+                'Assam': 14400,
+                'Bihar': 27220,
+                'Gujarat': 17427,
+                'Haryana': 27225,
+                'Himachal Pradesh': 8712,
+                'Jharkhand': 27211,
+                'Madhya Pradesh': 12000,
+                'Punjab': 9070,
+                'Rajasthan': 27225,
+                'Uttar Pradesh': 27000,
+                'Uttarakhand': 6804,
+                'West Bengal': 14400
+            }
+        }
+    },
+
+    // Unit used for bare numbers and for display: 'm', 'mm' or 'ft-in'
+    getProjectUnit() {
+        return (AppState.projectData && AppState.projectData.lengthUnit) || 'm';
+    },
+
+    // The project's area unit; by default the one that goes with its length unit
+    getAreaUnit() {
+        const unit = AppState.projectData && AppState.projectData.areaUnit;
+        if (unit && this.AREA_UNITS[unit]) return unit;
+
+        return this.getProjectUnit() === 'ft-in' ? 'sq.ft' : 'sq.m';
+    },
+
+    // States with their own size for some land unit
+    getStates() {
+        const states = new Set();
+        Object.values(this.AREA_UNITS).forEach(unit => {
+            Object.keys(unit.byState || {}).forEach(state => states.add(state));
+        });
+        return Array.from(states).sort();
+    },
+
+    /**
+     * The state whose land units apply: the project's own setting, or a known
+     * state named in its location ("Jaipur, Rajasthan"). Empty when neither.
+     */
+    getProjectState() {
+        const project = AppState.projectData || {};
+        if (project.state) return project.state;
+
+        const location = String(project.location || '').toLowerCase();
+        return this.getStates().find(state => location.includes(state.toLowerCase())) || '';
+    },
+
+    // Scale
+    // Drawing scales offered by name; any other ratio can be typed in
+    SCALES: [
+        { value: '1:20', group: 'Metric' },
+        { value: '1:50', group: 'Metric' },
+        { value: '1:75', group: 'Metric' },
+        { value: '1:100', group: 'Metric' },
+        { value: '1:200', group: 'Metric' },
+        { value: '1:250', group: 'Metric' },
+        { value: '1:500', group: 'Metric' },
+        { value: '1/4" = 1\'-0"', group: 'Imperial' },
+        { value: '3/16" = 1\'-0"', group: 'Imperial' },
+        { value: '1/8" = 1\'-0"', group: 'Imperial' },
+        { value: '3/32" = 1\'-0"', group: 'Imperial' },
+        { value: '1/16" = 1\'-0"', group: 'Imperial' }
+    ],
+
+    /**
+     * Real length per unit of paper length for a scale written as a ratio
+     * (1:75) or as paper = real (1/8" = 1'-0", 1" = 20'). Null when the text
+     * is not a scale.
+     */
+    parseScale(text) {
+        const value = String(text).trim();
+
+        const ratio = /^1\s*:\s*(\d+(?:\.\d+)?)$/.exec(value);
+        if (ratio) {
+            return parseFloat(ratio[1]) > 0 ? parseFloat(ratio[1]) : null;
+        }
+
+        const sides = value.split('=');
+        if (sides.length !== 2) return null;
+
+        // Paper sizes are usually a bare fraction of an inch
+        const fraction = /^\s*(\d+)\s*\/\s*(\d+)\s*(?:"|in)\s*$/.exec(sides[0]);
+        const paper = fraction
+            ? parseFloat(fraction[1]) / parseFloat(fraction[2]) * this.MM_PER_UNIT.in
+            : this.parseLength(sides[0], 'mm');
+        const real = this.parseLength(sides[1], 'ft-in');
+
+        return paper > 0 && real > 0 ? real / paper : null;
+    },
+
+    // How a typed scale is stored: a bare number n means 1:n. Null when invalid.
+    normalizeScale(text) {
+        const value = String(text).trim();
+        if (/^\d+(?:\.\d+)?$/.test(value)) {
+            return this.normalizeScale(`1:${value}`);
+        }
+        if (this.parseScale(value) === null) return null;
+
+        return value.replace(/^1\s*:\s*/, '1:').replace(/\s*=\s*/, ' = ');
+    },
+
+    getScaleRatio(scale = AppState.scale) {
+        if (typeof scale === 'number') return scale;
+
+        return this.parseScale(scale || '') || 100;
+    },
+
+    // What one paper centimetre, or inch in feet-and-inches projects, stands for
+    describeScale(scale = AppState.scale, unit = this.getProjectUnit()) {
+        const paper = unit === 'ft-in' ? { label: '1"', mm: this.MM_PER_UNIT.in } : { label: '1 cm', mm: 10 };
+        return `${paper.label} = ${this.formatLength(paper.mm * this.getScaleRatio(scale), unit)}`;
+    },
+
+    /**
+     * A scale bar of a round real-world length, as long as fits in `maxPixels`
+     * on screen at the given zoom. It measures the plan as shown, so it
+     * follows zoom and not the drawing scale, which sets the plan's size on
+     * paper. Returns { mm, pixels, divisions, label }.
+     */
+    getScaleBar(zoom = AppState.zoom, maxPixels = 160, unit = this.getProjectUnit()) {
+        const pixelsPerMm = this.mmToPixels(1) * zoom;
+
+        // Round lengths with a sensible number of divisions
+        const steps = [];
+        if (unit === 'ft-in') {
+            [[3, 3], [6, 3], [12, 4], [24, 4], [60, 5], [120, 5], [240, 4], [300, 5], [600, 5],
+                [1200, 5], [2400, 4], [6000, 5], [12000, 5]].forEach(([inches, divisions]) => {
+                steps.push({ mm: inches * this.MM_PER_UNIT.in, divisions });
+            });
+        } else {
+            for (let power = 1; power <= 1e6; power *= 10) {
+                steps.push({ mm: power, divisions: 5 }, { mm: 2 * power, divisions: 4 }, { mm: 5 * power, divisions: 5 });
+            }
+        }
+
+        const fitting = steps.filter(step => step.mm * pixelsPerMm <= maxPixels);
+        const step = fitting.length ? fitting[fitting.length - 1] : steps[0];
+
+        return {
+            mm: step.mm,
+            pixels: step.mm * pixelsPerMm,
+            divisions: step.divisions,
+            label: this.formatRoundLength(step.mm, unit)
+        };
+    },
+
+    // Round lengths without trailing zeros, for scale bars
+    formatRoundLength(mm, unit = this.getProjectUnit()) {
+        if (unit === 'ft-in') {
+            const inches = Math.round(mm / this.MM_PER_UNIT.in);
+            return inches < 12 ? `${inches}"` : `${parseFloat((inches / 12).toFixed(2))}'`;
+        }
+        if (unit === 'mm' || mm < 1000) {
+            return `${parseFloat(mm.toFixed(1))} mm`;
+        }
+        return `${parseFloat((mm / 1000).toFixed(3))} m`;
+    },
+
+    mmToPixels(mm) {
+        return mm / this.MM_PER_PIXEL;
+    },
+
+    pixelsToMm(pixels) {
+        return pixels * this.MM_PER_PIXEL;
+    },
+
+    // Areas scale with the square of the length conversion
+    pixelAreaToSquareMm(area) {
+        return area * this.MM_PER_PIXEL ** 2;
+    },
+
+    /**
+     * Parse a typed length into millimetres.
+     * Accepts feet and inches (12'6", 12' 6", 12'-6 1/2", 12ft 6in, 6"),
+     * metric with a suffix (3.81m, 450mm, 38cm) and bare numbers in the project unit.
+     * Returns null when the text is not a length.
+     */
+    parseLength(text, unit = this.getProjectUnit()) {
+        const value = String(text).trim().toLowerCase();
+        if (!value) return null;
+
+        const number = '(\\d+(?:\\.\\d+)?|\\.\\d+)';
+        const fraction = '(?:\\s+(\\d+)\\/(\\d+))?';
+
+        // Feet with optional inches
+        const feetInches = new RegExp(
+            `^${number}\\s*(?:'|ft|foot|feet)\\s*-?\\s*(?:${number}${fraction}\\s*(?:"|in|inch|inches)?)?$`
+        ).exec(value);
+        if (feetInches) {
+            const [, feet, inches = '0', numerator, denominator] = feetInches;
+            const extra = numerator ? parseFloat(numerator) / parseFloat(denominator) : 0;
+            return parseFloat(feet) * this.MM_PER_UNIT.ft + (parseFloat(inches) + extra) * this.MM_PER_UNIT.in;
+        }
+
+        // A number with a single unit suffix
+        const withUnit = new RegExp(`^${number}${fraction}\\s*(mm|cm|m|"|in|inch|inches|'|ft|foot|feet)$`).exec(value);
+        if (withUnit) {
+            const [, amount, numerator, denominator, suffix] = withUnit;
+            const extra = numerator ? parseFloat(numerator) / parseFloat(denominator) : 0;
+            return (parseFloat(amount) + extra) * this.MM_PER_UNIT[this.UNIT_ALIASES[suffix]];
+        }
+
+        // A bare number in the project unit (feet for feet-and-inches projects)
+        const bare = new RegExp(`^${number}$`).exec(value);
+        if (bare) {
+            const baseUnit = unit === 'ft-in' ? 'ft' : unit;
+            return parseFloat(bare[1]) * (this.MM_PER_UNIT[baseUnit] || 1);
+        }
+
+        return null;
+    },
+
+    // A length that may be negative, such as an offset to the other side
+    parseSignedLength(text, unit = this.getProjectUnit()) {
+        const [, sign, rest] = /^\s*([-+]?)(.*)$/.exec(String(text));
+        const mm = this.parseLength(rest, unit);
+        return mm === null ? null : (sign === '-' ? -mm : mm);
+    },
+
+    // Degrees from a typed angle such as 45, -30 or 22.5°
+    parseAngle(text) {
+        const match = /^\s*(-?(?:\d+(?:\.\d+)?|\.\d+))\s*(?:°|deg|d)?\s*$/i.exec(String(text));
+        return match ? parseFloat(match[1]) : null;
+    },
+
+    /**
+     * Format millimetres in a length unit. `precision` is the number of
+     * decimal places, or for feet and inches the inch fraction (0 whole
+     * inches, 1 halves, 2 quarters, 3 eighths); null uses the unit's default.
+     */
+    formatLength(mm, unit = this.getProjectUnit(), precision = null) {
+        const sign = mm < 0 ? '-' : '';
+        const absolute = Math.abs(mm);
+
+        switch (unit) {
+            case 'ft-in': {
+                // Counted in the smallest inch fraction shown, so rounding carries into feet
+                const steps = 2 ** (precision || 0);
+                const total = Math.round(absolute / this.MM_PER_UNIT.in * steps);
+                const feet = Math.floor(total / (12 * steps));
+                const rest = total - feet * 12 * steps;
+                return `${sign}${feet}'${Math.floor(rest / steps)}${this.formatInchFraction(rest % steps, steps)}"`;
+            }
+            case 'mm':
+                return `${sign}${absolute.toFixed(precision === null ? 0 : precision)}mm`;
+            case 'cm':
+                return `${sign}${(absolute / 10).toFixed(precision === null ? 1 : precision)}cm`;
+            default:
+                return `${sign}${(absolute / 1000).toFixed(precision === null ? 2 : precision)}m`;
+        }
+    },
+
+    // " 3/8" for 3 of 8 steps, in lowest terms; empty for none
+    formatInchFraction(numerator, denominator) {
+        if (numerator === 0) return '';
+
+        while (numerator % 2 === 0) {
+            numerator /= 2;
+            denominator /= 2;
+        }
+        return ` ${numerator}/${denominator}`;
+    },
+
+    // Areas
+    // Square millimetres in one of an area unit, using the state's size where it has one
+    getUnitArea(unit, state = this.getProjectState()) {
+        const definition = this.AREA_UNITS[unit] || this.AREA_UNITS['sq.m'];
+        if (definition.squareMm) return definition.squareMm;
+
+        const byState = definition.byState || {};
+        const squareFeet = state in byState ? byState[state] : definition.squareFeet;
+        return squareFeet * this.SQ_MM_PER_SQ_FT;
+    },
+
+    convertArea(squareMm, unit = this.getAreaUnit(), state = this.getProjectState()) {
+        return squareMm / this.getUnitArea(unit, state);
+    },
+
+    // Small units get one decimal place; land units, which are large, get more
+    formatArea(squareMm, unit = this.getAreaUnit(), state = this.getProjectState()) {
+        const definition = this.AREA_UNITS[unit] ? unit : 'sq.m';
+        const value = this.convertArea(squareMm, definition, state);
+        const decimals = definition === 'sq.ft' || definition === 'sq.yd' ? 1 : (definition === 'sq.m' ? 2 : 3);
+
+        return `${value.toFixed(decimals)} ${this.AREA_UNITS[definition].label}`;
+    },
+
+    // Canvas lengths and areas shown in the project's units
+    formatPixels(pixels) {
+        return this.formatLength(this.pixelsToMm(pixels));
+    },
+
+    formatPixelArea(area) {
+        return this.formatArea(this.pixelAreaToSquareMm(area));
+    }
+};
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.Measurements = Measurements;
+}
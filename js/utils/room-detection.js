@@ -0,0 +1,295 @@
+/**
+ * Room Detection
+ * Finds the regions enclosed by walls and the polygon of their inner wall faces.
+ * Wall centre lines are split where they cross or meet, the resulting graph is
+ * walked face by face, and each face is shrunk by half the thickness of the
+ * walls around it.
+ */
+
+const RoomDetection = {
+    // Points closer than this (in canvas pixels) are the same graph node
+    TOLERANCE: 1,
+
+    // Faces of the last wall layout, reused until a wall changes
+    cache: { key: null, faces: [] },
+
+    /**
+     * Polygon (world coordinates) of the inner faces of the walls enclosing
+     * `point`, or null if the point isn't inside a closed loop of walls.
+     */
+    findBoundary(walls, point) {
+        const face = this.findFace(walls, point);
+        return face ? this.offsetFace(face) : null;
+    },
+
+    // Smallest enclosed region containing the point
+    findFace(walls, point) {
+        const containing = this.getFaces(walls).filter(face => Geometry.pointInPolygon(point, face.points));
+        if (containing.length === 0) return null;
+
+        return containing.reduce((smallest, face) => face.area < smallest.area ? face : smallest);
+    },
+
+    /**
+     * The region bounded by the walls with these ids, as it is now: the one
+     * sharing the largest part of its walls with them, then the one holding
+     * `point`. A region must hold `point` or keep half of the walls; null
+     * when none does, rather than a neighbour that shares a wall or two.
+     */
+    findFaceOfWalls(walls, wallIds, point) {
+        const candidates = this.getFaces(walls).map(face => {
+            const shared = this.getFaceWallIds(face).filter(id => wallIds.includes(id)).length;
+            return {
+                face,
+                kept: shared / wallIds.length,
+                overlap: this.getWallOverlap(face, wallIds),
+                contains: Geometry.pointInPolygon(point, face.points)
+            };
+        }).filter(candidate => candidate.overlap > 0 && (candidate.contains || candidate.kept >= 0.5));
+
+        if (candidates.length === 0) return null;
+
+        return candidates.reduce((best, candidate) => {
+            if (candidate.overlap !== best.overlap) return candidate.overlap > best.overlap ? candidate : best;
+            if (candidate.contains !== best.contains) return candidate.contains ? candidate : best;
+            return candidate.face.area < best.face.area ? candidate : best;
+        }).face;
+    },
+
+    // Share of the walls, around the face or in `wallIds`, that are in both (0 to 1)
+    getWallOverlap(face, wallIds) {
+        const faceIds = this.getFaceWallIds(face);
+        const shared = faceIds.filter(id => wallIds.includes(id)).length;
+        const all = new Set([...faceIds, ...wallIds]).size;
+        return all > 0 ? shared / all : 0;
+    },
+
+    // Ids of the walls around a face, once each
+    getFaceWallIds(face) {
+        return [...new Set(face.walls.map(wall => wall.id))];
+    },
+
+    /**
+     * Regions enclosed only by walls in `selection`; failing that, every region
+     * that any of them helps enclose.
+     */
+    findFacesBoundedBy(walls, selection) {
+        const faces = this.getFaces(walls);
+        const enclosed = faces.filter(face => face.walls.every(wall => selection.includes(wall)));
+
+        return enclosed.length > 0 ? enclosed : faces.filter(face => face.walls.some(wall => selection.includes(wall)));
+    },
+
+    getFaces(walls) {
+        const usable = walls.filter(wall => wall.getLength() > 0);
+        const key = usable.map(wall => [wall.id, wall.x, wall.y, wall.x2, wall.y2, wall.thickness].join(',')).join(';');
+
+        if (this.cache.key !== key) {
+            this.cache = { key, faces: this.buildFaces(usable) };
+        }
+        return this.cache.faces;
+    },
+
+    // Graph
+    buildFaces(walls) {
+        const nodes = [];
+        const edges = new Map();
+
+        const nodeAt = point => {
+            let node = nodes.find(candidate => Geometry.pointsEqual(candidate, point, this.TOLERANCE));
+            if (!node) {
+                node = { x: point.x, y: point.y, links: [] };
+                nodes.push(node);
+            }
+            return node;
+        };
+
+        const addEdge = (start, end, wall) => {
+            const a = nodeAt(start);
+            const b = nodeAt(end);
+            if (a === b) return;
+
+            const key = [nodes.indexOf(a), nodes.indexOf(b)].sort((i, j) => i - j).join('-');
+            if (edges.has(key)) return;
+
+            edges.set(key, { a, b, wall });
+            a.links.push({ node: b, wall });
+            b.links.push({ node: a, wall });
+        };
+
+        walls.forEach(wall => {
+            const start = wall.getStart();
+            const end = wall.getEnd();
+            const cuts = [0, 1];
+
+            walls.forEach(other => {
+                if (other === wall) return;
+
+                // Crossing walls
+                const crossing = Geometry.segmentIntersection(start, end, other.getStart(), other.getEnd());
+                if (crossing) {
+                    cuts.push(Geometry.closestPointOnSegment(crossing, start, end).t);
+                }
+
+                // T junctions: another wall ending on or against this one. An end stopping
+                // at the wall face is joined to the centre line by a short connector
+                [other.getStart(), other.getEnd()].forEach(endpoint => {
+                    const foot = Geometry.closestPointOnSegment(endpoint, start, end);
+                    if (foot.t <= 0 || foot.t >= 1 || foot.distance > wall.thickness / 2 + this.TOLERANCE) return;
+
+                    cuts.push(foot.t);
+                    if (foot.distance > this.TOLERANCE) {
+                        addEdge(endpoint, foot.point, other);
+                    }
+                });
+            });
+
+            const pointAt = t => Geometry.add(start, Geometry.scale(Geometry.subtract(end, start), t));
+            cuts.sort((a, b) => a - b);
+            for (let i = 1; i < cuts.length; i++) {
+                addEdge(pointAt(cuts[i - 1]), pointAt(cuts[i]), wall);
+            }
+        });
+
+        this.pruneDeadEnds(nodes);
+        return this.traceFaces(nodes);
+    },
+
+    // Walls that stick out into a room don't bound it; drop them until every node closes a loop
+    pruneDeadEnds(nodes) {
+        let pruned = true;
+        while (pruned) {
+            pruned = false;
+            nodes.forEach(node => {
+                if (node.links.length !== 1) return;
+
+                const { node: neighbour } = node.links[0];
+                neighbour.links = neighbour.links.filter(link => link.node !== node);
+                node.links = [];
+                pruned = true;
+            });
+        }
+    },
+
+    /**
+     * Walk every directed edge once, always turning the same way at each node, so
+     * each walk traces one face. Enclosed faces come out with a positive signed area;
+     * the unbounded outside of each wall network comes out negative and is dropped.
+     */
+    traceFaces(nodes) {
+        const angleOf = (from, to) => Math.atan2(to.y - from.y, to.x - from.x);
+        nodes.forEach(node => {
+            node.links.sort((a, b) => angleOf(node, a.node) - angleOf(node, b.node));
+        });
+
+        const visited = new Set();
+        const faces = [];
+
+        nodes.forEach(origin => {
+            origin.links.forEach(firstLink => {
+                const points = [];
+                const walls = [];
+                let from = origin;
+                let link = firstLink;
+
+                while (!visited.has(link)) {
+                    visited.add(link);
+                    points.push({ x: from.x, y: from.y });
+                    walls.push(link.wall);
+
+                    // Next edge: the one just before the way back, in angle order
+                    const to = link.node;
+                    const back = to.links.findIndex(candidate => candidate.node === from);
+                    from = to;
+                    link = to.links[(back - 1 + to.links.length) % to.links.length];
+                }
+
+                if (points.length < 3) return;
+
+                const area = Geometry.polygonArea(points);
+                if (area > this.TOLERANCE) {
+                    faces.push({ points, walls, area });
+                }
+            });
+        });
+
+        return faces;
+    },
+
+    // Boundary
+    /**
+     * Move each edge of a face inwards by half the thickness of its wall and
+     * intersect neighbouring edges to get the inner wall faces.
+     */
+    offsetFace(face) {
+        const edges = this.mergeCollinear(face);
+        const count = edges.length;
+
+        const lines = edges.map(({ start, end, wall }) => {
+            const direction = Geometry.normalize(Geometry.subtract(end, start));
+            // Faces are traced so that the perpendicular points into the enclosed area
+            const inward = Geometry.perpendicular(direction);
+            return {
+                point: Geometry.add(start, Geometry.scale(inward, wall.thickness / 2)),
+                direction,
+                offset: Geometry.scale(inward, wall.thickness / 2)
+            };
+        });
+
+        const points = [];
+        lines.forEach((line, index) => {
+            const previous = lines[(index - 1 + count) % count];
+            const corner = Geometry.lineIntersection(previous.point, previous.direction, line.point, line.direction);
+
+            if (corner) {
+                points.push(corner);
+            } else {
+                // Straight run where the wall thickness changes: step between the two faces
+                const vertex = edges[index].start;
+                points.push(Geometry.add(vertex, previous.offset), Geometry.add(vertex, line.offset));
+            }
+        });
+
+        return points;
+    },
+
+    // Consecutive edges along one straight line of equal thickness become one edge
+    mergeCollinear(face) {
+        const count = face.points.length;
+        const edges = face.points.map((start, index) => ({
+            start,
+            end: face.points[(index + 1) % count],
+            wall: face.walls[index]
+        }));
+
+        const isStraight = (a, b) => {
+            const u = Geometry.normalize(Geometry.subtract(a.end, a.start));
+            const v = Geometry.normalize(Geometry.subtract(b.end, b.start));
+            return Math.abs(Geometry.cross(u, v)) < 1e-6 && Geometry.dot(u, v) > 0 &&
+                a.wall.thickness === b.wall.thickness;
+        };
+
+        const merged = [];
+        edges.forEach(edge => {
+            const last = merged[merged.length - 1];
+            if (last && isStraight(last, edge)) {
+                last.end = edge.end;
+            } else {
+                merged.push({ ...edge });
+            }
+        });
+
+        // The walk may have started part-way along a straight run
+        if (merged.length > 1 && isStraight(merged[merged.length - 1], merged[0])) {
+            const last = merged.pop();
+            merged[0].start = last.start;
+        }
+
+        return merged;
+    }
+};
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.RoomDetection = RoomDetection;
+}
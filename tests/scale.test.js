@@ -0,0 +1,112 @@
+// Run with: node --test tests/
+// Loads the browser scripts into a sandbox with just enough of the page around them.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SCRIPTS = [
+    'js/utils/geometry.js',
+    'js/utils/measurements.js',
+    'js/components/Shapes.js',
+    'js/components/HistoryManager.js',
+    'js/components/ScaleDisplay.js',
+    'js/components/CanvasDrawing.js',
+    'js/components/Toolbar.js'
+];
+
+function createSandbox(document = { getElementById: () => null }) {
+    const context = vm.createContext({
+        console: { log() {}, warn() {}, error() {} },
+        document
+    });
+    context.window = context;
+
+    vm.runInContext(`
+        var AppState = { drawings: [], scale: '1:100', zoom: 1, projectData: { lengthUnit: 'm' } };
+        var EventBus = { emit() {}, on() {} };
+    `, context);
+    SCRIPTS.forEach(script => {
+        const file = path.join(__dirname, '..', script);
+        vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: script });
+    });
+
+    return code => vm.runInContext(code, context);
+}
+
+// A page whose canvases record what is painted on them and whose links record downloads
+function createRecordingPage() {
+    const page = { texts: [], rects: [], downloads: [] };
+    const context2d = {
+        save() {},
+        restore() {},
+        drawImage() {},
+        strokeRect() {},
+        fillRect(x, y, width, height) { page.rects.push({ x, y, width, height }); },
+        fillText(text) { page.texts.push(String(text)); }
+    };
+
+    page.document = {
+        getElementById: () => null,
+        createElement: tag => tag === 'canvas'
+            ? { width: 0, height: 0, getContext: () => context2d, toDataURL: () => 'data:image/png;base64,' }
+            : { click() { page.downloads.push({ href: this.href, download: this.download }); } }
+    };
+    return page;
+}
+
+test('a 5 m wall still reads 5 m after the scale changes to 1:50', () => {
+    const run = createSandbox();
+
+    run(`
+        var wall = new Wall(0, 0, Measurements.mmToPixels(5000), 0);
+        var history = new HistoryManager();
+        var scaleDisplay = new ScaleDisplay('scaleDisplay', { history });
+    `);
+    assert.strictEqual(run('Measurements.formatPixels(wall.getLength())'), '5.00m');
+
+    assert.strictEqual(run(`scaleDisplay.setScale('1:50')`), true);
+    assert.strictEqual(run('AppState.scale'), '1:50');
+    assert.strictEqual(run('Measurements.formatPixels(wall.getLength())'), '5.00m');
+
+    run('history.undo()');
+    assert.strictEqual(run('AppState.scale'), '1:100');
+    assert.strictEqual(run('Measurements.formatPixels(wall.getLength())'), '5.00m');
+});
+
+test('a scale change only changes the paper representation', () => {
+    const run = createSandbox();
+
+    assert.strictEqual(run('Measurements.describeScale()'), '1 cm = 1.00m');
+    run(`AppState.scale = '1:50'`);
+    assert.strictEqual(run('Measurements.describeScale()'), '1 cm = 0.50m');
+    assert.strictEqual(run('Measurements.pixelsToMm(20)'), 1000);
+});
+
+test('a PNG export from the toolbar carries the scale bar and the scale', () => {
+    const page = createRecordingPage();
+    const run = createSandbox(page.document);
+
+    run(`
+        AppState.scale = '1:50';
+        var canvasDrawing = Object.create(CanvasDrawing.prototype);
+        canvasDrawing.canvas = { width: 800, height: 600 };
+        Toolbar.prototype.exportAsPNG.call({ canvasDrawing });
+    `);
+    assert.deepStrictEqual(page.downloads, [{ href: 'data:image/png;base64,', download: 'blueprint.png' }]);
+    assert.ok(page.texts.includes('Scale 1:50'));
+
+    // The white page, then one block per division of the bar, with its length written at the end
+    const bar = run('Measurements.getScaleBar(AppState.zoom, ScaleDisplay.BAR_WIDTH)');
+    assert.strictEqual(page.rects.length, 1 + bar.divisions);
+    assert.ok(page.texts.includes(bar.label));
+});
+
+test('new walls, doors and windows are drawn at their real size', () => {
+    const run = createSandbox();
+
+    assert.strictEqual(run('Measurements.formatPixels(new Wall(0, 0, 100, 0).thickness)'), '0.23m');
+    assert.strictEqual(run('Measurements.formatPixels(new Door(0, 0).width)'), '0.90m');
+    assert.strictEqual(run('Measurements.formatPixels(new Window(0, 0).width)'), '1.20m');
+});